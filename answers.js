@@ -0,0 +1,520 @@
+/**
+ * answers.js
+ *
+ * Instant answers for the suggestion dropdown, computed locally without a network request.
+ * This includes:
+ * - Arithmetic with a small expression parser (the extension's CSP rules out `eval`).
+ * - Conversion between number bases, e.g. "255 in hex".
+ * - Unit conversion, e.g. "12 km in miles" or "70 f to c".
+ * - Time zone conversion, e.g. "5pm PST in CET" or "now in Tokyo".
+ */
+
+// Units by dimension. `factor` converts to the dimension's base unit (metre, gram, litre,
+// second, metre per second, byte); temperatures convert through kelvin instead.
+const ANSWER_UNITS = [
+    { dimension: 'length', factor: 1e-3, names: ['mm', 'millimeter', 'millimeters', 'millimetre', 'millimetres'] },
+    { dimension: 'length', factor: 1e-2, names: ['cm', 'centimeter', 'centimeters', 'centimetre', 'centimetres'] },
+    { dimension: 'length', factor: 1, names: ['m', 'meter', 'meters', 'metre', 'metres'] },
+    { dimension: 'length', factor: 1e3, names: ['km', 'kilometer', 'kilometers', 'kilometre', 'kilometres'] },
+    { dimension: 'length', factor: 0.0254, names: ['in', 'inch', 'inches', '"'] },
+    { dimension: 'length', factor: 0.3048, names: ['ft', 'foot', 'feet', "'"] },
+    { dimension: 'length', factor: 0.9144, names: ['yd', 'yard', 'yards'] },
+    { dimension: 'length', factor: 1609.344, names: ['mi', 'mile', 'miles'] },
+    { dimension: 'length', factor: 1852, names: ['nmi', 'nautical mile', 'nautical miles'] },
+    { dimension: 'mass', factor: 1e-3, names: ['mg', 'milligram', 'milligrams'] },
+    { dimension: 'mass', factor: 1, names: ['g', 'gram', 'grams'] },
+    { dimension: 'mass', factor: 1e3, names: ['kg', 'kilo', 'kilos', 'kilogram', 'kilograms'] },
+    { dimension: 'mass', factor: 1e6, names: ['t', 'tonne', 'tonnes', 'metric ton', 'metric tons'] },
+    { dimension: 'mass', factor: 28.349523125, names: ['oz', 'ounce', 'ounces'] },
+    { dimension: 'mass', factor: 453.59237, names: ['lb', 'lbs', 'pound', 'pounds'] },
+    { dimension: 'mass', factor: 6350.29318, names: ['st', 'stone', 'stones'] },
+    { dimension: 'volume', factor: 1e-3, names: ['ml', 'milliliter', 'milliliters', 'millilitre', 'millilitres'] },
+    { dimension: 'volume', factor: 1, names: ['l', 'liter', 'liters', 'litre', 'litres'] },
+    { dimension: 'volume', factor: 0.0295735295625, names: ['fl oz', 'fluid ounce', 'fluid ounces'] },
+    { dimension: 'volume', factor: 0.2365882365, names: ['cup', 'cups'] },
+    { dimension: 'volume', factor: 0.473176473, names: ['pt', 'pint', 'pints'] },
+    { dimension: 'volume', factor: 0.946352946, names: ['qt', 'quart', 'quarts'] },
+    { dimension: 'volume', factor: 3.785411784, names: ['gal', 'gallon', 'gallons'] },
+    { dimension: 'time', factor: 1e-3, names: ['ms', 'millisecond', 'milliseconds'] },
+    { dimension: 'time', factor: 1, names: ['s', 'sec', 'secs', 'second', 'seconds'] },
+    { dimension: 'time', factor: 60, names: ['min', 'mins', 'minute', 'minutes'] },
+    { dimension: 'time', factor: 3600, names: ['h', 'hr', 'hrs', 'hour', 'hours'] },
+    { dimension: 'time', factor: 86400, names: ['d', 'day', 'days'] },
+    { dimension: 'time', factor: 604800, names: ['wk', 'week', 'weeks'] },
+    { dimension: 'time', factor: 31557600, names: ['yr', 'year', 'years'] },
+    { dimension: 'speed', factor: 1, names: ['m/s', 'mps'] },
+    { dimension: 'speed', factor: 1 / 3.6, names: ['km/h', 'kmh', 'kph'] },
+    { dimension: 'speed', factor: 0.44704, names: ['mph'] },
+    { dimension: 'speed', factor: 1852 / 3600, names: ['kn', 'knot', 'knots'] },
+    { dimension: 'data', factor: 1 / 8, names: ['bit', 'bits'] },
+    { dimension: 'data', factor: 1, names: ['b', 'byte', 'bytes'] },
+    { dimension: 'data', factor: 1e3, names: ['kb', 'kilobyte', 'kilobytes'] },
+    { dimension: 'data', factor: 1e6, names: ['mb', 'megabyte', 'megabytes'] },
+    { dimension: 'data', factor: 1e9, names: ['gb', 'gigabyte', 'gigabytes'] },
+    { dimension: 'data', factor: 1e12, names: ['tb', 'terabyte', 'terabytes'] },
+    { dimension: 'data', factor: 1024, names: ['kib', 'kibibyte', 'kibibytes'] },
+    { dimension: 'data', factor: 1024 ** 2, names: ['mib', 'mebibyte', 'mebibytes'] },
+    { dimension: 'data', factor: 1024 ** 3, names: ['gib', 'gibibyte', 'gibibytes'] },
+    { dimension: 'data', factor: 1024 ** 4, names: ['tib', 'tebibyte', 'tebibytes'] },
+    {
+        dimension: 'temperature',
+        toBase: value => value + 273.15,
+        fromBase: value => value - 273.15,
+        names: ['c', '°c', 'celsius', 'degc', 'degrees celsius']
+    },
+    {
+        dimension: 'temperature',
+        toBase: value => (value - 32) * 5 / 9 + 273.15,
+        fromBase: value => (value - 273.15) * 9 / 5 + 32,
+        names: ['f', '°f', 'fahrenheit', 'degf', 'degrees fahrenheit']
+    },
+    {
+        dimension: 'temperature',
+        toBase: value => value,
+        fromBase: value => value,
+        names: ['k', 'kelvin', 'kelvins']
+    }
+];
+
+// Number bases for "… in hex" and similar.
+const ANSWER_BASES = {
+    hex: 16, hexadecimal: 16,
+    dec: 10, decimal: 10,
+    oct: 8, octal: 8,
+    bin: 2, binary: 2
+};
+const ANSWER_BASE_PREFIXES = { 16: '0x', 8: '0o', 2: '0b', 10: '' };
+
+// Fixed offsets, in minutes from UTC, for common time zone abbreviations.
+const ANSWER_TIME_ZONE_ABBREVIATIONS = {
+    UTC: 0, GMT: 0, Z: 0, WET: 0, WEST: 60, BST: 60,
+    CET: 60, CEST: 120, EET: 120, EEST: 180, MSK: 180,
+    IST: 330, SGT: 480, HKT: 480, JST: 540, KST: 540,
+    AEST: 600, AEDT: 660, NZST: 720, NZDT: 780,
+    HST: -600, AKST: -540, AKDT: -480, PST: -480, PDT: -420,
+    MST: -420, MDT: -360, CST: -360, CDT: -300, EST: -300, EDT: -240
+};
+
+// Functions and constants the calculator knows.
+const ANSWER_FUNCTIONS = {
+    sqrt: Math.sqrt, cbrt: Math.cbrt, abs: Math.abs, exp: Math.exp,
+    ln: Math.log, log: Math.log10, log10: Math.log10, log2: Math.log2,
+    sin: Math.sin, cos: Math.cos, tan: Math.tan, asin: Math.asin, acos: Math.acos, atan: Math.atan,
+    round: Math.round, floor: Math.floor, ceil: Math.ceil,
+    min: Math.min, max: Math.max
+};
+const ANSWER_CONSTANTS = { pi: Math.PI, e: Math.E, tau: 2 * Math.PI };
+
+const ANSWER_SIGNIFICANT_DIGITS = 12;
+
+// A sum or function result this much smaller than its operands is floating point noise,
+// e.g. sin(pi) = 1.2e-16, and is shown as 0.
+const ANSWER_NOISE_RATIO = 1e-10;
+
+/**
+ * Computes an instant answer for a query.
+ * @param {string} query - The text typed into the search bar.
+ * @returns {{label: string, result: string}|null} The line to show, e.g. "12 km = 7.45645 mi",
+ *     and the bare result to copy, or null if the query is not something to answer.
+ */
+function getInstantAnswer(query) {
+    const text = String(query || '').trim();
+    if (!text || text.length > 100) return null;
+
+    for (const answer of [answerTimeZone, answerBaseConversion, answerUnitConversion, answerArithmetic]) {
+        try {
+            const result = answer(text);
+            if (result) return result;
+        } catch {
+            // Not a valid expression for this kind of answer; try the next one.
+        }
+    }
+    return null;
+}
+
+/**
+ * Answers arithmetic such as "0x1F * 3" or "sqrt(2)/2".
+ * A lone number or constant is not answered, so plain numbers and words are still searched for.
+ * @param {string} text - The query.
+ * @returns {{label: string, result: string}|null} The answer.
+ */
+function answerArithmetic(text) {
+    // Digits joined by "-" or "/" are phone numbers, dates or ranges such as "555-1234",
+    // "10/19/2026" or "8-10" far more often than sums, so they keep their web suggestions.
+    if (/^\d+(?:[-/]\d+)+$/.test(text)) return null;
+
+    // It takes an operator or a function call; a lone constant such as "e" or "pi" is the start of
+    // a word like "ebay" or "pizza" far more often than a question.
+    const tokens = tokenizeExpression(text);
+    const isCalculation = tokens.some(token => token.type === 'operator' && token.value !== '(' && token.value !== ')')
+        || tokens.some((token, index) => token.type === 'name' && tokens[index + 1]?.value === '(');
+    if (!isCalculation || (tokens.length === 2 && tokens[0].value === '-')) return null;
+
+    const value = evaluateExpression(tokens);
+    const result = formatAnswerNumber(value);
+    if (result === null) return null;
+
+    // Show the result in hex too when the query used hex numbers.
+    const usesHex = tokens.some(token => token.type === 'number' && /^0x/i.test(token.text));
+    const hexNote = usesHex && Number.isSafeInteger(value) ? ` (${formatInBase(value, 16)})` : '';
+    return { label: `${text} = ${result}${hexNote}`, result };
+}
+
+/**
+ * Answers base conversions such as "255 in hex" or "0b1010 to decimal".
+ * @param {string} text - The query.
+ * @returns {{label: string, result: string}|null} The answer.
+ */
+function answerBaseConversion(text) {
+    const match = /^(.+?)\s+(?:in|to|as)\s+([a-z]+)$/i.exec(text);
+    const base = match && ANSWER_BASES[match[2].toLowerCase()];
+    if (!base) return null;
+
+    const value = evaluateExpression(tokenizeExpression(match[1]));
+    if (!Number.isSafeInteger(value)) return null;
+
+    const result = formatInBase(value, base);
+    return { label: `${match[1]} = ${result}`, result };
+}
+
+/**
+ * Answers unit conversions such as "12 km in miles" or "70 f to c".
+ * @param {string} text - The query.
+ * @returns {{label: string, result: string}|null} The answer.
+ */
+function answerUnitConversion(text) {
+    const match = /^(.*?\d\)?)\s*([a-z°"'][a-z°/ .]*?)\s+(?:in|to|as)\s+([a-z°"'][a-z°/ .]*)$/i.exec(text);
+    if (!match) return null;
+
+    const from = findUnit(match[2]);
+    const to = findUnit(match[3]);
+    if (!from || !to || from.dimension !== to.dimension) return null;
+
+    const amount = evaluateExpression(tokenizeExpression(match[1]));
+    const base = from.toBase ? from.toBase(amount) : amount * from.factor;
+    const value = to.fromBase ? to.fromBase(base) : base / to.factor;
+
+    const result = formatAnswerNumber(value);
+    if (result === null) return null;
+    return { label: `${match[1]} ${match[2].trim()} = ${result} ${match[3].trim()}`, result };
+}
+
+/**
+ * Looks up a unit by any of its names, ignoring case and extra spaces.
+ * @param {string} name - The unit as typed.
+ * @returns {Object|undefined} The unit from ANSWER_UNITS.
+ */
+function findUnit(name) {
+    const normalized = name.trim().toLowerCase().replace(/\s+/g, ' ').replace(/^degrees? /, 'degrees ');
+    return ANSWER_UNITS.find(unit => unit.names.includes(normalized));
+}
+
+/**
+ * Answers time zone conversions such as "5pm PST in CET", "17:30 in Tokyo" or "now in UTC".
+ * The source zone defaults to the local one; zones are abbreviations, UTC offsets, IANA names or cities.
+ * @param {string} text - The query.
+ * @returns {{label: string, result: string}|null} The answer.
+ */
+function answerTimeZone(text) {
+    const match = /^(now|noon|midnight|\d{1,2}(?::\d{2})?\s*(?:am|pm)|\d{1,2}:\d{2})(?:\s+(.+?))?\s+(?:in|to)\s+(.+)$/i.exec(text);
+    if (!match) return null;
+
+    const fromZone = match[2] ? resolveTimeZone(match[2]) : resolveTimeZone('local');
+    const toZone = resolveTimeZone(match[3]);
+    if (!fromZone || !toZone) return null;
+
+    const now = Date.now();
+    const time = match[1].toLowerCase();
+    const uses12Hour = /am|pm/.test(time) || time === 'noon' || time === 'midnight';
+    let instant = now;
+    let fromLabel = 'Now';
+    if (time !== 'now') {
+        let hours;
+        let minutes;
+        if (time === 'noon' || time === 'midnight') {
+            hours = time === 'noon' ? 12 : 0;
+            minutes = 0;
+        } else {
+            const [, h, m, meridiem] = /^(\d{1,2})(?::(\d{2}))?\s*(am|pm)?$/.exec(time);
+            hours = Number(h);
+            minutes = Number(m || 0);
+            if (minutes > 59 || (meridiem ? hours < 1 || hours > 12 : hours > 23)) return null;
+            if (meridiem) hours = (hours % 12) + (meridiem === 'pm' ? 12 : 0);
+        }
+        // The given time on today's date in the source zone.
+        const fromOffset = fromZone.getOffset(now);
+        const fromToday = new Date(now + fromOffset * 60000);
+        instant = Date.UTC(fromToday.getUTCFullYear(), fromToday.getUTCMonth(), fromToday.getUTCDate(), hours, minutes)
+            - fromOffset * 60000;
+        fromLabel = `${formatWallClock(new Date(instant + fromOffset * 60000), uses12Hour)} ${fromZone.label}`;
+    }
+
+    const fromWall = new Date(instant + fromZone.getOffset(instant) * 60000);
+    const toWall = new Date(instant + toZone.getOffset(instant) * 60000);
+    const result = formatWallClock(toWall, uses12Hour);
+
+    const dayDifference = Math.round((Date.UTC(toWall.getUTCFullYear(), toWall.getUTCMonth(), toWall.getUTCDate())
+        - Date.UTC(fromWall.getUTCFullYear(), fromWall.getUTCMonth(), fromWall.getUTCDate())) / 86400000);
+    const dayNote = dayDifference > 0 ? ` ${getMessage('answerNextDay')}` : dayDifference < 0 ? ` ${getMessage('answerPreviousDay')}` : '';
+    return { label: `${fromLabel} = ${result} ${toZone.label}${dayNote}`, result };
+}
+
+/**
+ * Resolves a time zone name to a label and a function giving its UTC offset.
+ * @param {string} name - An abbreviation ("PST"), an offset ("UTC+2"), an IANA name
+ *     ("Europe/Berlin"), a city ("new york") or "local".
+ * @returns {{label: string, getOffset: function(number): number}|null} The zone, with offsets in minutes,
+ *     or null if the name is unknown.
+ */
+function resolveTimeZone(name) {
+    const trimmed = name.trim();
+    const upper = trimmed.toUpperCase();
+
+    if (Object.prototype.hasOwnProperty.call(ANSWER_TIME_ZONE_ABBREVIATIONS, upper)) {
+        const offset = ANSWER_TIME_ZONE_ABBREVIATIONS[upper];
+        return { label: upper, getOffset: () => offset };
+    }
+
+    const offsetMatch = /^(?:UTC|GMT)\s*([+-])\s*(\d{1,2})(?::?(\d{2}))?$/.exec(upper);
+    if (offsetMatch) {
+        const offset = (offsetMatch[1] === '-' ? -1 : 1) * (Number(offsetMatch[2]) * 60 + Number(offsetMatch[3] || 0));
+        return { label: upper.replace(/\s+/g, ''), getOffset: () => offset };
+    }
+
+    let timeZone = null;
+    if (trimmed.toLowerCase() === 'local') {
+        timeZone = Intl.DateTimeFormat().resolvedOptions().timeZone;
+    } else {
+        // Match a full IANA name, or its last part with spaces for underscores ("new york").
+        const wanted = trimmed.toLowerCase().replace(/\s+/g, '_');
+        timeZone = Intl.supportedValuesOf('timeZone').find(zone => {
+            const lower = zone.toLowerCase();
+            return lower === wanted || lower.slice(lower.lastIndexOf('/') + 1) === wanted;
+        }) || null;
+    }
+    if (!timeZone) return null;
+
+    const label = trimmed.toLowerCase() === 'local' ? getMessage('answerLocalTime') : timeZone.replace(/_/g, ' ');
+    return { label, getOffset: instant => getTimeZoneOffset(timeZone, instant) };
+}
+
+/**
+ * Reads an IANA time zone's UTC offset at an instant, daylight saving time included.
+ * @param {string} timeZone - The IANA time zone.
+ * @param {number} instant - The time, in milliseconds since the epoch.
+ * @returns {number} The offset in minutes, e.g. 120 for UTC+2.
+ */
+function getTimeZoneOffset(timeZone, instant) {
+    const zoneName = new Intl.DateTimeFormat('en-US', { timeZone, timeZoneName: 'longOffset' })
+        .formatToParts(instant)
+        .find(part => part.type === 'timeZoneName')?.value || '';
+    const match = /GMT([+-])(\d{2}):?(\d{2})?/.exec(zoneName);
+    if (!match) return 0; // "GMT" without an offset.
+    return (match[1] === '-' ? -1 : 1) * (Number(match[2]) * 60 + Number(match[3] || 0));
+}
+
+/**
+ * Formats the UTC fields of a shifted date as a wall clock time.
+ * @param {Date} wall - A date whose UTC fields hold the local time of some zone.
+ * @param {boolean} uses12Hour - Whether to use "5:00 PM" rather than "17:00".
+ * @returns {string} The formatted time.
+ */
+function formatWallClock(wall, uses12Hour) {
+    const hours = wall.getUTCHours();
+    const minutes = String(wall.getUTCMinutes()).padStart(2, '0');
+    if (!uses12Hour) return `${String(hours).padStart(2, '0')}:${minutes}`;
+    return `${hours % 12 || 12}:${minutes} ${hours < 12 ? 'AM' : 'PM'}`;
+}
+
+/**
+ * Splits an arithmetic expression into tokens.
+ * @param {string} text - The expression.
+ * @returns {Array<{type: 'number'|'name'|'operator', value: *, text: string}>} The tokens.
+ * @throws {Error} On characters that cannot be part of an expression.
+ */
+function tokenizeExpression(text) {
+    const tokens = [];
+    const pattern = /\s*(?:(0x[0-9a-f]+|0b[01]+|0o[0-7]+|(?:\d+\.?\d*|\.\d+)(?:e[+-]?\d+)?)|([a-z]+)|(\*\*|[-+*/%^(),!×÷]))/iy;
+    let index = 0;
+    while (index < text.length) {
+        pattern.lastIndex = index;
+        const match = pattern.exec(text);
+        if (!match) {
+            if (/^\s*$/.test(text.slice(index))) break;
+            throw new Error(`Unexpected character at ${index}`);
+        }
+        index = pattern.lastIndex;
+        if (match[1]) {
+            const literal = match[1].toLowerCase();
+            const value = /^0[xbo]/.test(literal)
+                ? parseInt(literal.slice(2), { x: 16, b: 2, o: 8 }[literal[1]])
+                : Number(literal);
+            tokens.push({ type: 'number', value, text: match[1] });
+        } else if (match[2]) {
+            tokens.push({ type: 'name', value: match[2].toLowerCase(), text: match[2] });
+        } else {
+            const operator = { '×': '*', '÷': '/', '**': '^' }[match[3]] || match[3];
+            tokens.push({ type: 'operator', value: operator, text: match[3] });
+        }
+    }
+    return tokens;
+}
+
+/**
+ * Evaluates tokens with a recursive descent parser. Supports + - * / % ^ and !, parentheses,
+ * implicit multiplication ("2pi"), and the functions and constants listed above.
+ * @param {Array<Object>} tokens - Tokens from tokenizeExpression.
+ * @returns {number} The value.
+ * @throws {Error} On syntax errors and unknown names.
+ */
+function evaluateExpression(tokens) {
+    let position = 0;
+    const peek = () => tokens[position];
+    const isOperator = (value) => peek()?.type === 'operator' && peek().value === value;
+    const expect = (value) => {
+        if (!isOperator(value)) throw new Error(`Expected "${value}"`);
+        position++;
+    };
+
+    // expression := term (("+" | "-") term)*
+    const parseExpression = () => {
+        let value = parseTerm();
+        while (isOperator('+') || isOperator('-')) {
+            const operator = tokens[position++].value;
+            const right = parseTerm();
+            value = dropRoundingNoise(operator === '+' ? value + right : value - right, value, right);
+        }
+        return value;
+    };
+
+    // term := unary (("*" | "/" | "%" | implicit) unary)*
+    const parseTerm = () => {
+        let value = parseUnary();
+        while (peek()) {
+            if (isOperator('*') || isOperator('/') || isOperator('%')) {
+                const operator = tokens[position++].value;
+                const right = parseUnary();
+                value = operator === '*' ? value * right : operator === '/' ? value / right : value % right;
+            } else if (peek().type !== 'operator' || isOperator('(')) {
+                value *= parseUnary(); // "2pi" or "3(4 + 5)".
+            } else {
+                break;
+            }
+        }
+        return value;
+    };
+
+    // unary := ("-" | "+") unary | power
+    const parseUnary = () => {
+        if (isOperator('-')) {
+            position++;
+            return -parseUnary();
+        }
+        if (isOperator('+')) {
+            position++;
+            return parseUnary();
+        }
+        return parsePower();
+    };
+
+    // power := postfix ("^" unary)?, right-associative, so -2^2 is -4 and 2^3^2 is 512.
+    const parsePower = () => {
+        const base = parsePostfix();
+        if (isOperator('^')) {
+            position++;
+            return Math.pow(base, parseUnary());
+        }
+        return base;
+    };
+
+    // postfix := primary "!"*
+    const parsePostfix = () => {
+        let value = parsePrimary();
+        while (isOperator('!')) {
+            position++;
+            value = factorial(value);
+        }
+        return value;
+    };
+
+    // primary := number | constant | function "(" arguments ")" | "(" expression ")"
+    const parsePrimary = () => {
+        const token = tokens[position++];
+        if (!token) throw new Error('Unexpected end of expression');
+        if (token.type === 'number') return token.value;
+        if (token.type === 'name') {
+            if (Object.prototype.hasOwnProperty.call(ANSWER_FUNCTIONS, token.value)) {
+                expect('(');
+                const args = [parseExpression()];
+                while (isOperator(',')) {
+                    position++;
+                    args.push(parseExpression());
+                }
+                expect(')');
+                return dropRoundingNoise(ANSWER_FUNCTIONS[token.value](...args), ...args);
+            }
+            if (Object.prototype.hasOwnProperty.call(ANSWER_CONSTANTS, token.value)) {
+                return ANSWER_CONSTANTS[token.value];
+            }
+            throw new Error(`Unknown name "${token.text}"`);
+        }
+        if (token.value === '(') {
+            const value = parseExpression();
+            expect(')');
+            return value;
+        }
+        throw new Error(`Unexpected "${token.text}"`);
+    };
+
+    if (tokens.length === 0) throw new Error('Empty expression');
+    const value = parseExpression();
+    if (position < tokens.length) throw new Error(`Unexpected "${tokens[position].text}"`);
+    return value;
+}
+
+/**
+ * Rounds a result to 0 when it is floating point noise left by its operands, e.g. 0.1 + 0.2 - 0.3
+ * or sin(pi). Products and powers are left alone, so 1e-20 * 3 and 2^-40 keep their value.
+ * @param {number} result - The computed value.
+ * @param {...number} operands - The values it was computed from.
+ * @returns {number} The result, or 0.
+ */
+function dropRoundingNoise(result, ...operands) {
+    const scale = Math.max(...operands.map(Math.abs));
+    return Math.abs(result) < scale * ANSWER_NOISE_RATIO ? 0 : result;
+}
+
+/**
+ * Computes n! for whole numbers up to 170, the largest with a finite result.
+ * @param {number} n - The number.
+ * @returns {number} The factorial.
+ * @throws {Error} For negative, fractional or too large numbers.
+ */
+function factorial(n) {
+    if (!Number.isInteger(n) || n < 0 || n > 170) throw new Error('Factorial needs a whole number from 0 to 170');
+    let result = 1;
+    for (let i = 2; i <= n; i++) result *= i;
+    return result;
+}
+
+/**
+ * Formats a result with up to twelve significant digits, hiding floating point noise
+ * such as 0.30000000000000004.
+ * @param {number} value - The value.
+ * @returns {string|null} The formatted number, or null for infinite and NaN results.
+ */
+function formatAnswerNumber(value) {
+    if (!Number.isFinite(value)) return null;
+    return String(Number(value.toPrecision(ANSWER_SIGNIFICANT_DIGITS)));
+}
+
+/**
+ * Formats a whole number in a base, with its usual prefix, e.g. 0x5D.
+ * @param {number} value - The whole number.
+ * @param {number} base - 2, 8, 10 or 16.
+ * @returns {string} The formatted number.
+ */
+function formatInBase(value, base) {
+    const sign = value < 0 ? '-' : '';
+    return `${sign}${ANSWER_BASE_PREFIXES[base]}${Math.abs(value).toString(base).toUpperCase()}`;
+}
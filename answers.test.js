@@ -0,0 +1,59 @@
+/**
+ * answers.test.js
+ *
+ * Table-driven tests for the arithmetic and unit answers of answers.js. Run them with
+ * `node --test` from the repository root. answers.js is a browser script without exports,
+ * so it is loaded into a sandbox.
+ */
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const test = require('node:test');
+const vm = require('node:vm');
+
+const sandbox = vm.createContext({});
+vm.runInContext(fs.readFileSync(path.join(__dirname, 'answers.js'), 'utf8'), sandbox, { filename: 'answers.js' });
+const { getInstantAnswer } = sandbox;
+
+// Query → expected result, or null when the query is searched for without an answer.
+const ANSWER_CASES = [
+    // Calculations.
+    ['2 + 3 * 4', '14'],
+    ['0x1F * 3', '93'],
+    ['sqrt(2)/2', '0.707106781187'],
+    ['2^-40', '9.09494701773e-13'],
+    ['1e-20 * 3', '3e-20'],
+    ['0.1 + 0.2', '0.3'],
+    ['10 - 3', '7'],
+    ['8 / 2', '4'],
+
+    // Floating point noise is shown as 0.
+    ['sin(pi)', '0'],
+    ['cos(pi/2)', '0'],
+    ['0.1 + 0.2 - 0.3', '0'],
+
+    // Lone numbers and constants are searched for.
+    ['42', null],
+    ['e', null],
+    ['pi', null],
+    ['-5', null],
+
+    // Phone numbers, dates and ranges are searched for.
+    ['555-1234', null],
+    ['10/19/2026', null],
+    ['2026-10-19', null],
+    ['8-10', null],
+    ['1/2', null],
+
+    // Unit conversions.
+    ['12 km in miles', '7.45645430685'],
+    ['100 c to f', '212']
+];
+
+test('getInstantAnswer', async (t) => {
+    for (const [query, expected] of ANSWER_CASES) {
+        await t.test(query, () => {
+            assert.equal(getInstantAnswer(query)?.result ?? null, expected);
+        });
+    }
+});
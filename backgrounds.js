@@ -0,0 +1,174 @@
+/**
+ * backgrounds.js
+ *
+ * Stores user-uploaded background images and decides which one to show.
+ * This includes:
+ * - Importing images: downscaling them and saving them as Blobs in IndexedDB.
+ * - Per-image display options: focal point, dim and blur overlay, fallback colour.
+ * - Rotating between images per tab, hourly or daily.
+ * - Applying the chosen image to the page.
+ */
+
+const BACKGROUND_STORE = 'backgrounds';
+const BACKGROUND_MAX_SIZE = 2560; // Longest side, in pixels, after import.
+const BACKGROUND_THUMBNAIL_SIZE = 240;
+const BACKGROUND_QUALITY = 0.85;
+
+// Tabs announce changes on this channel so other open tabs can refresh their list.
+const backgroundChannel = typeof BroadcastChannel === 'function' ? new BroadcastChannel('backgrounds') : null;
+
+// Display options given to newly imported images.
+const DEFAULT_BACKGROUND_OPTIONS = {
+    focalX: 50,
+    focalY: 50,
+    dim: 0.2,
+    blur: 0,
+    fallbackColor: '#202124'
+};
+
+let backgroundObjectUrl = null; // The object URL currently shown, revoked when replaced.
+
+/**
+ * Downscales an image file and saves it as a new background.
+ * @param {File} file - The image chosen by the user.
+ * @returns {Promise<Object>} The saved background record.
+ */
+async function importBackgroundImage(file) {
+    const bitmap = await createImageBitmap(file);
+    try {
+        const [blob, thumbnail] = await Promise.all([
+            encodeScaledImage(bitmap, BACKGROUND_MAX_SIZE, 'image/webp'),
+            encodeScaledImage(bitmap, BACKGROUND_THUMBNAIL_SIZE, 'image/jpeg')
+        ]);
+        const record = {
+            id: `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`,
+            name: file.name,
+            blob,
+            thumbnail,
+            addedAt: Date.now(),
+            ...DEFAULT_BACKGROUND_OPTIONS
+        };
+        await databasePut(BACKGROUND_STORE, record);
+        notifyBackgroundsChanged();
+        return record;
+    } finally {
+        bitmap.close();
+    }
+}
+
+/**
+ * Draws an image at most `maxSize` pixels on its longest side and encodes it.
+ * Images that are already small enough keep their size.
+ * @param {ImageBitmap} bitmap - The decoded image.
+ * @param {number} maxSize - The longest allowed side, in pixels.
+ * @param {string} type - The output MIME type.
+ * @returns {Promise<Blob>} The encoded image.
+ */
+function encodeScaledImage(bitmap, maxSize, type) {
+    const scale = Math.min(1, maxSize / Math.max(bitmap.width, bitmap.height));
+    const width = Math.max(1, Math.round(bitmap.width * scale));
+    const height = Math.max(1, Math.round(bitmap.height * scale));
+
+    const canvas = new OffscreenCanvas(width, height);
+    const context = canvas.getContext('2d');
+    context.imageSmoothingQuality = 'high';
+    context.drawImage(bitmap, 0, 0, width, height);
+    return canvas.convertToBlob({ type, quality: BACKGROUND_QUALITY });
+}
+
+/**
+ * Lists all saved backgrounds, oldest first, so rotation order is stable.
+ * @returns {Promise<Array<Object>>} The background records.
+ */
+async function listBackgrounds() {
+    const records = await databaseGetAll(BACKGROUND_STORE);
+    return records.sort((a, b) => a.addedAt - b.addedAt);
+}
+
+/**
+ * Saves changed display options for a background.
+ * @param {Object} record - The full, updated background record.
+ * @returns {Promise<void>}
+ */
+async function updateBackground(record) {
+    await databasePut(BACKGROUND_STORE, record);
+    notifyBackgroundsChanged();
+}
+
+/**
+ * Deletes a background.
+ * @param {string} id - The background's ID.
+ * @returns {Promise<void>}
+ */
+async function deleteBackground(id) {
+    await databaseDelete(BACKGROUND_STORE, id);
+    notifyBackgroundsChanged();
+}
+
+/**
+ * Tells other open tabs that the background list changed.
+ */
+function notifyBackgroundsChanged() {
+    backgroundChannel?.postMessage('changed');
+}
+
+/**
+ * Registers a listener for background changes made in other tabs.
+ * @param {Function} callback - Called without arguments after a change.
+ */
+function onBackgroundsChanged(callback) {
+    backgroundChannel?.addEventListener('message', callback);
+}
+
+/**
+ * Picks the background to show according to the rotation mode.
+ * @param {Array<Object>} records - The saved backgrounds, in stable order.
+ * @param {'tab'|'hourly'|'daily'} rotation - A new image per tab, per hour or per day.
+ * @returns {Object|null} The background to show, or null if there are none.
+ */
+function pickBackground(records, rotation) {
+    if (records.length === 0) return null;
+
+    let index;
+    if (rotation === 'hourly') {
+        index = Math.floor(Date.now() / (60 * 60 * 1000));
+    } else if (rotation === 'daily') {
+        // Count local days, so the image changes at local midnight.
+        const now = new Date();
+        index = Math.floor((now.getTime() - now.getTimezoneOffset() * 60 * 1000) / (24 * 60 * 60 * 1000));
+    } else {
+        index = Math.floor(Math.random() * records.length);
+    }
+    return records[index % records.length];
+}
+
+/**
+ * Shows a background on the page, or removes it when `record` is null.
+ * The overlay's dim and blur are set through CSS variables on the root element.
+ * @param {Object|null} record - The background to show.
+ */
+function applyBackground(record) {
+    const root = document.documentElement;
+    const body = document.body;
+
+    if (backgroundObjectUrl) {
+        URL.revokeObjectURL(backgroundObjectUrl);
+        backgroundObjectUrl = null;
+    }
+
+    if (!record) {
+        body.style.removeProperty('background-image');
+        body.style.removeProperty('background-position');
+        body.style.removeProperty('background-color');
+        root.style.removeProperty('--background-dim');
+        root.style.removeProperty('--background-blur');
+        return;
+    }
+
+    backgroundObjectUrl = URL.createObjectURL(record.blob);
+    body.style.backgroundColor = record.fallbackColor;
+    root.style.setProperty('--background-dim', String(record.dim));
+    root.style.setProperty('--background-blur', `${record.blur}px`);
+    body.style.backgroundImage = `url("${backgroundObjectUrl}")`;
+    body.style.backgroundPosition = `${record.focalX}% ${record.focalY}%`;
+}
@@ -0,0 +1,248 @@
+/**
+ * classifier.js
+ *
+ * Decides whether what the user typed is a URL to open or a query to search for,
+ * following the same rules as the browser's address bar where possible.
+ * This includes:
+ * - Explicit schemes, including browser-internal pages that need chrome.tabs to open.
+ * - Host names with ports, IPv4 and IPv6 addresses, and single-label intranet hosts.
+ * - Internationalized (IDN) host names, converted to punycode by the URL parser.
+ * - Checking top-level domains against the bundled Public Suffix List.
+ * - Finding the registrable domain of a host, used to group history by site.
+ */
+
+// Schemes the browser opens itself. Extension pages cannot navigate to them with
+// `location.href` (the browser blocks pages from opening data: URLs), so they are opened
+// with chrome.tabs instead.
+const INTERNAL_SCHEMES = new Set(['chrome', 'chrome-extension', 'chrome-untrusted', 'edge', 'about', 'view-source', 'file', 'devtools', 'data']);
+
+// Other schemes that are opened when typed explicitly; every other "word:" prefix is searched for.
+const WEB_SCHEMES = new Set(['http', 'https', 'ftp', 'mailto', 'tel', 'blob']);
+
+// Top-level domains that are far more often file extensions. A bare "readme.md" or "setup.py"
+// is searched for; "readme.md/" or "https://readme.md" still opens the site.
+const FILE_EXTENSION_TLDS = new Set(['md', 'py', 'zip', 'mov']);
+
+const MAX_PORT = 65535;
+
+let publicSuffixIndex = null;
+
+/**
+ * Classifies the text typed into the search bar.
+ * @param {string} input - The raw input.
+ * @returns {{type: 'url', url: string, internal: boolean}|{type: 'search', query: string}}
+ *     A URL to open (`internal` for pages that need chrome.tabs), or a query to search for.
+ */
+function classifyInput(input) {
+    const text = String(input || '').trim();
+
+    // A leading "?" forces a search, as in the address bar.
+    if (text.startsWith('?')) return { type: 'search', query: text.slice(1).trim() };
+
+    const schemeMatch = /^([a-z][a-z0-9+.-]*):/i.exec(text);
+    if (schemeMatch && !isHostWithPort(text)) {
+        return classifySchemeInput(text, schemeMatch[1].toLowerCase());
+    }
+
+    if (/\s/.test(text)) return { type: 'search', query: text };
+
+    // Split off the path, query and fragment; what is left is the host, with an optional port.
+    const authorityEnd = text.search(/[/?#]/);
+    const authority = authorityEnd === -1 ? text : text.slice(0, authorityEnd);
+    const rest = authorityEnd === -1 ? '' : text.slice(authorityEnd);
+
+    const host = parseHostAndPort(authority);
+    if (!host) return { type: 'search', query: text };
+
+    const hasPath = rest.length > 0;
+    let isUrl;
+    if (host.kind === 'ipv6' || host.kind === 'ipv4' || host.hostname === 'localhost') {
+        isUrl = true;
+    } else if (host.kind === 'single-label') {
+        // "intranet" alone is a search, but "intranet/", "intranet/wiki" and "intranet:8080" are hosts.
+        isUrl = hasPath || host.port !== null;
+    } else {
+        // Dotted names need a known top-level domain, so "node.js" and "v1.2" stay searches,
+        // unless a port or a path makes the intent clear. File names such as "readme.md" are searches too.
+        const looksLikeFileName = FILE_EXTENSION_TLDS.has(host.tld) && host.hostname.split('.').length === 2;
+        isUrl = (isKnownTopLevelDomain(host.tld) && !looksLikeFileName) || host.port !== null || hasPath;
+    }
+    if (!isUrl) return { type: 'search', query: text };
+
+    // Public sites default to HTTPS; local and intranet hosts rarely have certificates.
+    const scheme = host.kind === 'domain' ? 'https' : 'http';
+    try {
+        return { type: 'url', url: new URL(`${scheme}://${text}`).href, internal: false };
+    } catch {
+        return { type: 'search', query: text };
+    }
+}
+
+/**
+ * Classifies input that starts with a scheme, e.g. "https://…", "chrome://extensions" or "mailto:…".
+ * @param {string} text - The trimmed input.
+ * @param {string} scheme - The lowercased scheme.
+ * @returns {Object} The classification, as returned by classifyInput.
+ */
+function classifySchemeInput(text, scheme) {
+    if (!INTERNAL_SCHEMES.has(scheme) && !WEB_SCHEMES.has(scheme)) {
+        // "javascript:" and unknown schemes such as "note:" are searched for.
+        return { type: 'search', query: text };
+    }
+    // URLs need something after the scheme, so a lone "http:" or "mailto:" is searched for.
+    if (!/^[a-z][a-z0-9+.-]*:\/*[^/\s]/i.test(text)) {
+        return { type: 'search', query: text };
+    }
+    try {
+        return { type: 'url', url: new URL(text).href, internal: INTERNAL_SCHEMES.has(scheme) };
+    } catch {
+        return { type: 'search', query: text };
+    }
+}
+
+/**
+ * Checks whether input that looks like it starts with a scheme is really a host and port,
+ * e.g. "localhost:3000" or "example.com:8080/path".
+ * @param {string} text - The trimmed input.
+ * @returns {boolean} True if the part after the first colon is a port number.
+ */
+function isHostWithPort(text) {
+    return /^[^:/?#\s]+:\d+(?:[/?#]|$)/.test(text);
+}
+
+/**
+ * Parses a host with an optional port.
+ * @param {string} authority - The part of the input before the path, e.g. "example.com:8080".
+ * @returns {{kind: 'ipv4'|'ipv6'|'single-label'|'domain', hostname: string, tld: string|null, port: number|null}|null}
+ *     The parsed host, or null if it cannot be a host name.
+ */
+function parseHostAndPort(authority) {
+    if (!authority || authority.includes('@')) return null; // "user@example.com" is searched for.
+
+    let hostPart = authority;
+    let port = null;
+    const portMatch = /^(.*?)(?::(\d+))?$/.exec(authority);
+    if (authority.startsWith('[')) {
+        // IPv6 addresses are bracketed, e.g. "[::1]:8080".
+        const ipv6Match = /^\[([0-9a-f:.]+)\](?::(\d+))?$/i.exec(authority);
+        if (!ipv6Match) return null;
+        hostPart = `[${ipv6Match[1]}]`;
+        port = ipv6Match[2] !== undefined ? Number(ipv6Match[2]) : null;
+    } else if (portMatch) {
+        hostPart = portMatch[1];
+        port = portMatch[2] !== undefined ? Number(portMatch[2]) : null;
+    }
+    if (port !== null && port > MAX_PORT) return null;
+
+    // Let the URL parser validate the host and convert IDNs to punycode.
+    let hostname;
+    try {
+        hostname = new URL(`http://${hostPart}/`).hostname;
+    } catch {
+        return null;
+    }
+    if (!hostname) return null;
+
+    if (hostname.startsWith('[')) {
+        return { kind: 'ipv6', hostname, tld: null, port };
+    }
+    if (isIPv4Address(hostPart)) {
+        return { kind: 'ipv4', hostname, tld: null, port };
+    }
+
+    // The URL parser accepts some characters that are not valid in host names, such as "_" or "*".
+    const labels = hostname.replace(/\.$/, '').split('.');
+    if (labels.some(label => !/^[a-z0-9](?:[a-z0-9-]*[a-z0-9])?$/.test(label))) return null;
+
+    // Numeric dotted input that is not a full IPv4 address, such as "1.2", is a number, not a host.
+    if (labels.every(label => /^\d+$/.test(label))) return null;
+
+    if (labels.length === 1) {
+        return { kind: 'single-label', hostname, tld: null, port };
+    }
+    return { kind: 'domain', hostname, tld: labels[labels.length - 1], port };
+}
+
+/**
+ * Checks whether text, as typed, is a dotted-quad IPv4 address such as "192.168.1.1".
+ * @param {string} text - The host part of the input.
+ * @returns {boolean} True for four decimal parts from 0 to 255.
+ */
+function isIPv4Address(text) {
+    const parts = text.split('.');
+    return parts.length === 4 && parts.every(part => /^\d{1,3}$/.test(part) && Number(part) <= 255);
+}
+
+/**
+ * Checks a top-level domain against the Public Suffix List.
+ * @param {string} tld - The last label of a host name, in punycode if internationalized.
+ * @returns {boolean} True if the list has the TLD.
+ */
+function isKnownTopLevelDomain(tld) {
+    return getPublicSuffixIndex().topLevelDomains.has(tld);
+}
+
+/**
+ * Finds the registrable domain (the public suffix plus one label) of a host name, so that
+ * "mail.google.com" and "docs.google.com" share "google.com" while "foo.github.io" and
+ * "bar.github.io" stay apart.
+ * @param {string} hostname - A host name as returned by the URL parser.
+ * @returns {string} The registrable domain, or the host name itself for IP addresses,
+ *     single labels and hosts that are public suffixes.
+ */
+function getRegistrableDomain(hostname) {
+    const host = hostname.replace(/\.$/, '');
+    if (!host.includes('.') || host.startsWith('[') || isIPv4Address(host)) return host;
+
+    const labels = host.split('.');
+    const index = getPublicSuffixIndex();
+    // The longest matching rule wins, and exception rules beat wildcards. Unlisted TLDs are one label.
+    let suffixLength = 1;
+    for (let i = 0; i < labels.length; i++) {
+        const candidate = labels.slice(i).join('.');
+        if (index.exceptions.has(candidate)) {
+            suffixLength = labels.length - i - 1;
+            break;
+        }
+        if (index.rules.has(candidate) || (i + 1 < labels.length && index.wildcards.has(labels.slice(i + 1).join('.')))) {
+            suffixLength = labels.length - i;
+            break;
+        }
+    }
+    if (suffixLength >= labels.length) return host;
+    return labels.slice(labels.length - suffixLength - 1).join('.');
+}
+
+/**
+ * Builds lookup sets from the bundled Public Suffix List on first use.
+ * Internationalized rules are converted to punycode, to match host names from the URL parser.
+ * @returns {{rules: Set<string>, wildcards: Set<string>, exceptions: Set<string>, topLevelDomains: Set<string>}}
+ *     Plain rules, wildcard rules without "*.", exception rules without "!", and all top-level domains.
+ */
+function getPublicSuffixIndex() {
+    if (!publicSuffixIndex) {
+        const index = { rules: new Set(), wildcards: new Set(), exceptions: new Set(), topLevelDomains: new Set() };
+        for (const rule of PUBLIC_SUFFIX_RULES) {
+            let set = index.rules;
+            let suffix = rule;
+            if (rule.startsWith('*.')) {
+                set = index.wildcards;
+                suffix = rule.slice(2);
+            } else if (rule.startsWith('!')) {
+                set = index.exceptions;
+                suffix = rule.slice(1);
+            }
+            if (/[^\x00-\x7f]/.test(suffix)) {
+                try {
+                    suffix = new URL(`http://${suffix}/`).hostname;
+                } catch {
+                    continue;
+                }
+            }
+            set.add(suffix);
+            index.topLevelDomains.add(suffix.slice(suffix.lastIndexOf('.') + 1));
+        }
+        publicSuffixIndex = index;
+    }
+    return publicSuffixIndex;
+}
@@ -0,0 +1,129 @@
+/**
+ * classifier.test.js
+ *
+ * Table-driven tests for classifier.js. Run them with `node --test` from the repository root.
+ * classifier.js is a browser script without exports, so it is loaded with the bundled
+ * Public Suffix List into a sandbox.
+ */
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const test = require('node:test');
+const vm = require('node:vm');
+
+const sandbox = vm.createContext({ URL });
+for (const file of ['public_suffix_list.js', 'classifier.js']) {
+    vm.runInContext(fs.readFileSync(path.join(__dirname, file), 'utf8'), sandbox, { filename: file });
+}
+const { classifyInput, getRegistrableDomain } = sandbox;
+
+/**
+ * Builds the expected result for a URL.
+ * @param {string} url - The URL the input opens.
+ * @param {boolean} [internal=false] - Whether it must be opened with chrome.tabs.
+ * @returns {Object} The classification.
+ */
+function url(url, internal = false) {
+    return { type: 'url', url, internal };
+}
+
+/**
+ * Builds the expected result for a search.
+ * @param {string} query - The query that is searched for.
+ * @returns {Object} The classification.
+ */
+function search(query) {
+    return { type: 'search', query };
+}
+
+// Input → expected classification.
+const CLASSIFY_CASES = [
+    // Hosts with ports, IP addresses and local names.
+    ['localhost', url('http://localhost/')],
+    ['localhost:3000', url('http://localhost:3000/')],
+    ['localhost:3000/api?x=1', url('http://localhost:3000/api?x=1')],
+    ['192.168.1.1', url('http://192.168.1.1/')],
+    ['192.168.1.1:8080', url('http://192.168.1.1:8080/')],
+    ['[::1]', url('http://[::1]/')],
+    ['[::1]:8080/status', url('http://[::1]:8080/status')],
+    ['example.com:99999', search('example.com:99999')],
+    ['intranet', search('intranet')],
+    ['intranet/', url('http://intranet/')],
+    ['intranet/wiki', url('http://intranet/wiki')],
+    ['intranet:8080', url('http://intranet:8080/')],
+
+    // Explicit schemes.
+    ['https://example.com', url('https://example.com/')],
+    ['http:', search('http:')],
+    ['chrome://extensions', url('chrome://extensions', true)],
+    ['file:///tmp/x', url('file:///tmp/x', true)],
+    ['about:blank', url('about:blank', true)],
+    ['view-source:https://example.com', url('view-source:https://example.com', true)],
+    ['data:text/plain,hello', url('data:text/plain,hello', true)],
+    ['mailto:someone@example.com', url('mailto:someone@example.com')],
+    ['mailto:', search('mailto:')],
+    ['javascript:alert(1)', search('javascript:alert(1)')],
+    ['note: buy milk', search('note: buy milk')],
+
+    // Domains, checked against the Public Suffix List.
+    ['example.com', url('https://example.com/')],
+    ['github.com/rhynd', url('https://github.com/rhynd')],
+    ['foo.github.io', url('https://foo.github.io/')],
+    ['user@example.com', search('user@example.com')],
+    ['node.js', search('node.js')],
+    ['node.js tutorial', search('node.js tutorial')],
+    ['v1.2', search('v1.2')],
+    ['1.2', search('1.2')],
+    ['3.14159', search('3.14159')],
+
+    // Internationalized domain names become punycode.
+    ['münchen.de', url('https://xn--mnchen-3ya.de/')],
+    ['xn--mnchen-3ya.de', url('https://xn--mnchen-3ya.de/')],
+    ['例え.jp', url('https://xn--r8jz45g.jp/')],
+    ['bücher.example', search('bücher.example')],
+
+    // A leading "?" forces a search.
+    ['?forced search', search('forced search')],
+    ['?example.com', search('example.com')],
+
+    // Ambiguous: top-level domains that are mostly file extensions.
+    ['readme.md', search('readme.md')],
+    ['setup.py', search('setup.py')],
+    ['archive.zip', search('archive.zip')],
+    ['readme.md/', url('https://readme.md/')],
+    ['www.readme.md', url('https://www.readme.md/')],
+    ['https://readme.md', url('https://readme.md/')],
+
+    // Empty input.
+    ['', search('')],
+    ['   ', search('')]
+];
+
+// Host name → registrable domain.
+const REGISTRABLE_DOMAIN_CASES = [
+    ['mail.google.com', 'google.com'],
+    ['docs.google.com', 'google.com'],
+    ['foo.github.io', 'foo.github.io'],
+    ['www.bbc.co.uk', 'bbc.co.uk'],
+    ['github.io', 'github.io'],
+    ['localhost', 'localhost'],
+    ['192.168.1.1', '192.168.1.1'],
+    ['[::1]', '[::1]']
+];
+
+test('classifyInput', async (t) => {
+    for (const [input, expected] of CLASSIFY_CASES) {
+        await t.test(JSON.stringify(input), () => {
+            // The sandbox's objects come from another realm, so compare a plain copy.
+            assert.deepEqual({ ...classifyInput(input) }, expected);
+        });
+    }
+});
+
+test('getRegistrableDomain', async (t) => {
+    for (const [hostname, expected] of REGISTRABLE_DOMAIN_CASES) {
+        await t.test(hostname, () => {
+            assert.equal(getRegistrableDomain(hostname), expected);
+        });
+    }
+});
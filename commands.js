@@ -0,0 +1,113 @@
+/**
+ * commands.js
+ *
+ * The command palette, shown when the search bar starts with `>`.
+ * This includes:
+ * - A registry that any part of the page can add commands to.
+ * - Fuzzy matching of the typed text against the commands' titles and keywords.
+ */
+
+const COMMAND_PREFIX = '>';
+
+// Registered commands by id, in the order they were added.
+const commandRegistry = new Map();
+
+/**
+ * Adds a command to the palette, replacing one with the same id.
+ * @param {Object} command - The command.
+ * @param {string} command.id - A unique id, e.g. "open-downloads".
+ * @param {string} command.title - The name shown and matched, e.g. "Open downloads".
+ * @param {string} [command.description] - A short explanation shown after the title.
+ * @param {string} [command.hint] - The keyboard shortcut that does the same, e.g. "Ctrl+J".
+ * @param {Array<string>} [command.keywords] - Other words the command is found by, e.g. ["dark", "light"].
+ * @param {Function} command.run - Runs the command. It may return, or resolve to, a short status such
+ *     as "Cleared"; the palette then stays open and shows it on the row.
+ * @param {Function} [command.isAvailable] - Returns false to hide the command, e.g. without a permission.
+ * @param {string} [command.confirm] - A question asked before running a command that cannot be
+ *     undone, e.g. one that deletes history. The command only runs if the user agrees.
+ */
+function registerCommand(command) {
+    commandRegistry.set(command.id, command);
+}
+
+/**
+ * Checks whether the search bar holds a command rather than a query.
+ * @param {string} value - The text in the search bar.
+ * @returns {boolean} True if it starts with `>`.
+ */
+function isCommandQuery(value) {
+    return value.trimStart().startsWith(COMMAND_PREFIX);
+}
+
+/**
+ * Returns what was typed after the `>`.
+ * @param {string} value - The text in the search bar, with or without the `>`.
+ * @returns {string} The lowercased, trimmed text, empty for a lone `>`.
+ */
+function getCommandText(value) {
+    return value.trimStart().replace(COMMAND_PREFIX, '').trim().toLowerCase();
+}
+
+/**
+ * Finds the commands matching the text after `>`, best first.
+ * @param {string} value - The text in the search bar, with or without the `>`.
+ * @returns {Array<Object>} The available matching commands; all of them, in registration order, for no text.
+ */
+function findCommands(value) {
+    const text = getCommandText(value);
+    const matches = [];
+    for (const command of commandRegistry.values()) {
+        if (command.isAvailable && !command.isAvailable()) continue;
+        // A keyword match counts a little less than the same match in the title.
+        const scores = [
+            scoreFuzzyMatch(text, command.title),
+            ...(command.keywords || []).map(keyword => scoreFuzzyMatch(text, keyword) - 1)
+        ];
+        const score = Math.max(...scores);
+        if (score > -Infinity) matches.push({ command, score });
+    }
+    // Array.prototype.sort is stable, so equal scores keep the registration order.
+    return matches.sort((a, b) => b.score - a.score).map(match => match.command);
+}
+
+/**
+ * Scores how well typed text matches a title when its characters appear in order, not necessarily
+ * together, e.g. "ohp" in "Open history page". Matches at word starts and runs of adjacent
+ * characters score higher; characters skipped in between score lower.
+ * @param {string} text - The lowercased text to find.
+ * @param {string} title - The title to search.
+ * @returns {number} The score, or -Infinity if the title does not contain the text's characters in order.
+ */
+function scoreFuzzyMatch(text, title) {
+    const target = title.toLowerCase();
+    let score = 0;
+    let position = 0;
+    let previous = -2;
+    for (const char of text) {
+        if (char === ' ') continue;
+        // Prefer the next word that starts with the character over a match inside a word.
+        const wordStart = target.slice(position).search(new RegExp(`(^|[\\s-])${escapeRegExp(char)}`));
+        let index = target.indexOf(char, position);
+        if (index === -1) return -Infinity;
+        if (wordStart !== -1 && index !== previous + 1) {
+            index = position + wordStart + (target[position + wordStart] === char ? 0 : 1);
+        }
+
+        score += 1;
+        if (index === previous + 1) score += 2;
+        if (index === 0 || /[\s-]/.test(target[index - 1])) score += 3;
+        score -= Math.min(index - position, 5) * 0.1;
+        previous = index;
+        position = index + 1;
+    }
+    return score;
+}
+
+/**
+ * Escapes a string for use in a regular expression.
+ * @param {string} text - The text.
+ * @returns {string} The escaped text.
+ */
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
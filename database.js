@@ -0,0 +1,110 @@
+/**
+ * database.js
+ *
+ * Small promise wrapper around the extension's IndexedDB database.
+ * Used for data that is too large or too frequent for chrome.storage, such as cached favicons,
+ * background images and suggestion responses.
+ */
+
+const DATABASE_NAME = 'newtab';
+const DATABASE_VERSION = 3;
+
+// Object stores, created on upgrade if they do not exist yet.
+const DATABASE_STORES = {
+    favicons: { keyPath: 'key' },
+    backgrounds: { keyPath: 'id' },
+    suggestions: { keyPath: 'key' }
+};
+
+let databasePromise = null;
+
+/**
+ * Opens the database once and reuses the connection.
+ * @returns {Promise<IDBDatabase>} The open database.
+ */
+function openDatabase() {
+    if (!databasePromise) {
+        databasePromise = new Promise((resolve, reject) => {
+            const request = indexedDB.open(DATABASE_NAME, DATABASE_VERSION);
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                for (const [name, options] of Object.entries(DATABASE_STORES)) {
+                    if (!db.objectStoreNames.contains(name)) {
+                        db.createObjectStore(name, options);
+                    }
+                }
+            };
+            request.onsuccess = () => {
+                const db = request.result;
+                // Let a newer version of the page in another tab upgrade the database.
+                db.onversionchange = () => {
+                    db.close();
+                    databasePromise = null;
+                };
+                resolve(db);
+            };
+            request.onerror = () => {
+                databasePromise = null; // Allow a later retry.
+                reject(request.error);
+            };
+        });
+    }
+    return databasePromise;
+}
+
+/**
+ * Runs a single request against an object store.
+ * @param {string} storeName - The object store.
+ * @param {IDBTransactionMode} mode - "readonly" or "readwrite".
+ * @param {Function} makeRequest - Receives the store and returns an IDBRequest.
+ * @returns {Promise<*>} The request's result.
+ */
+async function runDatabaseRequest(storeName, mode, makeRequest) {
+    const db = await openDatabase();
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction(storeName, mode);
+        const request = makeRequest(transaction.objectStore(storeName));
+        transaction.oncomplete = () => resolve(request.result);
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error);
+    });
+}
+
+/**
+ * Reads a record by key.
+ * @param {string} storeName - The object store.
+ * @param {IDBValidKey} key - The record key.
+ * @returns {Promise<Object|undefined>} The record, or undefined if it does not exist.
+ */
+function databaseGet(storeName, key) {
+    return runDatabaseRequest(storeName, 'readonly', store => store.get(key));
+}
+
+/**
+ * Reads every record of a store.
+ * @param {string} storeName - The object store.
+ * @returns {Promise<Array<Object>>} The records, in key order.
+ */
+function databaseGetAll(storeName) {
+    return runDatabaseRequest(storeName, 'readonly', store => store.getAll());
+}
+
+/**
+ * Inserts or replaces a record.
+ * @param {string} storeName - The object store.
+ * @param {Object} record - The record, including its key.
+ * @returns {Promise<IDBValidKey>} The record's key.
+ */
+function databasePut(storeName, record) {
+    return runDatabaseRequest(storeName, 'readwrite', store => store.put(record));
+}
+
+/**
+ * Deletes a record by key.
+ * @param {string} storeName - The object store.
+ * @param {IDBValidKey} key - The record key.
+ * @returns {Promise<void>}
+ */
+function databaseDelete(storeName, key) {
+    return runDatabaseRequest(storeName, 'readwrite', store => store.delete(key));
+}
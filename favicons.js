@@ -0,0 +1,162 @@
+/**
+ * favicons.js
+ *
+ * Resolves website icons without sending visited URLs to a third party.
+ * This includes:
+ * - Reading icons from the browser's own `_favicon` endpoint (needs the "favicon" permission).
+ * - Caching them in IndexedDB with an expiry, so they also work offline.
+ * - Generating a letter-and-colour monogram when a site has no icon.
+ */
+
+const FAVICON_STORE = 'favicons';
+const FAVICON_SIZE = 32;
+const FAVICON_TTL = 7 * 24 * 60 * 60 * 1000; // Refresh found icons weekly.
+const FAVICON_MISSING_TTL = 24 * 60 * 60 * 1000; // Retry sites without an icon daily.
+
+// In-memory results for this page, keyed by origin, so each site is resolved once per tab.
+const faviconPromises = new Map();
+let defaultFaviconPromise = null;
+
+/**
+ * Sets an image's source to a page's favicon.
+ * Cached icons are applied as soon as they are read; until then the image stays empty.
+ * @param {HTMLImageElement} img - The image to fill.
+ * @param {string} pageUrl - The page whose icon is wanted.
+ * @param {{allowRemote?: boolean}} [options] - `allowRemote` falls back to Google's favicon
+ *     service for sites the browser has no icon for, instead of a monogram.
+ */
+function setFavicon(img, pageUrl, options = {}) {
+    getFaviconUrl(pageUrl, options).then(src => {
+        img.src = src;
+    });
+}
+
+/**
+ * Resolves the best icon URL for a page.
+ * @param {string} pageUrl - The page whose icon is wanted.
+ * @param {{allowRemote?: boolean}} [options] - See setFavicon.
+ * @returns {Promise<string>} A data URL, or a remote URL when allowed and nothing local exists.
+ */
+async function getFaviconUrl(pageUrl, options = {}) {
+    let origin;
+    try {
+        origin = new URL(pageUrl).origin;
+    } catch {
+        return createMonogramUrl(pageUrl);
+    }
+
+    if (!faviconPromises.has(origin)) {
+        faviconPromises.set(origin, resolveLocalFavicon(origin, pageUrl));
+    }
+    const localIcon = await faviconPromises.get(origin);
+    if (localIcon) return localIcon;
+
+    if (options.allowRemote) {
+        return `https://t2.gstatic.com/faviconV2?client=SOCIAL&type=FAVICON&fallback_opts=TYPE,SIZE,URL&url=${encodeURIComponent(pageUrl)}&size=${FAVICON_SIZE}`;
+    }
+    return createMonogramUrl(pageUrl);
+}
+
+/**
+ * Reads an origin's icon from the cache, or from the browser when the cache is stale.
+ * @param {string} origin - The site's origin, used as the cache key.
+ * @param {string} pageUrl - A page on that site.
+ * @returns {Promise<string|null>} The icon as a data URL, or null if the browser has none.
+ */
+async function resolveLocalFavicon(origin, pageUrl) {
+    try {
+        const cached = await databaseGet(FAVICON_STORE, origin);
+        if (cached && cached.expires > Date.now()) {
+            return cached.dataUrl;
+        }
+    } catch (error) {
+        console.error("Error reading favicon cache:", error);
+    }
+
+    let dataUrl = null;
+    try {
+        const [icon, defaultIcon] = await Promise.all([fetchBrowserFavicon(pageUrl), getDefaultFavicon()]);
+        // The endpoint answers with a generic globe when it has no icon; treat that as missing.
+        dataUrl = icon && icon !== defaultIcon ? icon : null;
+    } catch (error) {
+        console.error("Error fetching favicon:", error);
+        return null; // Do not cache failures, e.g. a missing permission.
+    }
+
+    const expires = Date.now() + (dataUrl ? FAVICON_TTL : FAVICON_MISSING_TTL);
+    databasePut(FAVICON_STORE, { key: origin, dataUrl, expires })
+        .catch(error => console.error("Error writing favicon cache:", error));
+    return dataUrl;
+}
+
+/**
+ * Fetches a page's icon from the browser's `_favicon` endpoint.
+ * @param {string} pageUrl - The page whose icon is wanted.
+ * @returns {Promise<string|null>} The icon as a data URL, or null if the request failed.
+ */
+async function fetchBrowserFavicon(pageUrl) {
+    const endpoint = new URL(chrome.runtime.getURL('/_favicon/'));
+    endpoint.searchParams.set('pageUrl', pageUrl);
+    endpoint.searchParams.set('size', String(FAVICON_SIZE));
+
+    const res = await fetch(endpoint.href);
+    if (!res.ok) return null;
+    return blobToDataUrl(await res.blob());
+}
+
+/**
+ * Returns the generic icon the browser uses for sites without a favicon.
+ * @returns {Promise<string|null>} The default icon as a data URL.
+ */
+function getDefaultFavicon() {
+    if (!defaultFaviconPromise) {
+        defaultFaviconPromise = fetchBrowserFavicon('https://favicon.invalid/').catch(() => null);
+    }
+    return defaultFaviconPromise;
+}
+
+/**
+ * Reads a Blob as a data URL.
+ * @param {Blob} blob - The blob to read.
+ * @returns {Promise<string>} The data URL.
+ */
+function blobToDataUrl(blob) {
+    return new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onload = () => resolve(reader.result);
+        reader.onerror = () => reject(reader.error);
+        reader.readAsDataURL(blob);
+    });
+}
+
+/**
+ * Generates a monogram icon: the first letter of the host on a colour derived from the host.
+ * @param {string} pageUrl - The page to draw the monogram for.
+ * @returns {string} An SVG data URL.
+ */
+function createMonogramUrl(pageUrl) {
+    let host = '';
+    try {
+        host = new URL(pageUrl).hostname.replace(/^www\./, '');
+    } catch {
+        host = String(pageUrl || '');
+    }
+
+    const letter = (Array.from(host)[0] || '?').toUpperCase()
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;');
+
+    // A stable hue per host, so a site keeps its colour everywhere.
+    let hash = 0;
+    for (const char of host) {
+        hash = (hash * 31 + char.codePointAt(0)) >>> 0;
+    }
+    const hue = hash % 360;
+
+    const svg = `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 32 32">`
+        + `<rect width="32" height="32" rx="8" fill="hsl(${hue}, 45%, 42%)"/>`
+        + `<text x="16" y="22" text-anchor="middle" font-family="Segoe UI, Roboto, Arial, sans-serif" `
+        + `font-size="17" font-weight="600" fill="#fff">${letter}</text></svg>`;
+    return `data:image/svg+xml;charset=utf-8,${encodeURIComponent(svg)}`;
+}
@@ -0,0 +1,585 @@
+/**
+ * history.js
+ *
+ * Handles the extension's history page, a fuller view of the browser history than the
+ * search dropdown. This includes:
+ * - Listing pages by day, loading older time windows as the list is scrolled.
+ * - Filtering by text, by site and by date range.
+ * - Deleting selected pages, every page of a site, or everything in a date range.
+ * - Showing each visit to a page, with how it was reached.
+ */
+document.addEventListener('DOMContentLoaded', () => {
+    // --- Element References ---
+    const historySearchInput = document.getElementById('history-search');
+    const historyDomainInput = document.getElementById('history-domain');
+    const historyFromInput = document.getElementById('history-from');
+    const historyToInput = document.getElementById('history-to');
+    const selectionCount = document.getElementById('history-selection-count');
+    const deleteSelectedButton = document.getElementById('history-delete-selected');
+    const clearSelectionButton = document.getElementById('history-clear-selection');
+    const deleteDomainButton = document.getElementById('history-delete-domain');
+    const deleteRangeButton = document.getElementById('history-delete-range');
+    const historyList = document.getElementById('history-list');
+    const historyStatus = document.getElementById('history-status');
+    const historySentinel = document.getElementById('history-sentinel');
+
+    if (!historySearchInput || !historyDomainInput || !historyFromInput || !historyToInput || !selectionCount
+        || !deleteSelectedButton || !clearSelectionButton || !deleteDomainButton || !deleteRangeButton
+        || !historyList || !historyStatus || !historySentinel) {
+        console.error("Required elements not found. Check your HTML IDs and classes.");
+        return;
+    }
+
+    // --- Constants ---
+    const HISTORY_PAGE_SIZE = 100; // Pages read per time window.
+    const DOMAIN_SCAN_PAGE_SIZE = 1000; // Pages read per request when collecting a whole site.
+    const FILTER_DELAY = 250; // Milliseconds to wait after typing before filtering.
+    const MAX_VISITS_SHOWN = 50;
+    const DAY_FORMAT = new Intl.DateTimeFormat(undefined, { weekday: 'long', year: 'numeric', month: 'long', day: 'numeric' });
+    const TIME_FORMAT = new Intl.DateTimeFormat(undefined, { hour: '2-digit', minute: '2-digit' });
+    const VISIT_FORMAT = new Intl.DateTimeFormat(undefined, { dateStyle: 'medium', timeStyle: 'short' });
+
+    // --- State ---
+    let settings = getDefaultSettings();
+    let cursor = null; // The end of the next time window to load, in milliseconds since the epoch.
+    let hasMore = true; // Whether older pages may still exist for the current filters.
+    let isLoading = false;
+    let loadGeneration = 0; // Incremented when the filters change, to drop results for old filters.
+    let lastDayKey = null; // The day of the last rendered row, to know when to add a header.
+    const seenIds = new Set(); // History items already listed, as windows can overlap.
+    const selectedUrls = new Set();
+    let lastCheckedRow = null; // Anchor for Shift+click range selection.
+    let filterTimeoutId = null;
+
+    // --- Event Listeners ---
+    historySearchInput.addEventListener('input', scheduleReload);
+    historyDomainInput.addEventListener('input', scheduleReload);
+    historyFromInput.addEventListener('change', reloadHistory);
+    historyToInput.addEventListener('change', reloadHistory);
+
+    deleteSelectedButton.addEventListener('click', deleteSelected);
+    clearSelectionButton.addEventListener('click', clearSelection);
+    deleteDomainButton.addEventListener('click', deleteDomainEverywhere);
+    deleteRangeButton.addEventListener('click', deleteDateRange);
+
+    document.addEventListener('keydown', (event) => {
+        if (event.key === 'Escape' && selectedUrls.size > 0 && !event.target.closest('input[type="search"], input[type="text"]')) {
+            clearSelection();
+        }
+    });
+
+    // Load older pages as the end of the list comes into view.
+    new IntersectionObserver(entries => {
+        if (entries.some(entry => entry.isIntersecting)) loadMore();
+    }, { rootMargin: '400px' }).observe(historySentinel);
+
+    // Pages removed here or in another window disappear from the list.
+    if (typeof chrome.history !== 'undefined') {
+        chrome.history.onVisitRemoved.addListener(removed => {
+            if (removed.allHistory) {
+                reloadHistory();
+            } else {
+                removeRows(removed.urls || []);
+            }
+        });
+    }
+
+    // --- Initial Page Load ---
+    localizeDocument();
+    loadSettings()
+        .catch(error => {
+            console.error("Error loading settings:", error);
+            return getDefaultSettings();
+        })
+        .then(loaded => {
+            settings = loaded;
+            applyTheme(settings);
+        });
+    loadAutoThemeColors().then(setThemeAutoColors);
+    watchSystemColorScheme();
+    onSettingsChanged(changed => {
+        settings = changed;
+        applyTheme(settings);
+    });
+
+    reloadHistory();
+
+    // --- Loading ---
+
+    /**
+     * Reloads the list after the user stops typing in a filter.
+     */
+    function scheduleReload() {
+        clearTimeout(filterTimeoutId);
+        filterTimeoutId = setTimeout(reloadHistory, FILTER_DELAY);
+    }
+
+    /**
+     * Clears the list and the selection, and loads the newest pages for the current filters.
+     */
+    function reloadHistory() {
+        clearTimeout(filterTimeoutId);
+        loadGeneration++;
+        isLoading = false;
+        cursor = getFilters().endTime ?? Date.now();
+        hasMore = true;
+        lastDayKey = null;
+        seenIds.clear();
+        historyList.innerHTML = '';
+        clearSelection();
+        updateActions();
+        loadMore();
+    }
+
+    /**
+     * Loads the next, older time window and appends its pages. Keeps loading while the end
+     * of the list is still in view, e.g. when the site filter hides most of a window.
+     */
+    async function loadMore() {
+        if (isLoading || !hasMore || typeof chrome.history === 'undefined') return;
+        isLoading = true;
+        const generation = loadGeneration;
+        const filters = getFilters();
+        historyStatus.textContent = getMessage('historyLoading');
+
+        let items;
+        try {
+            items = await searchHistory({
+                text: filters.text || filters.domain,
+                startTime: filters.startTime ?? 0,
+                endTime: cursor,
+                maxResults: HISTORY_PAGE_SIZE
+            });
+        } catch (error) {
+            console.error("Error loading history:", error);
+            items = [];
+        }
+        if (generation !== loadGeneration) return; // The filters changed while loading.
+
+        // The next window ends where this one's oldest page was visited.
+        const oldest = Math.min(...items.map(item => item.lastVisitTime));
+        hasMore = items.length === HISTORY_PAGE_SIZE && oldest < cursor;
+        cursor = oldest;
+
+        const newItems = items.filter(item => !seenIds.has(item.id) && matchesDomain(item.url, filters.domain));
+        items.forEach(item => seenIds.add(item.id));
+        newItems.forEach(appendRow);
+
+        isLoading = false;
+        const isEmpty = historyList.childElementCount === 0;
+        historyStatus.textContent = hasMore ? '' : getMessage(isEmpty ? 'historyEmpty' : 'historyEnd');
+
+        if (hasMore && historySentinel.getBoundingClientRect().top < window.innerHeight + 400) {
+            loadMore();
+        }
+    }
+
+    /**
+     * Reads the filter inputs.
+     * @returns {{text: string, domain: string, startTime: number|null, endTime: number|null}}
+     *     The search text, the site, and the date range in milliseconds, from the start of the
+     *     "From" day to the end of the "To" day.
+     */
+    function getFilters() {
+        return {
+            text: historySearchInput.value.trim(),
+            domain: normalizeDomain(historyDomainInput.value),
+            startTime: historyFromInput.value ? parseLocalDate(historyFromInput.value).getTime() : null,
+            endTime: historyToInput.value ? parseLocalDate(historyToInput.value, 1).getTime() : null
+        };
+    }
+
+    /**
+     * Parses a date input's value as local midnight, since `valueAsDate` is midnight UTC.
+     * @param {string} value - The value, e.g. "2024-05-01".
+     * @param {number} [addDays=0] - Days to add, e.g. 1 for the end of the day.
+     * @returns {Date} The local date.
+     */
+    function parseLocalDate(value, addDays = 0) {
+        const [year, month, day] = value.split('-').map(Number);
+        return new Date(year, month - 1, day + addDays);
+    }
+
+    /**
+     * Turns whatever was typed in the site filter into a bare host name.
+     * @param {string} value - E.g. "https://www.GitHub.com/path".
+     * @returns {string} E.g. "github.com", or an empty string.
+     */
+    function normalizeDomain(value) {
+        return value.trim().toLowerCase()
+            .replace(/^[a-z][a-z0-9+.-]*:\/\//, '')
+            .replace(/[/?#].*$/, '')
+            .replace(/^www\./, '');
+    }
+
+    /**
+     * Checks whether a page belongs to a site: the host itself or one of its subdomains.
+     * @param {string} url - The page URL.
+     * @param {string} domain - The site, or an empty string to match everything.
+     * @returns {boolean} True if the page matches.
+     */
+    function matchesDomain(url, domain) {
+        if (!domain) return true;
+        try {
+            const host = new URL(url).hostname.replace(/^www\./, '');
+            return host === domain || host.endsWith(`.${domain}`);
+        } catch {
+            return false;
+        }
+    }
+
+    /**
+     * Searches the browser history.
+     * @param {chrome.history.HistoryQuery} query - The query.
+     * @returns {Promise<chrome.history.HistoryItem[]>} The pages, most recently visited first.
+     */
+    function searchHistory(query) {
+        return new Promise((resolve, reject) => {
+            chrome.history.search(query, (results) => {
+                if (chrome.runtime.lastError) {
+                    return reject(chrome.runtime.lastError);
+                }
+                resolve(results);
+            });
+        });
+    }
+
+    // --- Rendering ---
+
+    /**
+     * Appends a page to the list, after a header when it starts a new day.
+     * @param {chrome.history.HistoryItem} item - The page.
+     */
+    function appendRow(item) {
+        const visited = new Date(item.lastVisitTime);
+        const dayKey = visited.toDateString();
+        if (dayKey !== lastDayKey) {
+            lastDayKey = dayKey;
+            const header = document.createElement('h2');
+            header.className = 'history-day';
+            header.textContent = formatDay(visited);
+            historyList.appendChild(header);
+        }
+        historyList.appendChild(createRow(item));
+    }
+
+    /**
+     * Formats a day header, e.g. "Today - Monday, 19 October 2026".
+     * @param {Date} date - A time on the day.
+     * @returns {string} The header text.
+     */
+    function formatDay(date) {
+        const today = new Date();
+        const yesterday = new Date(today.getFullYear(), today.getMonth(), today.getDate() - 1);
+        const formatted = DAY_FORMAT.format(date);
+        if (date.toDateString() === today.toDateString()) return getMessage('historyToday', formatted);
+        if (date.toDateString() === yesterday.toDateString()) return getMessage('historyYesterday', formatted);
+        return formatted;
+    }
+
+    /**
+     * Creates the row for a page: a checkbox, the time, the icon and title, the site, and a
+     * button that shows each visit.
+     * @param {chrome.history.HistoryItem} item - The page.
+     * @returns {HTMLElement} The row.
+     */
+    function createRow(item) {
+        const row = document.createElement('div');
+        row.className = 'history-row';
+        row.dataset.url = item.url;
+
+        const header = document.createElement('div');
+        header.className = 'history-row-header';
+
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.setAttribute('aria-label', getMessage('historySelectPage', item.title || item.url));
+        checkbox.addEventListener('click', (e) => toggleRowSelection(row, checkbox.checked, e.shiftKey));
+
+        const time = document.createElement('span');
+        time.className = 'history-time';
+        time.textContent = TIME_FORMAT.format(item.lastVisitTime);
+
+        const favicon = document.createElement('img');
+        favicon.className = 'favicon';
+        favicon.alt = '';
+        setFavicon(favicon, item.url, { allowRemote: allowsRemoteFavicons(settings) });
+
+        const link = document.createElement('a');
+        link.className = 'history-title';
+        link.href = item.url;
+        link.title = item.url;
+        link.textContent = item.title || item.url;
+
+        header.append(checkbox, time, favicon, link);
+
+        let host = '';
+        try {
+            host = new URL(item.url).hostname.replace(/^www\./, '');
+        } catch { /* Ignore invalid URLs */ }
+        if (host) {
+            // Filters the list to the page's site, e.g. to delete all of it.
+            const siteButton = document.createElement('button');
+            siteButton.type = 'button';
+            siteButton.className = 'history-site';
+            siteButton.textContent = host;
+            siteButton.title = getMessage('historyShowOnlySite', getRegistrableDomain(host));
+            siteButton.addEventListener('click', () => {
+                historyDomainInput.value = getRegistrableDomain(host);
+                reloadHistory();
+            });
+            header.appendChild(siteButton);
+        }
+
+        const visitsButton = document.createElement('button');
+        visitsButton.type = 'button';
+        visitsButton.className = 'history-visits-button';
+        visitsButton.textContent = getMessage('historyVisits');
+        visitsButton.setAttribute('aria-expanded', 'false');
+        header.appendChild(visitsButton);
+
+        const visits = document.createElement('div');
+        visits.className = 'history-visits';
+        visits.hidden = true;
+        visitsButton.addEventListener('click', () => toggleVisits(item, visits, visitsButton));
+
+        row.append(header, visits);
+        return row;
+    }
+
+    /**
+     * Shows or hides every visit to a page, loading them on first use.
+     * @param {chrome.history.HistoryItem} item - The page.
+     * @param {HTMLElement} container - The element under the row that lists the visits.
+     * @param {HTMLButtonElement} button - The button that toggles the list.
+     */
+    async function toggleVisits(item, container, button) {
+        const expand = container.hidden;
+        container.hidden = !expand;
+        button.setAttribute('aria-expanded', String(expand));
+        if (!expand || container.childElementCount > 0) return;
+
+        let visits;
+        try {
+            visits = await new Promise((resolve, reject) => {
+                chrome.history.getVisits({ url: item.url }, (results) => {
+                    if (chrome.runtime.lastError) {
+                        return reject(chrome.runtime.lastError);
+                    }
+                    resolve(results);
+                });
+            });
+        } catch (error) {
+            console.error("Error loading visits:", error);
+            container.textContent = getMessage('historyVisitsError');
+            return;
+        }
+
+        const summary = document.createElement('p');
+        summary.className = 'settings-hint';
+        const visited = getPluralMessage('historyVisited', visits.length);
+        summary.textContent = item.typedCount
+            ? getMessage('historyVisitSummaryTyped', [visited, getPluralMessage('historyTyped', item.typedCount)])
+            : getMessage('historyVisitSummary', visited);
+        container.appendChild(summary);
+
+        const list = document.createElement('ul');
+        visits
+            .sort((a, b) => b.visitTime - a.visitTime)
+            .slice(0, MAX_VISITS_SHOWN)
+            .forEach(visit => {
+                const entry = document.createElement('li');
+                entry.textContent = `${VISIT_FORMAT.format(visit.visitTime)} · ${formatTransition(visit.transition)}`;
+                list.appendChild(entry);
+            });
+        container.appendChild(list);
+    }
+
+    /**
+     * Describes how a visit was reached.
+     * @param {string} transition - A chrome.history.TransitionType, e.g. "typed".
+     * @returns {string} A short description.
+     */
+    function formatTransition(transition) {
+        const descriptions = {
+            link: getMessage('transitionLink'),
+            typed: getMessage('transitionTyped'),
+            auto_bookmark: getMessage('transitionAutoBookmark'),
+            auto_subframe: getMessage('transitionAutoSubframe'),
+            manual_subframe: getMessage('transitionManualSubframe'),
+            generated: getMessage('transitionGenerated'),
+            auto_toplevel: getMessage('transitionAutoToplevel'),
+            form_submit: getMessage('transitionFormSubmit'),
+            reload: getMessage('transitionReload'),
+            keyword: getMessage('transitionKeyword'),
+            keyword_generated: getMessage('transitionKeyword')
+        };
+        return descriptions[transition] || transition;
+    }
+
+    /**
+     * Removes the rows for deleted pages, and day headers left without rows.
+     * @param {Array<string>} urls - The deleted URLs.
+     */
+    function removeRows(urls) {
+        const removed = new Set(urls);
+        historyList.querySelectorAll('.history-row').forEach(row => {
+            if (removed.has(row.dataset.url)) {
+                row.remove();
+                selectedUrls.delete(row.dataset.url);
+                if (lastCheckedRow === row) lastCheckedRow = null;
+            }
+        });
+        historyList.querySelectorAll('.history-day').forEach(header => {
+            if (!header.nextElementSibling || header.nextElementSibling.classList.contains('history-day')) {
+                header.remove();
+            }
+        });
+        updateActions();
+    }
+
+    // --- Selection ---
+
+    /**
+     * Selects or deselects a row; with Shift, every row between it and the last one clicked.
+     * @param {HTMLElement} row - The row whose checkbox was clicked.
+     * @param {boolean} checked - The checkbox's new state.
+     * @param {boolean} extend - Whether Shift was held.
+     */
+    function toggleRowSelection(row, checked, extend) {
+        let rows = [row];
+        if (extend && lastCheckedRow?.isConnected) {
+            const allRows = Array.from(historyList.querySelectorAll('.history-row'));
+            const [start, end] = [allRows.indexOf(lastCheckedRow), allRows.indexOf(row)].sort((a, b) => a - b);
+            rows = allRows.slice(start, end + 1);
+        }
+        for (const target of rows) {
+            target.querySelector('input[type="checkbox"]').checked = checked;
+            target.classList.toggle('selected', checked);
+            if (checked) {
+                selectedUrls.add(target.dataset.url);
+            } else {
+                selectedUrls.delete(target.dataset.url);
+            }
+        }
+        lastCheckedRow = row;
+        updateActions();
+    }
+
+    /**
+     * Deselects every row.
+     */
+    function clearSelection() {
+        historyList.querySelectorAll('.history-row.selected').forEach(row => {
+            row.classList.remove('selected');
+            row.querySelector('input[type="checkbox"]').checked = false;
+        });
+        selectedUrls.clear();
+        lastCheckedRow = null;
+        updateActions();
+    }
+
+    /**
+     * Enables the bulk actions that apply to the current selection and filters.
+     */
+    function updateActions() {
+        const filters = getFilters();
+        selectionCount.textContent = selectedUrls.size > 0 ? getMessage('historySelected', selectedUrls.size) : '';
+        deleteSelectedButton.disabled = selectedUrls.size === 0;
+        clearSelectionButton.disabled = selectedUrls.size === 0;
+        deleteDomainButton.disabled = !filters.domain;
+        deleteDomainButton.textContent = filters.domain ? getMessage('historyDeleteAllOf', filters.domain) : getMessage('historyDeleteDomain');
+        deleteRangeButton.disabled = filters.startTime === null && filters.endTime === null;
+    }
+
+    // --- Bulk Deletion ---
+
+    /**
+     * Deletes the selected pages from the browser history.
+     */
+    async function deleteSelected() {
+        const urls = Array.from(selectedUrls);
+        if (urls.length === 0) return;
+        if (!confirm(getPluralMessage('historyDeletePagesConfirm', urls.length))) return;
+        await deleteUrls(urls);
+        removeRows(urls);
+    }
+
+    /**
+     * Deletes every page of the filtered site from the whole history, whatever the other filters.
+     */
+    async function deleteDomainEverywhere() {
+        const { domain } = getFilters();
+        if (!domain) return;
+
+        deleteDomainButton.disabled = true;
+        historyStatus.textContent = getMessage('historyFindingSite', domain);
+        let urls;
+        try {
+            urls = await collectDomainUrls(domain);
+        } catch (error) {
+            console.error("Error collecting pages to delete:", error);
+            historyStatus.textContent = '';
+            updateActions();
+            return;
+        }
+        historyStatus.textContent = '';
+        updateActions();
+
+        if (urls.length === 0) {
+            alert(getMessage('historyNoPagesFromSite', domain));
+            return;
+        }
+        if (!confirm(getPluralMessage('historyDeleteSiteConfirm', urls.length, domain))) return;
+        await deleteUrls(urls);
+        reloadHistory();
+    }
+
+    /**
+     * Finds every page in the history that belongs to a site, reading it one time window at a time.
+     * @param {string} domain - The site.
+     * @returns {Promise<Array<string>>} The pages' URLs.
+     */
+    async function collectDomainUrls(domain) {
+        const urls = new Set();
+        let endTime = Date.now();
+        for (;;) {
+            const items = await searchHistory({ text: domain, startTime: 0, endTime, maxResults: DOMAIN_SCAN_PAGE_SIZE });
+            items.filter(item => matchesDomain(item.url, domain)).forEach(item => urls.add(item.url));
+            const oldest = Math.min(...items.map(item => item.lastVisitTime));
+            if (items.length < DOMAIN_SCAN_PAGE_SIZE || !(oldest < endTime)) break;
+            endTime = oldest;
+        }
+        return Array.from(urls);
+    }
+
+    /**
+     * Deletes everything visited in the "From"/"To" date range from the browser history.
+     */
+    async function deleteDateRange() {
+        const { startTime, endTime } = getFilters();
+        if (startTime === null && endTime === null) return;
+
+        const from = startTime === null ? getMessage('historyRangeStart') : DAY_FORMAT.format(startTime);
+        const to = endTime === null ? getMessage('historyRangeEnd') : DAY_FORMAT.format(endTime - 1);
+        if (!confirm(getMessage('historyDeleteRangeConfirm', [from, to]))) return;
+        try {
+            await chrome.history.deleteRange({ startTime: startTime ?? 0, endTime: endTime ?? Date.now() });
+        } catch (error) {
+            console.error("Error deleting history range:", error);
+        }
+        reloadHistory();
+    }
+
+    /**
+     * Deletes URLs from the browser history.
+     * @param {Array<string>} urls - The URLs.
+     */
+    async function deleteUrls(urls) {
+        try {
+            await Promise.all(urls.map(url => chrome.history.deleteUrl({ url })));
+        } catch (error) {
+            console.error("Error deleting history items:", error);
+        }
+    }
+});
@@ -0,0 +1,86 @@
+/**
+ * i18n.js
+ *
+ * Localization of the extension's pages through chrome.i18n and the catalogs in _locales.
+ * This includes:
+ * - Looking up messages, with plural forms chosen by Intl.PluralRules.
+ * - Filling the text and attributes of elements marked with data-i18n attributes.
+ * - The language and text direction of the pages, and the UI language sent to Google.
+ */
+
+// Attributes that can be localized with a `data-i18n-<attribute>` attribute holding a message name.
+const I18N_ATTRIBUTES = ['placeholder', 'title', 'aria-label'];
+
+/**
+ * Returns a message from the catalog of the browser's language, or of English if it has none.
+ * @param {string} key - The message name, e.g. "searchPlaceholder".
+ * @param {string|number|Array<string|number>} [substitutions] - The values for the message's placeholders, in order.
+ * @returns {string} The message, or its name if the catalog has no such message.
+ */
+function getMessage(key, substitutions) {
+    const values = substitutions === undefined ? undefined : [].concat(substitutions).map(String);
+    return chrome.i18n?.getMessage(key, values) || key;
+}
+
+/**
+ * Returns the plural form of a message for a count. The forms are separate messages named after
+ * the CLDR plural categories, e.g. "removedPages_one" and "removedPages_other"; a language without
+ * a form, such as "few", falls back to "_other".
+ * @param {string} key - The message name without the category.
+ * @param {number} count - The count, passed to the message as its first placeholder.
+ * @param {string|number|Array<string|number>} [substitutions] - The values of the placeholders after the count.
+ * @returns {string} The message.
+ */
+function getPluralMessage(key, count, substitutions = []) {
+    const language = getCatalogLanguage();
+    const values = [new Intl.NumberFormat(language).format(count), ...[].concat(substitutions)].map(String);
+    const category = new Intl.PluralRules(language).select(count);
+    return chrome.i18n?.getMessage(`${key}_${category}`, values) || getMessage(`${key}_other`, values);
+}
+
+/**
+ * Returns the language of the catalog in use. It differs from the browser's language when the
+ * extension has no catalog for it and falls back to English.
+ * @returns {string} A language tag, e.g. "de".
+ */
+function getCatalogLanguage() {
+    return chrome.i18n?.getMessage('catalogLanguage') || 'en';
+}
+
+/**
+ * Returns the language the browser's interface is shown in.
+ * @returns {string} A language tag, e.g. "de-AT".
+ */
+function getUILanguage() {
+    return chrome.i18n?.getUILanguage() || navigator.language || 'en';
+}
+
+/**
+ * Returns the text direction of the catalog in use. It is taken from the catalog rather than
+ * from "@@bidi_dir", so English text shown as a fallback in a right-to-left browser stays left-to-right.
+ * @returns {string} "rtl" or "ltr".
+ */
+function getTextDirection() {
+    return chrome.i18n?.getMessage('catalogDirection') === 'rtl' ? 'rtl' : 'ltr';
+}
+
+/**
+ * Fills the text of every element with a `data-i18n` attribute and the attributes named by
+ * `data-i18n-placeholder`, `data-i18n-title` and `data-i18n-aria-label`, and sets the page's language
+ * and text direction.
+ * @param {ParentNode} [root=document] - The element or document to localize.
+ */
+function localizeDocument(root = document) {
+    if (root === document) {
+        document.documentElement.lang = getCatalogLanguage();
+        document.documentElement.dir = getTextDirection();
+    }
+    root.querySelectorAll('[data-i18n]').forEach(element => {
+        element.textContent = getMessage(element.dataset.i18n);
+    });
+    for (const attribute of I18N_ATTRIBUTES) {
+        root.querySelectorAll(`[data-i18n-${attribute}]`).forEach(element => {
+            element.setAttribute(attribute, getMessage(element.getAttribute(`data-i18n-${attribute}`)));
+        });
+    }
+}
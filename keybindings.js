@@ -0,0 +1,226 @@
+/**
+ * keybindings.js
+ *
+ * The keyboard shortcuts of the new tab page, in one map that the key handlers, the settings
+ * editor and the "?" overlay all read.
+ * This includes:
+ * - Every action with its description and its keys in the default and the vim preset.
+ * - Parsing and normalizing key names such as "Ctrl+J", "Shift+Enter" or the sequence "d d".
+ * - Matching keyboard events, including two-key sequences, against the active bindings.
+ */
+
+// Where an action applies, in the order the overlay lists them.
+const KEYBINDING_CONTEXTS = {
+    page: getMessage('keyContextPage'),
+    global: getMessage('keyContextGlobal'),
+    quickLinks: getMessage('keyContextQuickLinks'),
+    launchers: getMessage('keyContextLaunchers'),
+    bookmarks: getMessage('keyContextBookmarks'),
+    search: getMessage('keyContextSearch')
+};
+
+// Every shortcut. `keys` are the default bindings and `vim` those of the vim preset, if different.
+// Actions of one context that share a key are tried in this order until one applies, e.g. Enter
+// first shows closed suggestions and only then opens the selected one.
+// `fixed` actions are handled where they are used and cannot be rebound; their keys are only shown.
+const KEYBINDING_ACTIONS = [
+    { id: 'undo', context: 'page', description: getMessage('keyUndo'), keys: ['Ctrl+Z', 'Meta+Z'] },
+
+    { id: 'typeToSearch', context: 'global', description: getMessage('keyTypeToSearch'), keys: [getMessage('keyAnyCharacter')], fixed: true },
+    { id: 'focusSearch', context: 'global', description: getMessage('keyFocusSearch'), keys: ['Enter'], vim: ['Enter', '/'] },
+    { id: 'showShortcuts', context: 'global', description: getMessage('keyShowShortcuts'), keys: ['?'] },
+    { id: 'closePanel', context: 'global', description: getMessage('keyClosePanel'), keys: ['Escape'] },
+
+    { id: 'quickLinkMove', context: 'quickLinks', description: getMessage('keyQuickLinkMove'), keys: ['ArrowLeft', 'ArrowRight'], fixed: true },
+    { id: 'quickLinkReorder', context: 'quickLinks', description: getMessage('keyQuickLinkReorder'), keys: ['Shift+ArrowLeft', 'Shift+ArrowRight'], fixed: true },
+    { id: 'quickLinkMenu', context: 'quickLinks', description: getMessage('keyQuickLinkMenu'), keys: ['ContextMenu', 'Shift+F10'], fixed: true },
+
+    { id: 'launcherMove', context: 'launchers', description: getMessage('keyLauncherMove'), keys: ['ArrowLeft', 'ArrowRight', 'ArrowUp', 'ArrowDown'], fixed: true },
+    { id: 'launcherMoveToEnd', context: 'launchers', description: getMessage('keyLauncherMoveToEnd'), keys: ['Home', 'End'], fixed: true },
+    { id: 'launcherOpen', context: 'launchers', description: getMessage('keyLauncherOpen'), keys: ['Enter', 'Space'], fixed: true },
+    { id: 'launcherOpenWithQuery', context: 'launchers', description: getMessage('keyLauncherOpenWithQuery'), keys: ['Alt+Enter'], fixed: true },
+
+    { id: 'bookmarkNext', context: 'bookmarks', description: getMessage('keyBookmarkNext'), keys: ['ArrowDown'], vim: ['ArrowDown', 'j'] },
+    { id: 'bookmarkPrevious', context: 'bookmarks', description: getMessage('keyBookmarkPrevious'), keys: ['ArrowUp'], vim: ['ArrowUp', 'k'] },
+    { id: 'bookmarkEnterFolder', context: 'bookmarks', description: getMessage('keyBookmarkEnterFolder'), keys: ['ArrowRight'], vim: ['ArrowRight', 'l'] },
+    { id: 'bookmarkParentFolder', context: 'bookmarks', description: getMessage('keyBookmarkParentFolder'), keys: ['ArrowLeft', 'Backspace'], vim: ['ArrowLeft', 'Backspace', 'h'] },
+    { id: 'bookmarkOpenAll', context: 'bookmarks', description: getMessage('keyBookmarkOpenAll'), keys: ['Shift+Alt+Enter'] },
+    { id: 'bookmarkOpen', context: 'bookmarks', description: getMessage('keyBookmarkOpen'), keys: ['Enter'], vim: ['Enter', 'o'] },
+    { id: 'bookmarkOpenInNewTab', context: 'bookmarks', description: getMessage('keyBookmarkOpenInNewTab'), keys: ['Shift+Enter', 'Ctrl+Enter', 'Meta+Enter'], vim: ['Shift+Enter', 'Ctrl+Enter', 'Meta+Enter', 'O'] },
+    { id: 'bookmarkRename', context: 'bookmarks', description: getMessage('keyBookmarkRename'), keys: ['F2'] },
+    { id: 'bookmarkDelete', context: 'bookmarks', description: getMessage('keyBookmarkDelete'), keys: ['Delete'], vim: ['Delete', 'd d'] },
+    { id: 'bookmarkMenu', context: 'bookmarks', description: getMessage('keyBookmarkMenu'), keys: ['ContextMenu', 'Shift+F10'] },
+
+    { id: 'suggestionNext', context: 'search', description: getMessage('keySuggestionNext'), keys: ['ArrowDown'], vim: ['ArrowDown', 'Ctrl+J'] },
+    { id: 'suggestionPrevious', context: 'search', description: getMessage('keySuggestionPrevious'), keys: ['ArrowUp'], vim: ['ArrowUp', 'Ctrl+K'] },
+    { id: 'acceptCompletion', context: 'search', description: getMessage('keyAcceptCompletion'), keys: ['ArrowRight', 'End'] },
+    { id: 'expandGroup', context: 'search', description: getMessage('keyExpandGroup'), keys: ['ArrowRight'] },
+    { id: 'collapseGroup', context: 'search', description: getMessage('keyCollapseGroup'), keys: ['ArrowLeft'] },
+    { id: 'showSuggestions', context: 'search', description: getMessage('keyShowSuggestions'), keys: ['Enter', 'Space'] },
+    { id: 'openSuggestion', context: 'search', description: getMessage('keyOpenSuggestion'), keys: ['Enter'] },
+    { id: 'openSuggestionInNewTab', context: 'search', description: getMessage('keyOpenSuggestionInNewTab'), keys: ['Shift+Enter'] },
+    { id: 'openGroupAsTabGroup', context: 'search', description: getMessage('keyOpenGroupAsTabGroup'), keys: ['Shift+Alt+Enter'] },
+    { id: 'deleteSuggestion', context: 'search', description: getMessage('keyDeleteSuggestion'), keys: ['Delete'] },
+    { id: 'popOperator', context: 'search', description: getMessage('keyPopOperator'), keys: ['Backspace'], fixed: true },
+    { id: 'commandPalette', context: 'search', description: getMessage('keyCommandPalette'), keys: ['>'], fixed: true },
+    { id: 'openLauncher', context: 'search', description: getMessage('keyOpenLauncher'), keys: ['Alt+1…9'], fixed: true },
+    { id: 'closeSuggestions', context: 'search', description: getMessage('keyCloseSuggestions'), keys: ['Escape'] }
+];
+
+// Names accepted for keys that do not type a character, by their lowercase spelling.
+const NAMED_KEYS = Object.fromEntries([
+    'Enter', 'Escape', 'Space', 'Tab', 'Backspace', 'Delete', 'Insert', 'Home', 'End', 'PageUp', 'PageDown',
+    'ArrowUp', 'ArrowDown', 'ArrowLeft', 'ArrowRight', 'ContextMenu',
+    'F1', 'F2', 'F3', 'F4', 'F5', 'F6', 'F7', 'F8', 'F9', 'F10', 'F11', 'F12'
+].map(name => [name.toLowerCase(), name]).concat([
+    ['esc', 'Escape'], ['del', 'Delete'], ['up', 'ArrowUp'], ['down', 'ArrowDown'],
+    ['left', 'ArrowLeft'], ['right', 'ArrowRight'], ['return', 'Enter']
+]));
+
+// Modifiers in the order they are written, with the spellings accepted for each.
+const KEY_MODIFIERS = [
+    { name: 'Ctrl', aliases: ['ctrl', 'control'], property: 'ctrlKey' },
+    { name: 'Shift', aliases: ['shift'], property: 'shiftKey' },
+    { name: 'Alt', aliases: ['alt', 'option'], property: 'altKey' },
+    { name: 'Meta', aliases: ['meta', 'cmd', 'command', 'win'], property: 'metaKey' }
+];
+
+const KEY_SEQUENCE_TIMEOUT = 1000; // How long the second key of a sequence such as "d d" is waited for.
+
+// The first key of a sequence that was pressed, e.g. "d" of "d d": `{context, key, timeStamp}`.
+let pendingKeySequence = null;
+
+/**
+ * Builds the bindings of a preset with the user's changes applied.
+ * @param {string} preset - The `keybindingPreset` setting, "default" or "vim".
+ * @param {Object} [overrides] - Keys chosen by the user, by action id, e.g. `{bookmarkDelete: ["x"]}`.
+ * @returns {Map<string, Array<string>>} The keys of every action, by action id.
+ */
+function resolveKeybindings(preset, overrides) {
+    const bindings = new Map();
+    for (const action of KEYBINDING_ACTIONS) {
+        const override = !action.fixed && Array.isArray(overrides?.[action.id])
+            ? overrides[action.id].map(normalizeKeybinding).filter(Boolean)
+            : null;
+        bindings.set(action.id, override || getPresetKeys(action, preset));
+    }
+    return bindings;
+}
+
+/**
+ * Returns the keys an action has in a preset, before the user's changes.
+ * @param {Object} action - An entry of KEYBINDING_ACTIONS.
+ * @param {string} preset - The `keybindingPreset` setting, "default" or "vim".
+ * @returns {Array<string>} The keys.
+ */
+function getPresetKeys(action, preset) {
+    return preset === 'vim' && action.vim ? action.vim : action.keys;
+}
+
+/**
+ * Converts a key as the user may write it into the form used in the bindings,
+ * e.g. "ctrl+j" into "Ctrl+J", "shift+o" into "O" and "dd" into "d d".
+ * @param {string} text - The key, a modifier combination or a sequence of two keys.
+ * @returns {string|null} The normalized key, or null if it is not a key.
+ */
+function normalizeKeybinding(text) {
+    const trimmed = String(text).trim();
+    // Two equal letters written together, such as "dd" or "gg", are a sequence.
+    const parts = /^([a-z])\1$/i.test(trimmed) ? [trimmed[0], trimmed[1]] : trimmed.split(/\s+/);
+    if (parts.length === 0 || parts.length > 2 || !parts[0]) return null;
+
+    const keys = parts.map(normalizeSingleKey);
+    return keys.every(Boolean) ? keys.join(' ') : null;
+}
+
+/**
+ * Normalizes one key with its modifiers, e.g. "cmd+shift+z" into "Shift+Meta+Z".
+ * @param {string} text - The key.
+ * @returns {string|null} The normalized key, or null if it is not a key.
+ */
+function normalizeSingleKey(text) {
+    // The last part is the key; a trailing "+" is the plus key itself, as in "Ctrl++".
+    const match = /^(.*?)\+?([^+]+|\+)$/.exec(text);
+    if (!match) return null;
+    const modifierNames = match[1] ? match[1].split('+').map(name => name.toLowerCase()) : [];
+    const pressed = {};
+    for (const name of modifierNames) {
+        const modifier = KEY_MODIFIERS.find(m => m.aliases.includes(name));
+        if (!modifier) return null;
+        pressed[modifier.property] = true;
+    }
+
+    let key = match[2];
+    if (key.length > 1) {
+        key = NAMED_KEYS[key.toLowerCase()];
+        if (!key) return null;
+    }
+    return formatKeyName(key, pressed);
+}
+
+/**
+ * Returns the name of the key pressed in a keyboard event, in the form used in the bindings.
+ * @param {KeyboardEvent} event - The keyboard event.
+ * @returns {string|null} The key, e.g. "Ctrl+J", "O" or "Shift+Enter"; null for a lone modifier.
+ */
+function getEventKeyName(event) {
+    if (['Control', 'Shift', 'Alt', 'Meta', 'AltGraph', 'CapsLock', 'Dead', 'Unidentified'].includes(event.key)) {
+        return null;
+    }
+    let key = event.key === ' ' ? 'Space' : event.key;
+    // On macOS, Alt changes the character, e.g. Alt+J types "∆"; use the physical key instead.
+    if (event.altKey && /^(Key[A-Z]|Digit[0-9])$/.test(event.code)) {
+        key = event.code.slice(-1);
+    }
+    return formatKeyName(key, event);
+}
+
+/**
+ * Writes a key with its modifiers. Shift is part of a typed character (e.g. "O" or "?"),
+ * except together with Ctrl, Alt or Meta, where letters are written in upper case.
+ * @param {string} key - The key or character.
+ * @param {Object} modifiers - Which modifiers are pressed, as in a KeyboardEvent.
+ * @returns {string} The key name.
+ */
+function formatKeyName(key, modifiers) {
+    const isCharacter = key.length === 1;
+    const hasCommandModifier = Boolean(modifiers.ctrlKey || modifiers.altKey || modifiers.metaKey);
+    if (isCharacter && (hasCommandModifier || modifiers.shiftKey)) {
+        key = key.toUpperCase();
+    }
+    const names = KEY_MODIFIERS
+        .filter(modifier => modifiers[modifier.property])
+        .filter(modifier => modifier.name !== 'Shift' || !isCharacter || hasCommandModifier)
+        .map(modifier => modifier.name);
+    return [...names, key].join('+');
+}
+
+/**
+ * Finds the actions a keyboard event triggers in a context. The first key of a sequence such
+ * as "d d" is remembered and matches nothing by itself.
+ * @param {Map<string, Array<string>>} bindings - The active bindings, from resolveKeybindings.
+ * @param {string} context - A key of KEYBINDING_CONTEXTS.
+ * @param {KeyboardEvent} event - The keyboard event.
+ * @returns {Array<string>} The ids of the matching actions, in the order they should be tried.
+ */
+function matchKeybinding(bindings, context, event) {
+    const key = getEventKeyName(event);
+    if (!key) return [];
+
+    const actions = KEYBINDING_ACTIONS.filter(action => action.context === context && !action.fixed);
+    const findActions = name => actions.filter(action => bindings.get(action.id)?.includes(name)).map(action => action.id);
+
+    // A pending first key only belongs to its own context, which may be matched after another one.
+    const pending = pendingKeySequence?.context === context ? pendingKeySequence : null;
+    if (pending) pendingKeySequence = null;
+    if (pending && event.timeStamp - pending.timeStamp < KEY_SEQUENCE_TIMEOUT) {
+        const matches = findActions(`${pending.key} ${key}`);
+        if (matches.length > 0) return matches;
+    }
+
+    const matches = findActions(key);
+    if (matches.length === 0 && actions.some(action => bindings.get(action.id)?.some(name => name.startsWith(`${key} `)))) {
+        pendingKeySequence = { context, key, timeStamp: event.timeStamp };
+    }
+    return matches;
+}
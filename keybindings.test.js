@@ -0,0 +1,15 @@
+/**
+ * keybindings.test.js
+ *
+ * Checks that the README's keyboard shortcut tables match KEYBINDING_ACTIONS.
+ * Run it with `node --test` from the repository root.
+ */
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const test = require('node:test');
+const { README_PATH, updateReadme } = require('./tools/keyboard_shortcuts_table.js');
+
+test('README keyboard shortcut tables match the key map', () => {
+    const readme = fs.readFileSync(README_PATH, 'utf8');
+    assert.equal(readme, updateReadme(readme), 'Run `node tools/keyboard_shortcuts_table.js` to update README.md.');
+});
@@ -0,0 +1,129 @@
+/**
+ * operators.js
+ *
+ * Parses the search operators that narrow the local suggestions:
+ * - `in:history`, `in:bookmarks` and `in:tabs` to choose the sources.
+ * - `site:github.com` to keep pages from a host and its subdomains.
+ * - `before:2026-09-01` and `after:yesterday` to limit history to a date range.
+ * - `-word` to drop results that contain a word.
+ */
+
+// Values of `in:` and the suggestion sources they select.
+const OPERATOR_SOURCES = {
+    history: 'history', bookmarks: 'bookmark', bookmark: 'bookmark', tabs: 'tab', tab: 'tab'
+};
+
+/**
+ * Parses one word of the query as an operator.
+ * @param {string} token - A word without spaces, e.g. "site:github.com".
+ * @param {number} [now=Date.now()] - The current time, for relative dates such as "yesterday".
+ * @returns {{key: string, value: string, raw: string}|null} The operator, or null if the word is
+ *     not one, e.g. "in:mail" or "before:someday".
+ */
+function parseSearchOperator(token, now = Date.now()) {
+    const match = /^(in|site|before|after):(\S+)$/i.exec(token);
+    if (match) {
+        const key = match[1].toLowerCase();
+        const value = match[2].toLowerCase();
+        if (key === 'in' && !OPERATOR_SOURCES[value]) return null;
+        if (key === 'site' && !normalizeSiteOperator(value)) return null;
+        if ((key === 'before' || key === 'after') && parseOperatorDate(value, now) === null) return null;
+        return { key, value, raw: `${key}:${value}` };
+    }
+    // "-word" excludes, but "-5" is a number and a lone "-" is just a dash.
+    if (/^-[^\s\d-]/.test(token)) {
+        return { key: 'exclude', value: token.slice(1).toLowerCase(), raw: token };
+    }
+    return null;
+}
+
+/**
+ * Splits a query into its operators and the remaining text.
+ * @param {string} query - The full query, e.g. "react hooks site:github.com -issues".
+ * @param {number} [now=Date.now()] - The current time, for relative dates.
+ * @returns {{text: string, operators: Array<Object>, sources: Set<string>|null, site: string|null,
+ *     startTime: number|null, endTime: number|null, excludes: Array<string>}} The text to search for,
+ *     the recognized operators, the allowed sources (null for all), the site, the history time range
+ *     in milliseconds, and the words to exclude.
+ */
+function parseSearchOperators(query, now = Date.now()) {
+    const result = { text: '', operators: [], sources: null, site: null, startTime: null, endTime: null, excludes: [] };
+    const words = [];
+    for (const token of String(query || '').split(/\s+/).filter(Boolean)) {
+        const operator = parseSearchOperator(token, now);
+        if (!operator) {
+            words.push(token);
+            continue;
+        }
+        result.operators.push(operator);
+        if (operator.key === 'in') {
+            result.sources = result.sources || new Set();
+            result.sources.add(OPERATOR_SOURCES[operator.value]);
+        } else if (operator.key === 'site') {
+            result.site = normalizeSiteOperator(operator.value);
+        } else if (operator.key === 'before') {
+            // Before a day means before it starts.
+            result.endTime = parseOperatorDate(operator.value, now);
+        } else if (operator.key === 'after') {
+            // After a day includes the day itself, as in Gmail.
+            result.startTime = parseOperatorDate(operator.value, now);
+        } else {
+            result.excludes.push(operator.value);
+        }
+    }
+    result.text = words.join(' ');
+    return result;
+}
+
+/**
+ * Checks whether a suggestion passes the site and exclusion operators.
+ * @param {{text?: string, url?: string}} suggestion - The suggestion.
+ * @param {Object} parsed - The result of parseSearchOperators.
+ * @returns {boolean} True if the suggestion should be kept.
+ */
+function matchesSearchOperators(suggestion, parsed) {
+    if (parsed.site) {
+        let host;
+        try {
+            host = new URL(suggestion.url).hostname.replace(/^www\./, '');
+        } catch {
+            return false;
+        }
+        if (host !== parsed.site && !host.endsWith(`.${parsed.site}`)) return false;
+    }
+    const haystack = `${suggestion.text || ''} ${suggestion.url || ''}`.toLowerCase();
+    return parsed.excludes.every(word => !haystack.includes(word));
+}
+
+/**
+ * Turns the value of `site:` into a bare host name.
+ * @param {string} value - E.g. "https://www.github.com/".
+ * @returns {string} E.g. "github.com", or an empty string if nothing is left.
+ */
+function normalizeSiteOperator(value) {
+    return value.toLowerCase()
+        .replace(/^[a-z][a-z0-9+.-]*:\/\//, '')
+        .replace(/[/?#].*$/, '')
+        .replace(/^www\./, '');
+}
+
+/**
+ * Parses the date of `before:` or `after:` as the start of that day, in local time.
+ * @param {string} value - "today", "yesterday", or a date such as "2026-09-01".
+ * @param {number} now - The current time.
+ * @returns {number|null} The start of the day in milliseconds, or null if the date is not valid.
+ */
+function parseOperatorDate(value, now) {
+    const today = new Date(now);
+    if (value === 'today' || value === 'yesterday') {
+        const offset = value === 'yesterday' ? 1 : 0;
+        return new Date(today.getFullYear(), today.getMonth(), today.getDate() - offset).getTime();
+    }
+    const match = /^(\d{4})-(\d{1,2})-(\d{1,2})$/.exec(value);
+    if (!match) return null;
+    const [year, month, day] = match.slice(1).map(Number);
+    const date = new Date(year, month - 1, day);
+    // Reject dates such as 2026-02-31, which Date would roll over into March.
+    if (date.getMonth() !== month - 1 || date.getDate() !== day) return null;
+    return date.getTime();
+}
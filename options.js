@@ -0,0 +1,57 @@
+/**
+ * options.js
+ *
+ * Renders the extension's options page from the shared settings schema
+ * and keeps it in sync with changes made in the new tab's settings drawer.
+ */
+document.addEventListener('DOMContentLoaded', () => {
+    const optionsForm = document.getElementById('options-form');
+
+    if (!optionsForm) {
+        console.error("Required elements not found. Check your HTML IDs and classes.");
+        return;
+    }
+
+    // --- Initial Page Load ---
+    localizeDocument();
+    loadSettings()
+        .catch(error => {
+            console.error("Error loading settings:", error);
+            return getDefaultSettings();
+        })
+        .then(settings => {
+            applyTheme(settings);
+            renderOptions(settings);
+        });
+
+    // "Auto" mode uses the colours last taken from a new tab's background.
+    loadAutoThemeColors().then(setThemeAutoColors);
+    watchSystemColorScheme();
+
+    // Reflect changes made in any new tab while this page is open.
+    onSettingsChanged(settings => {
+        applyTheme(settings);
+        optionsForm.querySelectorAll('.settings-section').forEach(section => fillSettingsForm(section, settings));
+    });
+
+    /**
+     * Renders one section per schema section, each with a heading.
+     * @param {Object} settings - The current settings.
+     */
+    function renderOptions(settings) {
+        optionsForm.innerHTML = '';
+        for (const [section, title] of Object.entries(SETTINGS_SECTIONS)) {
+            const container = document.createElement('section');
+            container.className = 'settings-section';
+
+            const heading = document.createElement('h2');
+            heading.textContent = title;
+
+            const fields = document.createElement('div');
+            renderSettingsForm(fields, section, settings);
+
+            container.append(heading, fields);
+            optionsForm.appendChild(container);
+        }
+    }
+});
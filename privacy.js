@@ -0,0 +1,112 @@
+/**
+ * privacy.js
+ *
+ * Decides when nothing may leave the browser, i.e. the suggestion and favicon services are not contacted:
+ * - In private mode, turned on in the settings or automatically in incognito windows.
+ * - For queries that look like secrets, such as API keys, passwords or URLs carrying tokens.
+ */
+
+// Well-known secret formats, e.g. "ghp_…" GitHub tokens or "AKIA…" AWS keys. They match the
+// prefix alone, so the start of a key is kept local while it is still being typed.
+const SECRET_PATTERNS = [
+    /\b(?:gh[pousr]|github_pat)_/, // GitHub tokens
+    /\b(?:sk|pk|rk)_(?:live|test)_/, // Stripe keys
+    /\bsk-/, // API secret keys, e.g. OpenAI
+    /\bxox[abposr]-/, // Slack tokens
+    /\bAKIA/, // AWS access key IDs
+    /\bAIza/, // Google API keys
+    /\beyJ/, // JSON Web Tokens
+    /-----BEGIN /, // PEM keys
+    /\b(?:password|passwd|pwd|secret|token|api[_-]?key)\s*[:=]/i
+];
+
+// URL parameters that usually carry credentials, e.g. "?access_token=…" or "#id_token=…".
+const SENSITIVE_URL_PARAM = /token|secret|passw(?:or)?d|^pwd$|api_?key|^key$|^auth|signature|^sig$|session|^sid$|^code$/i;
+
+/**
+ * Checks whether the page runs in an incognito window.
+ * @returns {boolean} True in incognito.
+ */
+function isIncognitoContext() {
+    return Boolean(chrome.extension?.inIncognitoContext);
+}
+
+/**
+ * Checks whether private mode is on, by the setting or because the window is incognito.
+ * @param {Object} settings - The current settings.
+ * @returns {boolean} True if the suggestion and favicon services must not be contacted.
+ */
+function isPrivateModeActive(settings) {
+    return Boolean(settings.privateMode) || isIncognitoContext();
+}
+
+/**
+ * Checks whether icons may be fetched from Google's favicon service.
+ * @param {Object} settings - The current settings.
+ * @returns {boolean} True if the setting is on and private mode is off.
+ */
+function allowsRemoteFavicons(settings) {
+    return Boolean(settings.remoteFavicons) && !isPrivateModeActive(settings);
+}
+
+/**
+ * Checks whether a query looks like a secret that must not be sent anywhere: a known key format,
+ * a URL with credentials or tokens, or a long random string.
+ * @param {string} query - The query as typed.
+ * @returns {boolean} True if the query should stay local.
+ */
+function looksSensitive(query) {
+    if (SECRET_PATTERNS.some(pattern => pattern.test(query))) return true;
+    return query.split(/\s+/).some(word => isUrlWithCredentials(word) || isRandomToken(word));
+}
+
+/**
+ * Checks whether a word is a URL with a user name, a password or a credential parameter.
+ * @param {string} word - A word of the query, e.g. "https://example.com/cb?code=abc".
+ * @returns {boolean} True if the URL carries credentials.
+ */
+function isUrlWithCredentials(word) {
+    const hasScheme = /^[a-z][a-z0-9+.-]*:\/\//i.test(word);
+    // Without a scheme, "name@example.com" parses as a user name, so e-mail addresses stay local too.
+    if (!hasScheme && !/[?#@]/.test(word)) return false;
+
+    let url;
+    try {
+        url = new URL(hasScheme ? word : `https://${word}`);
+    } catch {
+        return false;
+    }
+    if (url.username || url.password) return true;
+    const params = new URLSearchParams(`${url.search.slice(1)}&${url.hash.slice(1)}`);
+    return Array.from(params.keys()).some(key => SENSITIVE_URL_PARAM.test(key));
+}
+
+/**
+ * Checks whether a word looks like a generated key rather than language. Keys are recognized early,
+ * so little of them is sent while they are typed: from 12 characters that mix lower case, upper case
+ * and digits and do not read like words, or from 16 hexadecimal characters with digits and letters.
+ * From 24 mixed or 32 hexadecimal characters on, any such word counts, even one that reads like words.
+ * @param {string} word - A word of the query.
+ * @returns {boolean} True if the word looks random.
+ */
+function isRandomToken(word) {
+    if (/^[0-9a-f]{32,}$/i.test(word)) return true;
+    if (/^[0-9a-f]{16,}$/i.test(word) && /[0-9]/.test(word) && /[a-f]/i.test(word)) return true;
+    if (word.length < 12 || !/^[A-Za-z0-9_+/=.-]+$/.test(word)) return false;
+    const isMixed = /[a-z]/.test(word) && /[A-Z]/.test(word) && /[0-9]/.test(word);
+    return isMixed && (word.length >= 24 || !isPronounceable(word));
+}
+
+/**
+ * Checks whether the letters of a word read like language. The word is split into its camel case
+ * parts, and at least half of the letters must be in parts of three or more letters with a vowel:
+ * "iPhone15ProMax" and "SQLServer2019" are words, "x7Kq9TzR2mWp" is not.
+ * @param {string} word - A word of the query.
+ * @returns {boolean} True if the word reads like one or more words.
+ */
+function isPronounceable(word) {
+    const parts = word.match(/[A-Z]?[a-z]+|[A-Z]+(?![a-z])/g) || [];
+    const letterCount = parts.join('').length;
+    const wordLetterCount = parts.filter(part => part.length >= 3 && /[aeiouy]/i.test(part)).join('').length;
+    return wordLetterCount >= letterCount / 2;
+}
@@ -13,30 +13,202 @@ document.addEventListener('DOMContentLoaded', () => {
     // Caching DOM elements for performance.
     const searchForm = document.getElementById('search-form');
     const searchInput = document.getElementById('search-input');
-    const geminiButton = document.getElementById('gemini-icon-button');
+    const searchChips = document.getElementById('search-chips');
+    const remoteIndicator = document.getElementById('remote-indicator');
+    const launcherDock = document.getElementById('launcher-dock');
     const matchesList = document.getElementById('matches-list');
     const quickLinksGrid = document.getElementById('quick-links-grid');
     const searchContainer = document.querySelector('.search-container');
+    const settingsButton = document.getElementById('settings-button');
+    const settingsDrawer = document.getElementById('settings-drawer');
+    const searchEnginesList = document.getElementById('search-engines-list');
+    const addSearchEngineButton = document.getElementById('add-search-engine');
+    const launcherList = document.getElementById('launcher-list');
+    const addLauncherButton = document.getElementById('add-launcher');
+    const suggestionProviderSelect = document.getElementById('suggestion-provider-select');
+    const rankingWeightsContainer = document.getElementById('ranking-weights');
+    const rankingDebugToggle = document.getElementById('ranking-debug-toggle');
+    const quickLinkMenu = document.getElementById('quick-link-menu');
+    const shortcutDialog = document.getElementById('shortcut-dialog');
+    const shortcutNameInput = document.getElementById('shortcut-name');
+    const shortcutUrlInput = document.getElementById('shortcut-url');
+    const shortcutDialogError = document.getElementById('shortcut-error');
+    const restoreShortcutsButton = document.getElementById('restore-shortcuts');
+    const backgroundUploadInput = document.getElementById('background-upload');
+    const backgroundList = document.getElementById('background-list');
+    const recentlyClosedPanel = document.getElementById('recently-closed');
+    const bookmarksButton = document.getElementById('bookmarks-button');
+    const bookmarksPanel = document.getElementById('bookmarks-panel');
+    const bookmarkBreadcrumbs = document.getElementById('bookmark-breadcrumbs');
+    const bookmarkList = document.getElementById('bookmark-list');
+    const bookmarkOpenAllButton = document.getElementById('bookmark-open-all');
+    const bookmarkMenu = document.getElementById('bookmark-menu');
+    const bookmarkDialog = document.getElementById('bookmark-dialog');
+    const bookmarkTitleInput = document.getElementById('bookmark-title');
+    const bookmarkUrlInput = document.getElementById('bookmark-url');
+    const bookmarkFolderSelect = document.getElementById('bookmark-folder');
+    const bookmarkDialogError = document.getElementById('bookmark-error');
+    const snackbar = document.getElementById('snackbar');
+    const snackbarMessage = document.getElementById('snackbar-message');
+    const snackbarUndoButton = document.getElementById('snackbar-undo');
+    const keyboardHelpDialog = document.getElementById('keyboard-help-dialog');
+    const keyboardHelpList = document.getElementById('keyboard-help-list');
+    const keybindingList = document.getElementById('keybinding-list');
+    const resetKeybindingsButton = document.getElementById('reset-keybindings');
 
     // Early exit if essential elements are not found.
-    if (!searchForm || !searchInput || !geminiButton || !matchesList || !quickLinksGrid || !searchContainer) {
+    if (!searchForm || !searchInput || !searchChips || !remoteIndicator || !launcherDock || !matchesList || !quickLinksGrid || !searchContainer
+        || !settingsButton || !settingsDrawer || !searchEnginesList || !addSearchEngineButton || !launcherList
+        || !addLauncherButton || !suggestionProviderSelect
+        || !rankingWeightsContainer || !rankingDebugToggle || !quickLinkMenu || !shortcutDialog
+        || !shortcutNameInput || !shortcutUrlInput || !shortcutDialogError || !restoreShortcutsButton
+        || !backgroundUploadInput || !backgroundList || !recentlyClosedPanel || !bookmarksButton || !bookmarksPanel
+        || !bookmarkBreadcrumbs || !bookmarkList || !bookmarkOpenAllButton || !bookmarkMenu || !bookmarkDialog
+        || !bookmarkTitleInput || !bookmarkUrlInput || !bookmarkFolderSelect || !bookmarkDialogError
+        || !snackbar || !snackbarMessage || !snackbarUndoButton || !keyboardHelpDialog || !keyboardHelpList
+        || !keybindingList || !resetKeybindingsButton) {
         console.error("Required elements not found. Check your HTML IDs and classes.");
         return;
     }
 
+    // --- Constants ---
+    // Tunable values such as the debounce delay and list sizes live in `settings` (see settings.js).
+    const SEARCH_ENGINES_KEY = 'searchEngines';
+
+    // Built-in search engines. Each URL template uses `%s` as the placeholder for the query.
+    const DEFAULT_SEARCH_ENGINES = [
+        { id: 'google', name: 'Google', keyword: 'g', url: 'https://www.google.com/search?q=%s' },
+        { id: 'github', name: 'GitHub', keyword: 'gh', url: 'https://github.com/search?q=%s' },
+        { id: 'youtube', name: 'YouTube', keyword: 'yt', url: 'https://www.youtube.com/results?search_query=%s' },
+        { id: 'wikipedia', name: 'Wikipedia', keyword: 'w', url: 'https://en.wikipedia.org/wiki/Special:Search?search=%s' }
+    ];
+    const DEFAULT_ENGINE_ID = 'google';
+    const LAUNCHERS_KEY = 'launchers';
+    // The dock starts with Gemini, which used to be its only button. `icon` names a built-in icon,
+    // holds an uploaded image as a data URL, or is null for the site's favicon.
+    const DEFAULT_LAUNCHERS = [
+        { id: 'gemini', name: 'Gemini', url: 'https://gemini.google.com/', queryUrl: '', icon: 'gemini' }
+    ];
+    const LAUNCHER_ICON_MAX_SIZE = 64 * 1024; // Uploaded launcher icons are kept in chrome.storage.local.
+    const KEYBINDINGS_KEY = 'keybindings'; // Keys the user changed, by action id (see keybindings.js).
+    const SUGGESTION_PROVIDER_KEY = 'suggestionProvider';
+
+    // Remote suggestion backends. All of them answer with the OpenSearch suggestions
+    // JSON format (`[query, [completions], ...]`); `%s` in the endpoint is replaced by the query
+    // and `%l` by the browser's language.
+    const SUGGESTION_PROVIDERS = {
+        google: {
+            name: 'Google',
+            endpoint: 'https://suggestqueries.google.com/complete/search?client=chrome&hl=%l&q=%s',
+            origin: 'https://suggestqueries.google.com/*',
+            timeout: 1500,
+            parse: parseOpenSearchSuggestions
+        },
+        duckduckgo: {
+            name: 'DuckDuckGo',
+            endpoint: 'https://duckduckgo.com/ac/?type=list&q=%s',
+            origin: 'https://duckduckgo.com/*',
+            timeout: 2000,
+            parse: parseOpenSearchSuggestions
+        },
+        bing: {
+            name: 'Bing',
+            endpoint: 'https://api.bing.com/osjson.aspx?query=%s',
+            origin: 'https://api.bing.com/*',
+            timeout: 2000,
+            parse: parseOpenSearchSuggestions
+        },
+        wikipedia: {
+            name: 'Wikipedia',
+            endpoint: 'https://en.wikipedia.org/w/api.php?action=opensearch&format=json&limit=10&search=%s',
+            origin: 'https://en.wikipedia.org/*',
+            timeout: 2500,
+            parse: parseWikipediaSuggestions
+        }
+    };
+    const DEFAULT_SUGGESTION_PROVIDER = 'google';
+    const NO_SUGGESTION_PROVIDER = 'none';
+    const RANKING_WEIGHTS_KEY = 'rankingWeights';
+    const RANKING_DEBUG_KEY = 'rankingDebug';
+    const QUICK_LINKS_KEY = 'quickLinks';
+    const RECENTLY_CLOSED_SUGGESTIONS = 5; // Closed tabs and windows shown above the history on an empty search.
+    const RECENTLY_CLOSED_PANEL_ITEMS = 10;
+    const INLINE_COMPLETION_HISTORY = 2000; // History items read to find hosts for inline completion.
+    const HISTORY_SUBGROUP_THRESHOLD = 6; // History groups with more pages than this are split into sub-groups.
+    const UNDO_DELETION_DELAY = 5000; // How long a history deletion can be undone before it is committed.
+    const BOOKMARK_ROOT_ID = '0'; // The invisible root of the bookmark tree.
+    const BOOKMARK_DEFAULT_FOLDER_ID = '1'; // The bookmarks bar, shown when the browser first opens.
+    // Colours of the tab groups made by "Open all", picked by the group's name.
+    const TAB_GROUP_COLORS = ['blue', 'red', 'yellow', 'green', 'pink', 'purple', 'cyan', 'orange', 'grey'];
+
+    // Weights for the suggestion ranking. Every candidate is scored on the same scale,
+    // whatever its source, and the list is sorted by that score.
+    const DEFAULT_RANKING_WEIGHTS = {
+        visitCount: 1.5,         // Multiplied by log2(visits + 1).
+        typedCount: 2,           // Multiplied by log2(typed visits + 1).
+        recency: 4,              // Multiplied by a 0–1 decay based on the last visit.
+        recencyHalfLifeDays: 7,  // Days until the recency bonus halves.
+        matchHost: 6,            // The query is the start of the site's host name.
+        matchPrefix: 4,          // The title or URL starts with the query.
+        matchWordBoundary: 2,    // A word in the title or URL starts with the query.
+        matchSubstring: 1,       // The query appears anywhere else.
+        sourceBookmark: 3,
+        sourceHistory: 0,
+        sourceTab: 4,            // Open tabs, so "Switch to tab" beats opening another copy.
+        sourceSearch: 3,         // Remote suggestions, scaled down by their position in the response.
+        sourceKeyword: 100       // Keeps "Search GitHub for …" on top.
+    };
+
+    // Labels for the weight inputs in the settings drawer.
+    const RANKING_WEIGHT_LABELS = {
+        visitCount: getMessage('rankingVisitCount'),
+        typedCount: getMessage('rankingTypedCount'),
+        recency: getMessage('rankingRecency'),
+        recencyHalfLifeDays: getMessage('rankingRecencyHalfLifeDays'),
+        matchHost: getMessage('rankingMatchHost'),
+        matchPrefix: getMessage('rankingMatchPrefix'),
+        matchWordBoundary: getMessage('rankingMatchWordBoundary'),
+        matchSubstring: getMessage('rankingMatchSubstring'),
+        sourceBookmark: getMessage('rankingSourceBookmark'),
+        sourceHistory: getMessage('rankingSourceHistory'),
+        sourceTab: getMessage('rankingSourceTab'),
+        sourceSearch: getMessage('rankingSourceSearch'),
+        sourceKeyword: getMessage('rankingSourceKeyword')
+    };
+
     // --- State ---
     let abortController = new AbortController(); // To cancel in-flight fetch requests.
     let userFocusedInput = false; // Tracks if the user has intentionally focused the input.
     const expandedGroups = new Set(); // Remember which groups are expanded across refreshes.
-    let originalUserQuery = ''; // To store the user's typed query during keyboard navigation.
+    let originalUserQuery = ''; // Exactly what the user typed, restored after keyboard navigation or Escape.
+    let searchOperators = []; // Operators turned into chips in the search bar, e.g. site:github.com.
+    let isQueryKeptLocal = false; // The user kept the current query from the suggestion service.
+    let wasQuerySensitive = false; // Whether the last query looked like a secret, see fetchSuggestions.
+    let inlineCompletions = []; // Hosts and typed URLs for inline completion, best first.
+    let inlineCompletion = null; // The completion shown in the input: `{typed, value}`.
     let isDisplayingInitialSuggestions = false; // Tracks if the current view is the initial history.
-
-    // --- Constants ---
-    const DEBOUNCE_DELAY = 200;
-    const MAX_SUGGESTIONS = 10;
-    const MAX_INITIAL_HISTORY = 100;
-    const MAX_QUERY_HISTORY = 50;
-    const MAX_QUICK_LINKS = 8;
+    let searchEngines = DEFAULT_SEARCH_ENGINES; // Engines available for keyword searches.
+    let defaultEngineId = DEFAULT_ENGINE_ID; // The engine used when no keyword is typed.
+    let launchers = DEFAULT_LAUNCHERS; // The buttons in the dock next to the search bar.
+    let keybindingOverrides = {}; // Keys the user changed, by action id.
+    let keybindings = resolveKeybindings('default'); // The active keys of every action, by action id.
+    let suggestionProviderId = DEFAULT_SUGGESTION_PROVIDER; // The active remote suggestion backend.
+    let rankingWeights = { ...DEFAULT_RANKING_WEIGHTS }; // Tunable weights for scoring suggestions.
+    let isRankingDebugEnabled = false; // Shows each suggestion's score breakdown as a tooltip.
+    let settings = getDefaultSettings(); // User settings from chrome.storage.sync, applied live.
+    let quickLinksLayout = { pinned: [], hidden: [], order: [] }; // Pinned, hidden and reordered quick links.
+    let topSiteUrls = null; // The URLs chrome.topSites returned last, used to prune the saved layout.
+    let draggedQuickLink = null; // The tile being dragged, if any.
+    let quickLinkMenuTile = null; // The tile whose context menu is open.
+    let backgroundRecords = []; // Uploaded background images, oldest first.
+    let currentBackground = null; // The background shown in this tab.
+    let backgroundThumbnailUrls = []; // Object URLs of the thumbnails in the settings list.
+    let bookmarkNodesPromise = null; // The bookmark tree indexed by ID, dropped when bookmarks change.
+    let bookmarkFolderId = BOOKMARK_DEFAULT_FOLDER_ID; // The folder shown in the bookmark browser.
+    let bookmarkMenuRow = null; // The bookmark row whose context menu is open.
+    let pendingBookmarkSelection = null; // The row to select after a deletion refreshes the list.
+    let pendingDeletion = null; // History URLs removed from the list but not yet deleted, with how to undo it.
+    let suggestionsRenderCount = 0; // Incremented whenever the suggestion list is rebuilt or cleared.
 
     // --- Debounce Function ---
     /**
@@ -74,32 +246,239 @@ document.addEventListener('DOMContentLoaded', () => {
 
         if (selectedItem) {
             // If a keyboard-selected item exists, trigger its navigation logic.
-            // We can directly call performSearch with the correct parameters.
             const data = selectedItem.suggestionData;
             if (data) {
-                // Use the URL if available, otherwise the text, for the search.
-                performSearch(data.url || data.text, openInNewTab);
+                activateSuggestion(data, openInNewTab);
             }
+        } else if (isCommandQuery(searchInput.value)) {
+            // In the command palette, Enter runs the best match. A lone ">" lists every command
+            // without choosing one, so it only runs what the user selects.
+            const firstItem = getVisibleSuggestionItems()[0];
+            if (firstItem?.suggestionData && getCommandText(searchInput.value)) activateSuggestion(firstItem.suggestionData);
         } else {
-            // Otherwise, perform a standard search with the input's value.
-            performSearch(searchInput.value, openInNewTab);
+            // Otherwise, perform a standard search with the input's value and the operators the engine understands.
+            performSearch(getWebSearchQuery(), openInNewTab);
         }
     });
 
-    // Handle clicks on the Gemini button to open it.
-    geminiButton.addEventListener('mousedown', (e) => {
+    // Open a launcher: left-click in this tab, middle-click or Ctrl/Cmd-click in a new tab.
+    // Holding Alt sends the typed query along.
+    launcherDock.addEventListener('mousedown', (e) => {
+        const button = e.target.closest('.launcher-button');
+        if (!button || e.button > 1) return;
         e.preventDefault();
-        const geminiUrl = 'https://gemini.google.com/';
         const openInNewTab = e.button === 1 || e.ctrlKey || e.metaKey;
+        openLauncher(button.launcher, e.altKey ? searchInput.value.trim() : '', openInNewTab);
+    });
+
+    launcherDock.addEventListener('keydown', handleLauncherDockKeyDown);
+
+    resetKeybindingsButton.addEventListener('click', () => {
+        saveKeybindingOverrides({});
+        renderKeybindingList();
+    });
+
+    addLauncherButton.addEventListener('click', () => {
+        const row = createLauncherRow({ id: `custom-${Date.now()}`, name: '', url: '', queryUrl: '', icon: null });
+        launcherList.appendChild(row);
+        row.querySelector('input')?.focus();
+    });
+
+    // Toggle the settings drawer.
+    settingsButton.addEventListener('click', () => {
+        toggleSettingsDrawer(settingsDrawer.hidden);
+    });
+
+    settingsDrawer.querySelector('.settings-close-button')?.addEventListener('click', () => {
+        toggleSettingsDrawer(false);
+        settingsButton.focus();
+    });
+
+    // Add an empty, unsaved engine row to the list.
+    addSearchEngineButton.addEventListener('click', () => {
+        const row = createSearchEngineRow({ id: `custom-${Date.now()}`, name: '', keyword: '', url: '' }, true);
+        searchEnginesList.appendChild(row);
+        row.querySelector('input')?.focus();
+    });
+
+    // Switch the remote suggestion backend, asking for its host permission first.
+    suggestionProviderSelect.addEventListener('change', () => {
+        selectSuggestionProvider(suggestionProviderSelect.value);
+    });
+
+    // Show or hide the score breakdown tooltips.
+    rankingDebugToggle.addEventListener('change', () => {
+        isRankingDebugEnabled = rankingDebugToggle.checked;
+        storageSet('sync', { [RANKING_DEBUG_KEY]: isRankingDebugEnabled })
+            .catch(error => console.error("Error saving ranking debug flag:", error));
+    });
+
+    // Open and close the bookmark browser.
+    bookmarksButton.addEventListener('click', () => {
+        toggleBookmarksPanel(bookmarksPanel.hidden);
+    });
+
+    bookmarksPanel.querySelector('.settings-close-button').addEventListener('click', () => {
+        toggleBookmarksPanel(false);
+        bookmarksButton.focus();
+    });
+
+    bookmarkList.addEventListener('keydown', handleBookmarkListKeyDown);
+
+    bookmarkOpenAllButton.addEventListener('click', () => {
+        openAllBookmarks(bookmarkFolderId);
+    });
+
+    // Run the chosen bookmark menu action, with the same keyboard support as the quick link menu.
+    bookmarkMenu.addEventListener('click', (e) => {
+        const menuItem = e.target.closest('[data-action]');
+        if (menuItem) runBookmarkMenuAction(menuItem.dataset.action);
+    });
+
+    bookmarkMenu.addEventListener('keydown', (e) => {
+        const items = Array.from(bookmarkMenu.querySelectorAll('[role="menuitem"]:not([hidden])'));
+        const index = items.indexOf(document.activeElement);
+        if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+            e.preventDefault();
+            const step = e.key === 'ArrowDown' ? 1 : -1;
+            items[(index + step + items.length) % items.length]?.focus();
+        } else if (e.key === 'Escape' || e.key === 'Tab') {
+            e.preventDefault();
+            closeBookmarkMenu(true);
+        }
+    });
+
+    bookmarkDialog.querySelector('form').addEventListener('submit', (e) => {
+        e.preventDefault();
+        saveBookmarkDialog();
+    });
+
+    bookmarkDialog.querySelector('.bookmark-cancel-button').addEventListener('click', () => {
+        bookmarkDialog.close();
+        bookmarkList.focus();
+    });
+
+    // Re-read the bookmark tree when bookmarks change in this or any other window.
+    // Imports fire many events at once, so the browser is re-rendered once they settle.
+    if (chrome.bookmarks) {
+        const debouncedRefreshBookmarks = debounce(refreshBookmarksPanel, 100);
+        const bookmarkEvents = [
+            chrome.bookmarks.onCreated,
+            chrome.bookmarks.onRemoved,
+            chrome.bookmarks.onChanged,
+            chrome.bookmarks.onMoved,
+            chrome.bookmarks.onChildrenReordered,
+            chrome.bookmarks.onImportEnded
+        ];
+        bookmarkEvents.forEach(bookmarkEvent => bookmarkEvent.addListener(() => {
+            bookmarkNodesPromise = null;
+            debouncedRefreshBookmarks();
+        }));
+    }
+
+    // Reorder quick links by dragging them.
+    quickLinksGrid.addEventListener('dragover', handleQuickLinkDragOver);
+    quickLinksGrid.addEventListener('drop', (e) => e.preventDefault());
+
+    // Run the chosen quick link menu action.
+    quickLinkMenu.addEventListener('click', (e) => {
+        const menuItem = e.target.closest('[data-action]');
+        if (menuItem) runQuickLinkMenuAction(menuItem.dataset.action);
+    });
+
+    // Keyboard support for the quick link menu: arrows move between items, Escape closes it.
+    quickLinkMenu.addEventListener('keydown', (e) => {
+        const items = Array.from(quickLinkMenu.querySelectorAll('[role="menuitem"]:not([hidden])'));
+        const index = items.indexOf(document.activeElement);
+        if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+            e.preventDefault();
+            const step = e.key === 'ArrowDown' ? 1 : -1;
+            items[(index + step + items.length) % items.length]?.focus();
+        } else if (e.key === 'Escape' || e.key === 'Tab') {
+            e.preventDefault();
+            closeQuickLinkMenu(true);
+        }
+    });
+
+    // Save or cancel the add/edit shortcut dialog.
+    shortcutDialog.querySelector('form').addEventListener('submit', (e) => {
+        e.preventDefault();
+        saveShortcutDialog();
+    });
+
+    shortcutDialog.querySelector('.shortcut-cancel-button').addEventListener('click', () => {
+        shortcutDialog.close();
+    });
+
+    // Bring back every top site that was removed from the grid.
+    restoreShortcutsButton.addEventListener('click', () => {
+        saveQuickLinksLayout({ ...quickLinksLayout, hidden: [] });
+    });
+
+    // Import the chosen images as new backgrounds and show the last one.
+    backgroundUploadInput.addEventListener('change', async () => {
+        const files = Array.from(backgroundUploadInput.files || []);
+        backgroundUploadInput.value = '';
+        let imported = null;
+        for (const file of files) {
+            try {
+                imported = await importBackgroundImage(file);
+            } catch (error) {
+                console.error(`Error importing background "${file.name}":`, error);
+            }
+        }
+        await loadBackgrounds(imported?.id);
+    });
+
+    // Keep the recently closed panel current as tabs are closed and restored.
+    chrome.sessions?.onChanged.addListener(() => renderRecentlyClosedPanel());
 
-        performSearch(geminiUrl, openInNewTab);
+    // Refresh the background list when it changes in another tab.
+    onBackgroundsChanged(() => loadBackgrounds());
+
+    // Keep every open tab in sync when the engine list, suggestion backend or ranking changes elsewhere.
+    chrome.storage?.onChanged.addListener((changes, areaName) => {
+        if (areaName === 'sync' && changes[QUICK_LINKS_KEY]) {
+            quickLinksLayout = normalizeQuickLinksLayout(changes[QUICK_LINKS_KEY].newValue);
+            displayTopSites();
+        }
+        if (areaName === 'sync' && (changes[RANKING_WEIGHTS_KEY] || changes[RANKING_DEBUG_KEY])) {
+            applyRankingSettings({
+                [RANKING_WEIGHTS_KEY]: changes[RANKING_WEIGHTS_KEY]?.newValue ?? rankingWeights,
+                [RANKING_DEBUG_KEY]: changes[RANKING_DEBUG_KEY]?.newValue ?? isRankingDebugEnabled
+            });
+        }
+        if (areaName === 'sync' && changes[SUGGESTION_PROVIDER_KEY]) {
+            applySuggestionProvider(changes[SUGGESTION_PROVIDER_KEY].newValue);
+        }
+        if (areaName === 'sync' && changes[SEARCH_ENGINES_KEY]) {
+            const { newValue } = changes[SEARCH_ENGINES_KEY];
+            // Skip the echo of this tab's own save so rows being edited are not re-rendered.
+            const current = { engines: searchEngines, defaultId: defaultEngineId };
+            if (JSON.stringify(newValue) !== JSON.stringify(current)) {
+                applySearchEngines(newValue);
+            }
+        }
+        if (areaName === 'sync' && changes[KEYBINDINGS_KEY]) {
+            const { newValue } = changes[KEYBINDINGS_KEY];
+            if (JSON.stringify(newValue) !== JSON.stringify(keybindingOverrides)) {
+                applyKeybindings(newValue);
+            }
+        }
+        if (areaName === 'local' && changes[LAUNCHERS_KEY]) {
+            const { newValue } = changes[LAUNCHERS_KEY];
+            if (JSON.stringify(newValue) !== JSON.stringify(launchers)) {
+                applyLaunchers(newValue);
+            }
+        }
     });
 
     // When the search input is focused, show initial history or fetch suggestions.
     searchInput.addEventListener('focus', () => {
         userFocusedInput = true;
+        loadInlineCompletions();
         const query = searchInput.value.trim();
-        if (query.length > 0) {
+        if (query.length > 0 || searchOperators.length > 0) {
             fetchSuggestions(query);
         } else {
             searchInput.setAttribute('aria-expanded', 'true');
@@ -113,24 +492,67 @@ document.addEventListener('DOMContentLoaded', () => {
     });
 
     // Create a debounced version of the fetchSuggestions function.
-    const debouncedFetchSuggestions = debounce(fetchSuggestions, DEBOUNCE_DELAY);
+    // It is recreated when the delay setting changes.
+    let debouncedFetchSuggestions = debounce(fetchSuggestions, settings.debounceDelay);
 
     // Fetch suggestions as the user types in the search input.
-    searchInput.addEventListener('input', () => {
-        const query = searchInput.value.trim();
-        originalUserQuery = query; // Store the user's own typing
-        if (query.length > 0) {
+    searchInput.addEventListener('input', (event) => {
+        inlineCompletion = null; // Typing replaced or deleted the selected completion.
+        // A leading ">" turns the dropdown into the command palette, without chips or completions.
+        const isCommand = isCommandQuery(searchInput.value);
+        // A finished operator, such as "site:github.com" followed by a space, becomes a chip.
+        const isSpace = event.inputType === 'insertText' && event.data === ' ';
+        const addedChip = !isCommand && (isSpace || event.inputType === 'insertFromPaste')
+            && extractSearchOperators(event.inputType === 'insertFromPaste');
+        originalUserQuery = searchInput.value; // Store the user's own typing
+        // Complete only while typing forward, so Backspace and Delete remove the completion for good.
+        if (event.inputType === 'insertText' && !event.isComposing && !addedChip && !isCommand) {
+            applyInlineCompletion();
+        }
+        const query = originalUserQuery.trim();
+        if (isCommand) {
+            // Commands are matched locally, so there is nothing to wait for.
+            debouncedFetchSuggestions.cancel();
+            showCommandPalette(query);
+        } else if (query.length > 0 || searchOperators.length > 0) {
             debouncedFetchSuggestions(query);
         } else {
             // Cancel any scheduled (debounced) suggestion fetch to prevent a race condition
             // where old results appear after clearing the input.
             debouncedFetchSuggestions.cancel();
+            isQueryKeptLocal = false; // The opt-out ends with the query.
             showInitialSuggestions();
         }
+        updateRemoteIndicator(query);
+    });
+
+    // Keep the current query from the suggestion service, or allow it again.
+    remoteIndicator.addEventListener('mousedown', (e) => e.preventDefault()); // Keep the focus in the search bar.
+    remoteIndicator.addEventListener('click', () => {
+        if (remoteIndicator.getAttribute('aria-disabled') === 'true') return;
+        isQueryKeptLocal = !isQueryKeptLocal;
+        const query = searchInput.value.trim();
+        updateRemoteIndicator(query);
+        if (query.length > 0 || searchOperators.length > 0) fetchSuggestions(query);
+    });
+
+    // An IME composition replaces the text being composed, so drop the completion first.
+    searchInput.addEventListener('compositionstart', () => {
+        removeInlineCompletion();
     });
 
     // Allow closing the suggestions with the 'Escape' key.
     document.addEventListener('keydown', (event) => {
+        // Ctrl+Z undoes a pending history deletion from the search bar, the snackbar or anything
+        // that is not a text field; other fields, e.g. in the settings or a dialog, keep their own undo.
+        const focused = document.activeElement;
+        const isOtherTextField = focused !== searchInput && !snackbar.contains(focused)
+            && (focused?.matches('input, textarea, select') || focused?.isContentEditable);
+        if (pendingDeletion && !isOtherTextField && matchKeybinding(keybindings, 'page', event).includes('undo')) {
+            event.preventDefault();
+            undoPendingDeletion();
+            return;
+        }
         // If the user is typing in the search input, handle special keys.
         if (document.activeElement === searchInput) {
             handleSearchInputKeyDown(event);
@@ -145,103 +567,205 @@ document.addEventListener('DOMContentLoaded', () => {
      * @param {KeyboardEvent} event The keyboard event.
      */
     function handleSearchInputKeyDown(event) {
+        // Keys pressed while an IME is composing belong to the IME.
+        if (event.isComposing) return;
+
         const selectedItem = matchesList.querySelector('.suggestion-item.selected');
 
-        switch (event.key) {
-            case 'Escape':
-                if (searchContainer.classList.contains('has-suggestions')) {
-                    clearSuggestions();
-                } else {
-                    searchInput.blur();
-                }
-                break;
+        // Alt + a number sends the query to that launcher; Shift opens it in a new tab.
+        const launcherNumber = event.altKey && !event.ctrlKey && !event.metaKey && /^Digit([1-9])$/.exec(event.code);
+        if (launcherNumber && launchers[launcherNumber[1] - 1]) {
+            event.preventDefault();
+            openLauncher(launchers[launcherNumber[1] - 1], searchInput.value.trim(), event.shiftKey);
+            return;
+        }
 
-            case 'Enter':
-            case ' ':
-                if (!searchContainer.classList.contains('has-suggestions')) {
-                    event.preventDefault();
-                    const query = searchInput.value.trim();
-                    query ? fetchSuggestions(query) : showInitialSuggestions();
-                } else if (event.key === 'Enter' && selectedItem?.suggestionData) {
-                    // If an item is selected, Enter should navigate to it.
-                    // This handles both normal Enter and Shift+Enter.
-                    event.preventDefault();
-                    const openInNewTab = event.shiftKey;
-                    performSearch(selectedItem.suggestionData.url || selectedItem.suggestionData.text, openInNewTab);
-                }
-                break;
+        // At the start of the input, Backspace takes the last chip back into the text for editing.
+        if (event.key === 'Backspace' && searchOperators.length > 0
+            && searchInput.selectionStart === 0 && searchInput.selectionEnd === 0) {
+            event.preventDefault();
+            const operator = searchOperators.pop();
+            renderSearchOperators();
+            searchInput.value = `${operator.raw}${searchInput.value}`;
+            searchInput.setSelectionRange(operator.raw.length, operator.raw.length);
+            originalUserQuery = searchInput.value;
+            return;
+        }
 
-            case 'ArrowDown':
-            case 'ArrowUp':
-                event.preventDefault();
-                navigateSuggestions(event.key);
-                break;
+        // Actions sharing a key are tried in order; the first one that applies handles the key.
+        for (const action of matchKeybinding(keybindings, 'search', event)) {
+            switch (action) {
+                case 'closeSuggestions':
+                    if (removeInlineCompletion()) {
+                        // The first Escape only removes the inline completion, as in the address bar.
+                        event.preventDefault();
+                    } else if (searchContainer.classList.contains('has-suggestions')) {
+                        // Put back exactly what the user typed before arrowing through the list.
+                        if (selectedItem && !isDisplayingInitialSuggestions) {
+                            searchInput.value = originalUserQuery;
+                        }
+                        clearSuggestions();
+                    } else {
+                        searchInput.blur();
+                    }
+                    return;
 
-            case 'ArrowRight':
-                if (selectedItem?.classList.contains('suggestion-group') && !selectedItem.classList.contains('expanded')) {
-                    event.preventDefault();
-                    const arrow = selectedItem.querySelector('.suggestion-arrow');
-                    if (arrow) arrow.dispatchEvent(new MouseEvent('mousedown', { bubbles: true, cancelable: true }));
-                }
-                break;
+                case 'showSuggestions':
+                    if (!searchContainer.classList.contains('has-suggestions')) {
+                        event.preventDefault();
+                        const query = searchInput.value.trim();
+                        query || searchOperators.length > 0 ? fetchSuggestions(query) : showInitialSuggestions();
+                        return;
+                    }
+                    break;
 
-            case 'ArrowLeft':
-                const group = selectedItem?.closest('.suggestion-group');
-                if (group?.classList.contains('expanded')) {
+                case 'openGroupAsTabGroup':
+                    // Opens every page of the selected group in a tab group.
+                    if (selectedItem?.suggestionData?.isGroup) {
+                        event.preventDefault();
+                        openGroupAsTabGroup(selectedItem.suggestionData);
+                        return;
+                    }
+                    break;
+
+                case 'openSuggestion':
+                case 'openSuggestionInNewTab':
+                    // If an item is selected, navigate to it; otherwise the form submits the query.
+                    if (selectedItem?.suggestionData) {
+                        event.preventDefault();
+                        activateSuggestion(selectedItem.suggestionData, action === 'openSuggestionInNewTab');
+                        return;
+                    }
+                    break;
+
+                case 'suggestionNext':
+                case 'suggestionPrevious':
                     event.preventDefault();
-                    const arrow = group.querySelector('.suggestion-arrow');
-                    if (arrow) arrow.dispatchEvent(new MouseEvent('mousedown', { bubbles: true, cancelable: true }));
+                    navigateSuggestions(action === 'suggestionNext' ? 'ArrowDown' : 'ArrowUp');
+                    return;
 
-                    selectedItem.classList.remove('selected');
-                    group.classList.add('selected');
+                case 'acceptCompletion':
+                    // Moving the caret to the end keeps the completion as typed text.
+                    if (acceptInlineCompletion()) return;
+                    break;
 
-                    if (!isDisplayingInitialSuggestions) {
-                        searchInput.value = group.suggestionData.text;
+                case 'expandGroup':
+                    if (selectedItem?.classList.contains('suggestion-group') && !selectedItem.classList.contains('expanded')) {
+                        event.preventDefault();
+                        const arrow = selectedItem.querySelector('.suggestion-arrow');
+                        if (arrow) arrow.dispatchEvent(new MouseEvent('mousedown', { bubbles: true, cancelable: true }));
+                        return;
                     }
-                    group.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
-                }
-                break;
+                    break;
 
-            case 'Delete':
-                if (selectedItem?.suggestionData?.type === 'history') {
-                    event.preventDefault();
-                    if (selectedItem.suggestionData.isGroup) {
-                        handleDeleteGroupSuggestion(selectedItem.suggestionData, selectedItem);
-                    } else {
-                        handleDeleteSuggestion(selectedItem.suggestionData, selectedItem);
+                case 'collapseGroup': {
+                    // Collapse the selected group, or else the group the selected item is in.
+                    const group = selectedItem?.classList.contains('expanded')
+                        ? selectedItem
+                        : selectedItem?.parentElement.closest('.suggestion-group');
+                    if (group?.classList.contains('expanded')) {
+                        event.preventDefault();
+                        const arrow = group.querySelector('.suggestion-arrow');
+                        if (arrow) arrow.dispatchEvent(new MouseEvent('mousedown', { bubbles: true, cancelable: true }));
+
+                        selectedItem.classList.remove('selected');
+                        group.classList.add('selected');
+
+                        if (!isDisplayingInitialSuggestions) {
+                            searchInput.value = group.suggestionData.text;
+                        }
+                        group.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+                        return;
                     }
+                    break;
                 }
-                break;
+
+                case 'deleteSuggestion':
+                    if (selectedItem?.suggestionData?.type === 'history' || selectedItem?.suggestionData?.type === 'tab') {
+                        event.preventDefault();
+                        if (selectedItem.suggestionData.isGroup) {
+                            handleDeleteGroupSuggestion(selectedItem.suggestionData, selectedItem);
+                        } else {
+                            handleDeleteSuggestion(selectedItem.suggestionData, selectedItem);
+                        }
+                        return;
+                    }
+                    break;
+            }
         }
     }
 
     /**
-     * Handles global keydown events for "type-to-search" functionality.
+     * Handles keydown events outside the search input: closing panels, the shortcut list
+     * and "type-to-search".
      * @param {KeyboardEvent} event The keyboard event.
      */
     function handleGlobalKeyDown(event) {
         const target = event.target;
+        const actions = matchKeybinding(keybindings, 'global', event);
+
+        if (actions.includes('closePanel') && !settingsDrawer.hidden) {
+            toggleSettingsDrawer(false);
+            settingsButton.focus();
+            return;
+        }
+
+        // The bookmark browser closes too, unless a menu or dialog inside it handles the key.
+        if (actions.includes('closePanel') && !bookmarksPanel.hidden && !target.closest?.('dialog, [role="menu"]')) {
+            toggleBookmarksPanel(false);
+            bookmarksButton.focus();
+            return;
+        }
+
+        // Let buttons, menus, dialogs and the settings drawer handle their own keys.
+        if (target.closest?.('button, select, dialog, [role="menu"], .settings-drawer')) return;
+        // Enter on a focused link should follow it.
+        if (event.key === 'Enter' && target.closest?.('a')) return;
+
         const isTyping = target.tagName === 'INPUT' || target.tagName === 'TEXTAREA' || target.isContentEditable;
-        const isActionKey = event.key.length === 1 || event.key === 'Enter';
+        if (isTyping) return;
 
-        if (!isTyping && isActionKey && !event.ctrlKey && !event.metaKey && !event.altKey) {
-            if (event.key === 'Enter') {
-                event.preventDefault();
-                searchInput.focus();
-                showInitialSuggestions();
-            } else {
-                searchInput.focus();
-            }
+        if (actions.includes('focusSearch')) {
+            event.preventDefault();
+            searchInput.focus();
+            showInitialSuggestions();
+        } else if (actions.includes('showShortcuts')) {
+            event.preventDefault();
+            showKeyboardHelp();
+        } else if (settings.typeToSearch && event.key.length === 1 && !event.ctrlKey && !event.metaKey && !event.altKey) {
+            // The search input has the focus before the character is typed, so it receives it.
+            searchInput.focus();
         }
     }
 
     // Clear suggestions if the user clicks outside the search container.
     document.addEventListener('mousedown', (event) => {
-        if (!searchContainer.contains(event.target)) {
+        if (!searchContainer.contains(event.target) && !snackbar.contains(event.target)) {
             clearSuggestions();
         }
+        if (!quickLinkMenu.contains(event.target)) {
+            closeQuickLinkMenu();
+        }
+        if (!bookmarkMenu.contains(event.target)) {
+            closeBookmarkMenu();
+        }
     });
 
+    // Undo the pending history deletion from the snackbar, keeping the focus in the search bar.
+    snackbarUndoButton.addEventListener('mousedown', (e) => e.preventDefault());
+    snackbarUndoButton.addEventListener('click', () => undoPendingDeletion());
+
+    // A pending history deletion is committed when the page goes away.
+    window.addEventListener('pagehide', () => commitPendingDeletion());
+
+    // Refresh open suggestions when the connection drops or returns, to show or hide the offline state.
+    ['online', 'offline'].forEach(type => window.addEventListener(type, () => {
+        const query = searchInput.value.trim();
+        if (searchContainer.classList.contains('has-suggestions') && (query || searchOperators.length > 0)) {
+            fetchSuggestions(query);
+        }
+    }));
+
     // Clear suggestions when the window loses focus.
     window.addEventListener('blur', () => {
         clearSuggestions();
@@ -255,154 +779,3059 @@ document.addEventListener('DOMContentLoaded', () => {
         }
     });
 
+    // Apply settings changed in the options page or another tab without a reload.
+    onSettingsChanged(applySettings);
+    watchSystemColorScheme();
+
     // --- Initial Page Load ---
-    displayTopSites();
+    localizeDocument();
+    applyTheme(settings);
+    loadAutoThemeColors().then(colors => {
+        // Start "auto" mode with the last extracted colours until this tab's background is read.
+        if (colors && !themeAutoColors) setThemeAutoColors(colors);
+    });
+    loadQuickLinksLayout();
+    renderRecentlyClosedPanel();
+    loadBackgrounds();
+    loadSettings()
+        .then(applySettings)
+        .catch(error => {
+            console.error("Error loading settings:", error);
+            applySettings(settings);
+        });
+    loadSearchEngines();
+    loadLaunchers();
+    loadKeybindings();
+    loadSuggestionProvider();
+    loadSuggestionCache();
+    loadRankingSettings();
+    registerPageCommands();
 
     // --- Core Functions ---
 
     /**
-     * Fetches and displays the user's most visited sites using the chrome.topSites API.
+     * Fetches the user's most visited sites and displays them together with pinned shortcuts,
+     * following the saved layout (order, hidden sites and pins).
      */
     function displayTopSites() {
-        if (chrome.topSites) {
-            chrome.topSites.get((sites) => {
-                const topSites = sites.slice(0, MAX_QUICK_LINKS);
-                quickLinksGrid.innerHTML = '';
-                topSites.forEach(site => {
-                    const linkItem = document.createElement('a');
-                    linkItem.href = site.url;
-                    linkItem.className = 'link-item';
-                    linkItem.title = site.title;
-
-                    const faviconUrl = `https://t2.gstatic.com/faviconV2?client=SOCIAL&type=FAVICON&fallback_opts=TYPE,SIZE,URL&url=${encodeURIComponent(site.url)}&size=32`;
-
-                    const linkIcon = document.createElement('div');
-                    linkIcon.className = 'link-icon';
-                    linkIcon.innerHTML = `<img src="${faviconUrl}" alt="Favicon for ${site.title}">`;
-
-                    const linkTitle = document.createElement('span');
-                    // Use textContent to prevent XSS from malicious site titles.
-                    linkTitle.textContent = site.title || new URL(site.url).hostname;
-
-                    linkItem.appendChild(linkIcon);
-                    linkItem.appendChild(linkTitle);
-
-                    quickLinksGrid.appendChild(linkItem);
-                });
-            });
+        if (!chrome.topSites) {
+            renderQuickLinks([]);
+            return;
         }
+        chrome.topSites.get((sites) => {
+            topSiteUrls = new Set((sites || []).map(site => site.url));
+            renderQuickLinks(sites || []);
+        });
     }
 
     /**
-     * Processes raw history items, groups them by domain, and prepares them for display.
-     * @param {chrome.history.HistoryItem[]} historyItems - An array of history items.
-     * @returns {Array<Object>} An array of processed suggestion objects.
+     * Merges pinned shortcuts with top sites, applies the saved order and renders the grid.
+     * Pinned shortcuts are always shown; top sites fill the remaining slots up to the limit.
+     * @param {chrome.topSites.MostVisitedURL[]} sites - The browser's most visited sites.
      */
-    function groupHistoryItems(historyItems) {
-        const uniqueHistoryItems = [];
-        const seenUrls = new Set();
-        for (const item of historyItems) {
-            if (item.url && !seenUrls.has(item.url)) {
-                uniqueHistoryItems.push(item);
-                seenUrls.add(item.url);
+    function renderQuickLinks(sites) {
+        const layout = quickLinksLayout;
+        const pinnedUrls = new Set(layout.pinned.map(tile => tile.url));
+        const hiddenUrls = new Set(layout.hidden);
+
+        const pinnedTiles = layout.pinned.map(tile => ({ ...tile, key: `pinned:${tile.id}`, pinned: true }));
+        const siteTiles = sites
+            .filter(site => site.url && !hiddenUrls.has(site.url) && !pinnedUrls.has(site.url))
+            .map(site => ({ key: `site:${site.url}`, url: site.url, title: site.title, pinned: false }));
+
+        // Tiles in the saved order come first; new tiles keep their natural order after them.
+        const orderIndex = new Map(layout.order.map((key, index) => [key, index]));
+        const ordered = [...pinnedTiles, ...siteTiles]
+            .map((tile, index) => ({ tile, index }))
+            .sort((a, b) => {
+                const orderA = orderIndex.has(a.tile.key) ? orderIndex.get(a.tile.key) : Infinity;
+                const orderB = orderIndex.has(b.tile.key) ? orderIndex.get(b.tile.key) : Infinity;
+                return orderA === orderB ? a.index - b.index : orderA - orderB;
+            })
+            .map(({ tile }) => tile);
+
+        let freeSlots = Math.max(0, settings.maxQuickLinks - pinnedTiles.length);
+        const tiles = ordered.filter(tile => tile.pinned || freeSlots-- > 0);
+
+        quickLinksGrid.innerHTML = '';
+        tiles.forEach(tile => quickLinksGrid.appendChild(createQuickLinkTile(tile)));
+        quickLinksGrid.appendChild(createAddShortcutTile());
+    }
+
+    /**
+     * Creates the DOM element for one quick link tile, with its menu button and drag handling.
+     * @param {{key: string, url: string, title: string, pinned: boolean}} tile - The tile data.
+     * @returns {HTMLElement} The tile element.
+     */
+    function createQuickLinkTile(tile) {
+        const tileElement = document.createElement('div');
+        tileElement.className = 'link-tile';
+        tileElement.classList.toggle('pinned', tile.pinned);
+        tileElement.dataset.key = tile.key;
+        tileElement.draggable = true;
+        tileElement.tileData = tile;
+
+        let hostname = tile.url;
+        try {
+            hostname = new URL(tile.url).hostname;
+        } catch { /* Show the raw URL if it cannot be parsed */ }
+
+        const linkItem = document.createElement('a');
+        linkItem.href = tile.url;
+        linkItem.className = 'link-item';
+        linkItem.title = tile.title || hostname;
+        linkItem.draggable = false; // Let the tile, not the link, be dragged.
+
+        const linkIcon = document.createElement('div');
+        linkIcon.className = 'link-icon';
+        const icon = document.createElement('img');
+        icon.alt = '';
+        setFavicon(icon, tile.url, { allowRemote: allowsRemoteFavicons(settings) });
+        linkIcon.appendChild(icon);
+
+        const linkTitle = document.createElement('span');
+        // Use textContent to prevent XSS from malicious site titles.
+        linkTitle.textContent = tile.title || hostname;
+
+        linkItem.appendChild(linkIcon);
+        linkItem.appendChild(linkTitle);
+        tileElement.appendChild(linkItem);
+
+        const menuButton = document.createElement('button');
+        menuButton.type = 'button';
+        menuButton.className = 'link-menu-button';
+        menuButton.tabIndex = -1; // Reachable through the context menu key instead.
+        menuButton.title = getMessage('moreActions');
+        menuButton.setAttribute('aria-label', getMessage('moreActionsFor', tile.title || hostname));
+        menuButton.setAttribute('aria-haspopup', 'menu');
+        menuButton.addEventListener('click', (e) => {
+            e.preventDefault();
+            openQuickLinkMenu(tileElement, menuButton.getBoundingClientRect());
+        });
+        tileElement.appendChild(menuButton);
+
+        tileElement.addEventListener('contextmenu', (e) => {
+            e.preventDefault();
+            const rect = e.button === 2
+                ? { left: e.clientX, bottom: e.clientY }
+                : linkItem.getBoundingClientRect(); // Opened from the keyboard.
+            openQuickLinkMenu(tileElement, rect);
+        });
+
+        linkItem.addEventListener('keydown', (e) => handleQuickLinkKeyDown(e, tileElement));
+
+        tileElement.addEventListener('dragstart', (e) => {
+            draggedQuickLink = tileElement;
+            tileElement.classList.add('dragging');
+            e.dataTransfer.effectAllowed = 'move';
+            e.dataTransfer.setData('text/uri-list', tile.url);
+        });
+
+        tileElement.addEventListener('dragend', () => {
+            tileElement.classList.remove('dragging');
+            draggedQuickLink = null;
+            saveQuickLinkOrder();
+        });
+
+        return tileElement;
+    }
+
+    /**
+     * Creates the trailing "Add shortcut" tile.
+     * @returns {HTMLElement} The tile element.
+     */
+    function createAddShortcutTile() {
+        const tileElement = document.createElement('div');
+        tileElement.className = 'link-tile add-shortcut';
+
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'link-item';
+        button.innerHTML = `<div class="link-icon"><svg aria-hidden="true" xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 24"><path d="M19 13h-6v6h-2v-6H5v-2h6V5h2v6h6v2z"/></svg></div>`;
+        const label = document.createElement('span');
+        label.textContent = getMessage('shortcutDialogAdd');
+        button.appendChild(label);
+        button.addEventListener('click', () => openShortcutDialog(null));
+
+        tileElement.appendChild(button);
+        return tileElement;
+    }
+
+    /**
+     * Handles arrow keys on a focused tile: move focus, or reorder the tile with Shift held.
+     * @param {KeyboardEvent} event - The keyboard event.
+     * @param {HTMLElement} tileElement - The tile the focused link belongs to.
+     */
+    function handleQuickLinkKeyDown(event, tileElement) {
+        if (event.key !== 'ArrowLeft' && event.key !== 'ArrowRight') return;
+        event.preventDefault();
+
+        const tiles = Array.from(quickLinksGrid.querySelectorAll('.link-tile[data-key]'));
+        const index = tiles.indexOf(tileElement);
+        const nextIndex = event.key === 'ArrowRight' ? index + 1 : index - 1;
+        if (nextIndex < 0 || nextIndex >= tiles.length) return;
+
+        if (event.shiftKey) {
+            // Swap the tile with its neighbour and keep it focused.
+            const neighbour = tiles[nextIndex];
+            if (event.key === 'ArrowRight') {
+                neighbour.after(tileElement);
+            } else {
+                neighbour.before(tileElement);
             }
+            tileElement.querySelector('.link-item').focus();
+            saveQuickLinkOrder();
+        } else {
+            tiles[nextIndex].querySelector('.link-item').focus();
         }
+    }
 
-        const itemsByDomain = new Map();
-        uniqueHistoryItems.forEach(item => {
+    /**
+     * Moves the dragged tile to the side of the hovered tile that the pointer is on.
+     * @param {DragEvent} event - The dragover event on the grid.
+     */
+    function handleQuickLinkDragOver(event) {
+        if (!draggedQuickLink) return;
+        event.preventDefault();
+        event.dataTransfer.dropEffect = 'move';
+
+        const target = event.target.closest('.link-tile[data-key]');
+        if (!target || target === draggedQuickLink) return;
+
+        const rect = target.getBoundingClientRect();
+        if (event.clientX < rect.left + rect.width / 2) {
+            target.before(draggedQuickLink);
+        } else {
+            target.after(draggedQuickLink);
+        }
+    }
+
+    /**
+     * Saves the current tile order from the DOM.
+     */
+    function saveQuickLinkOrder() {
+        const order = Array.from(quickLinksGrid.querySelectorAll('.link-tile[data-key]')).map(tile => tile.dataset.key);
+        saveQuickLinksLayout({ ...quickLinksLayout, order });
+    }
+
+    /**
+     * Shows the context menu for a tile with actions that fit the tile's kind.
+     * @param {HTMLElement} tileElement - The tile the menu is for.
+     * @param {{left: number, bottom: number}} anchorRect - Where to place the menu.
+     */
+    function openQuickLinkMenu(tileElement, anchorRect) {
+        const tile = tileElement.tileData;
+        quickLinkMenuTile = tileElement;
+
+        quickLinkMenu.querySelector('[data-action="pin"]').hidden = tile.pinned;
+        quickLinkMenu.querySelector('[data-action="unpin"]').hidden = !tile.pinned;
+
+        quickLinkMenu.hidden = false;
+        const menuRect = quickLinkMenu.getBoundingClientRect();
+        const left = Math.min(anchorRect.left, window.innerWidth - menuRect.width - 8);
+        const top = Math.min(anchorRect.bottom, window.innerHeight - menuRect.height - 8);
+        quickLinkMenu.style.left = `${Math.max(8, left)}px`;
+        quickLinkMenu.style.top = `${Math.max(8, top)}px`;
+        quickLinkMenu.querySelector('[role="menuitem"]:not([hidden])')?.focus();
+    }
+
+    /**
+     * Hides the tile context menu.
+     * @param {boolean} [restoreFocus=false] - Whether to move focus back to the tile.
+     */
+    function closeQuickLinkMenu(restoreFocus = false) {
+        if (quickLinkMenu.hidden) return;
+        quickLinkMenu.hidden = true;
+        if (restoreFocus) {
+            quickLinkMenuTile?.querySelector('.link-item')?.focus();
+        }
+    }
+
+    /**
+     * Runs a context menu action on the tile the menu was opened for.
+     * @param {string} action - One of "edit", "pin", "unpin" or "remove".
+     */
+    function runQuickLinkMenuAction(action) {
+        const tileElement = quickLinkMenuTile;
+        const tile = tileElement?.tileData;
+        closeQuickLinkMenu(action !== 'edit');
+        if (!tile) return;
+
+        const layout = quickLinksLayout;
+        switch (action) {
+            case 'edit':
+                openShortcutDialog(tileElement);
+                break;
+            case 'pin': {
+                // Pinning a top site turns it into a custom shortcut in the same slot.
+                const pinnedTile = { id: createTileId(), title: tile.title || '', url: tile.url };
+                const order = replaceInOrder(tile.key, `pinned:${pinnedTile.id}`);
+                saveQuickLinksLayout({ ...layout, pinned: [...layout.pinned, pinnedTile], order });
+                break;
+            }
+            case 'unpin':
+                saveQuickLinksLayout({
+                    ...layout,
+                    pinned: layout.pinned.filter(pinned => `pinned:${pinned.id}` !== tile.key),
+                    order: layout.order.filter(key => key !== tile.key)
+                });
+                break;
+            case 'remove':
+                if (tile.pinned) {
+                    saveQuickLinksLayout({
+                        ...layout,
+                        pinned: layout.pinned.filter(pinned => `pinned:${pinned.id}` !== tile.key),
+                        hidden: [...new Set([...layout.hidden, tile.url])],
+                        order: layout.order.filter(key => key !== tile.key)
+                    });
+                } else {
+                    saveQuickLinksLayout({
+                        ...layout,
+                        hidden: [...new Set([...layout.hidden, tile.url])],
+                        order: layout.order.filter(key => key !== tile.key)
+                    });
+                }
+                break;
+        }
+    }
+
+    /**
+     * Opens the dialog to add a shortcut, or to edit an existing tile.
+     * @param {HTMLElement|null} tileElement - The tile to edit, or null to add a new shortcut.
+     */
+    function openShortcutDialog(tileElement) {
+        const tile = tileElement?.tileData;
+        shortcutDialog.editedTile = tileElement;
+        shortcutDialog.querySelector('h2').textContent = getMessage(tile ? 'shortcutDialogEdit' : 'shortcutDialogAdd');
+        shortcutNameInput.value = tile?.title || '';
+        shortcutUrlInput.value = tile?.url || '';
+        shortcutDialogError.textContent = '';
+        shortcutDialog.showModal();
+        shortcutNameInput.focus();
+    }
+
+    /**
+     * Validates the shortcut dialog and saves the shortcut.
+     * Editing a top site pins the edited copy in its slot and hides the original.
+     */
+    function saveShortcutDialog() {
+        const title = shortcutNameInput.value.trim();
+        let url = shortcutUrlInput.value.trim();
+        if (url && !/^[a-z][a-z0-9+.-]*:/i.test(url)) {
+            url = `https://${url}`;
+        }
+        try {
+            url = new URL(url).href;
+        } catch {
+            shortcutDialogError.textContent = getMessage('errorValidUrl');
+            shortcutUrlInput.focus();
+            return;
+        }
+        if (!/^https?:\/\//.test(url)) {
+            shortcutDialogError.textContent = getMessage('errorHttpUrl');
+            shortcutUrlInput.focus();
+            return;
+        }
+
+        const tileElement = shortcutDialog.editedTile;
+        const tile = tileElement?.tileData;
+        const layout = quickLinksLayout;
+
+        if (!tile) {
+            const pinnedTile = { id: createTileId(), title, url };
+            saveQuickLinksLayout({ ...layout, pinned: [...layout.pinned, pinnedTile] });
+        } else if (tile.pinned) {
+            const pinned = layout.pinned.map(p => (`pinned:${p.id}` === tile.key ? { ...p, title, url } : p));
+            saveQuickLinksLayout({ ...layout, pinned });
+        } else {
+            const pinnedTile = { id: createTileId(), title, url };
+            saveQuickLinksLayout({
+                pinned: [...layout.pinned, pinnedTile],
+                hidden: [...new Set([...layout.hidden, tile.url])],
+                order: replaceInOrder(tile.key, `pinned:${pinnedTile.id}`)
+            });
+        }
+
+        shortcutDialog.close();
+        tileElement?.querySelector('.link-item')?.focus();
+    }
+
+    /**
+     * Returns the current tile order with one key swapped for another,
+     * so a converted tile keeps its slot.
+     * @param {string} oldKey - The key to replace.
+     * @param {string} newKey - The replacement key.
+     * @returns {string[]} The new order.
+     */
+    function replaceInOrder(oldKey, newKey) {
+        const order = Array.from(quickLinksGrid.querySelectorAll('.link-tile[data-key]')).map(tile => tile.dataset.key);
+        return order.map(key => (key === oldKey ? newKey : key));
+    }
+
+    /**
+     * Creates a unique ID for a pinned shortcut.
+     * @returns {string} The ID.
+     */
+    function createTileId() {
+        return `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`;
+    }
+
+    /**
+     * Loads the saved quick link layout from chrome.storage and renders the grid.
+     */
+    async function loadQuickLinksLayout() {
+        try {
+            const result = await storageGet('sync', QUICK_LINKS_KEY);
+            quickLinksLayout = normalizeQuickLinksLayout(result[QUICK_LINKS_KEY]);
+        } catch (error) {
+            console.error("Error loading quick links:", error);
+        }
+        displayTopSites();
+    }
+
+    /**
+     * Fills in missing parts of a stored layout.
+     * @param {Object} [stored] - The stored layout.
+     * @returns {{pinned: Array<Object>, hidden: string[], order: string[]}} A complete layout.
+     */
+    function normalizeQuickLinksLayout(stored) {
+        return {
+            pinned: Array.isArray(stored?.pinned) ? stored.pinned : [],
+            hidden: Array.isArray(stored?.hidden) ? stored.hidden : [],
+            order: Array.isArray(stored?.order) ? stored.order : []
+        };
+    }
+
+    /**
+     * Drops hidden sites and ordered tiles that no longer exist: top sites the browser stopped
+     * returning and removed pins. This keeps the layout within sync's size limit for a single item.
+     * @param {{pinned: Array<Object>, hidden: string[], order: string[]}} layout - The layout to prune.
+     * @returns {{pinned: Array<Object>, hidden: string[], order: string[]}} The pruned layout.
+     */
+    function pruneQuickLinksLayout(layout) {
+        if (!topSiteUrls) return layout; // Top sites were not read yet; nothing is known to be stale.
+        const pinnedKeys = new Set(layout.pinned.map(tile => `pinned:${tile.id}`));
+        return {
+            pinned: layout.pinned,
+            hidden: layout.hidden.filter(url => topSiteUrls.has(url)),
+            order: layout.order.filter(key => pinnedKeys.has(key) || topSiteUrls.has(key.replace(/^site:/, '')))
+        };
+    }
+
+    /**
+     * Saves a new quick link layout and re-renders the grid.
+     * @param {{pinned: Array<Object>, hidden: string[], order: string[]}} layout - The layout to save.
+     */
+    function saveQuickLinksLayout(layout) {
+        layout = pruneQuickLinksLayout(layout);
+        quickLinksLayout = layout;
+        displayTopSites();
+        storageSet('sync', { [QUICK_LINKS_KEY]: layout })
+            .catch(error => console.error("Error saving quick links:", error));
+    }
+
+    /**
+     * Applies new settings to the page: the debounce delay, the theme, the quick links and the settings drawer.
+     * @param {Object} newSettings - The complete, validated settings.
+     */
+    function applySettings(newSettings) {
+        const previous = settings;
+        settings = newSettings;
+
+        if (newSettings.debounceDelay !== previous.debounceDelay) {
+            debouncedFetchSuggestions.cancel();
+            debouncedFetchSuggestions = debounce(fetchSuggestions, newSettings.debounceDelay);
+        }
+
+        const faviconsChanged = allowsRemoteFavicons(newSettings) !== allowsRemoteFavicons(previous);
+        if (newSettings.maxQuickLinks !== previous.maxQuickLinks || faviconsChanged) {
+            displayTopSites();
+        }
+
+        if (newSettings.showRecentlyClosed !== previous.showRecentlyClosed || faviconsChanged) {
+            renderRecentlyClosedPanel();
+        }
+
+        if (faviconsChanged) {
+            renderLauncherDock();
+        }
+
+        if (newSettings.keybindingPreset !== previous.keybindingPreset) {
+            applyKeybindings(keybindingOverrides);
+        }
+
+        updateRemoteIndicator(searchInput.value.trim());
+
+        applyTheme(newSettings);
+        if (newSettings.themePreset === 'auto' && previous.themePreset !== 'auto') {
+            updateAutoThemeColors();
+        }
+
+        if (newSettings.backgroundRotation !== previous.backgroundRotation) {
+            showBackground(pickBackground(backgroundRecords, newSettings.backgroundRotation));
+        }
+
+        settingsDrawer.querySelectorAll('[data-settings-section]').forEach(container => {
+            if (container.hasChildNodes()) {
+                fillSettingsForm(container, newSettings);
+            } else {
+                renderSettingsForm(container, container.dataset.settingsSection, newSettings);
+            }
+        });
+    }
+
+    // --- Backgrounds ---
+
+    /**
+     * Loads the saved backgrounds, shows one and refreshes the settings list.
+     * The current image is kept if it still exists, so a tab does not change its background.
+     * @param {string} [showId] - A background to show instead, e.g. one that was just imported.
+     */
+    async function loadBackgrounds(showId) {
+        try {
+            backgroundRecords = await listBackgrounds();
+        } catch (error) {
+            console.error("Error loading backgrounds:", error);
+            backgroundRecords = [];
+        }
+
+        const preferredId = showId || currentBackground?.id;
+        const record = backgroundRecords.find(r => r.id === preferredId)
+            || pickBackground(backgroundRecords, settings.backgroundRotation);
+        showBackground(record);
+        renderBackgroundList();
+    }
+
+    /**
+     * Shows a background in this tab.
+     * @param {Object|null} record - The background to show, or null for the plain colour.
+     */
+    function showBackground(record) {
+        const changed = record?.id !== currentBackground?.id;
+        currentBackground = record;
+        applyBackground(record);
+        if (changed) updateAutoThemeColors();
+        backgroundList.querySelectorAll('.background-row').forEach(row => {
+            row.classList.toggle('current', row.dataset.id === record?.id);
+        });
+    }
+
+    /**
+     * Extracts theme colours from the current background when the "auto" theme is active.
+     * Without a background, "auto" falls back to the Citron colours.
+     */
+    async function updateAutoThemeColors() {
+        if (settings.themePreset !== 'auto') return;
+        const record = currentBackground;
+        if (!record) {
+            setThemeAutoColors(null);
+            return;
+        }
+        try {
+            const colors = await extractThemeColors(record.thumbnail);
+            if (record !== currentBackground) return; // The background changed meanwhile.
+            setThemeAutoColors(colors);
+            saveAutoThemeColors(colors);
+        } catch (error) {
+            console.error("Error extracting theme colours:", error);
+        }
+    }
+
+    /**
+     * Renders the uploaded backgrounds with their display options in the settings drawer.
+     */
+    function renderBackgroundList() {
+        backgroundThumbnailUrls.forEach(url => URL.revokeObjectURL(url));
+        backgroundThumbnailUrls = [];
+        backgroundList.innerHTML = '';
+
+        if (backgroundRecords.length === 0) {
+            const empty = document.createElement('p');
+            empty.className = 'settings-hint';
+            empty.textContent = getMessage('backgroundsEmpty');
+            backgroundList.appendChild(empty);
+            return;
+        }
+
+        backgroundRecords.forEach(record => backgroundList.appendChild(createBackgroundRow(record)));
+    }
+
+    /**
+     * Creates the settings row for one background.
+     * Sliders preview their value immediately and save when released.
+     * @param {Object} record - The background record.
+     * @returns {HTMLElement} The row element.
+     */
+    function createBackgroundRow(record) {
+        const row = document.createElement('div');
+        row.className = 'background-row';
+        row.dataset.id = record.id;
+        row.classList.toggle('current', record.id === currentBackground?.id);
+
+        const header = document.createElement('div');
+        header.className = 'background-row-header';
+
+        const thumbnailUrl = URL.createObjectURL(record.thumbnail);
+        backgroundThumbnailUrls.push(thumbnailUrl);
+        const showButton = document.createElement('button');
+        showButton.type = 'button';
+        showButton.className = 'background-thumbnail';
+        showButton.title = getMessage('backgroundShow');
+        showButton.setAttribute('aria-label', getMessage('backgroundShowNamed', record.name));
+        showButton.style.backgroundImage = `url("${thumbnailUrl}")`;
+        showButton.addEventListener('click', () => showBackground(record));
+
+        const name = document.createElement('span');
+        name.className = 'background-name';
+        name.textContent = record.name;
+
+        const deleteButton = document.createElement('button');
+        deleteButton.type = 'button';
+        deleteButton.className = 'engine-delete-button';
+        deleteButton.title = getMessage('backgroundRemove');
+        deleteButton.setAttribute('aria-label', getMessage('backgroundRemoveNamed', record.name));
+        deleteButton.addEventListener('click', async () => {
+            try {
+                await deleteBackground(record.id);
+            } catch (error) {
+                console.error("Error removing background:", error);
+            }
+            loadBackgrounds(record.id === currentBackground?.id ? undefined : currentBackground?.id);
+        });
+
+        header.append(showButton, name, deleteButton);
+        row.appendChild(header);
+
+        const update = (changes, save) => {
+            Object.assign(record, changes);
+            if (record.id === currentBackground?.id) applyBackground(record);
+            if (save) {
+                updateBackground(record).catch(error => console.error("Error saving background:", error));
+            }
+        };
+
+        [
+            { key: 'focalX', label: getMessage('backgroundFocalX'), min: 0, max: 100, step: 1 },
+            { key: 'focalY', label: getMessage('backgroundFocalY'), min: 0, max: 100, step: 1 },
+            { key: 'dim', label: getMessage('backgroundDim'), min: 0, max: 0.9, step: 0.05 },
+            { key: 'blur', label: getMessage('backgroundBlur'), min: 0, max: 20, step: 1 }
+        ].forEach(({ key, label, min, max, step }) => {
+            const field = document.createElement('label');
+            field.className = 'settings-field';
+            const text = document.createElement('span');
+            text.textContent = label;
+            const slider = document.createElement('input');
+            slider.type = 'range';
+            slider.min = min;
+            slider.max = max;
+            slider.step = step;
+            slider.value = record[key];
+            slider.addEventListener('input', () => update({ [key]: Number(slider.value) }, false));
+            slider.addEventListener('change', () => update({ [key]: Number(slider.value) }, true));
+            field.append(text, slider);
+            row.appendChild(field);
+        });
+
+        const colorField = document.createElement('label');
+        colorField.className = 'settings-field';
+        const colorText = document.createElement('span');
+        colorText.textContent = getMessage('backgroundFallbackColor');
+        const colorInput = document.createElement('input');
+        colorInput.type = 'color';
+        colorInput.value = record.fallbackColor;
+        colorInput.addEventListener('input', () => update({ fallbackColor: colorInput.value }, false));
+        colorInput.addEventListener('change', () => update({ fallbackColor: colorInput.value }, true));
+        colorField.append(colorText, colorInput);
+        row.appendChild(colorField);
+
+        return row;
+    }
+
+    // --- Bookmarks ---
+
+    /**
+     * Reads the whole bookmark tree once and indexes it by ID.
+     * The index is dropped whenever a chrome.bookmarks event reports a change.
+     * @returns {Promise<Map<string, chrome.bookmarks.BookmarkTreeNode>>} Every node, keyed by ID.
+     */
+    function getBookmarkNodes() {
+        if (!bookmarkNodesPromise) {
+            bookmarkNodesPromise = chrome.bookmarks.getTree().then(tree => {
+                const nodes = new Map();
+                const visit = node => {
+                    nodes.set(node.id, node);
+                    node.children?.forEach(visit);
+                };
+                tree.forEach(visit);
+                return nodes;
+            });
+            bookmarkNodesPromise.catch(() => {
+                bookmarkNodesPromise = null; // Allow a later retry.
+            });
+        }
+        return bookmarkNodesPromise;
+    }
+
+    /**
+     * Lists the folders from the top of the tree down to a node, the node included.
+     * The invisible root node is left out.
+     * @param {Map<string, Object>} nodes - The bookmark index.
+     * @param {string} id - The node to start from.
+     * @returns {Array<Object>} The nodes, outermost first.
+     */
+    function getBookmarkPath(nodes, id) {
+        const path = [];
+        for (let node = nodes.get(id); node && node.id !== BOOKMARK_ROOT_ID; node = nodes.get(node.parentId)) {
+            path.unshift(node);
+        }
+        return path;
+    }
+
+    /**
+     * Formats a folder's path for display, e.g. "Bookmarks bar › Work".
+     * @param {Map<string, Object>} nodes - The bookmark index.
+     * @param {string} folderId - The folder.
+     * @returns {string} The folder names, separated by "›".
+     */
+    function formatBookmarkFolderPath(nodes, folderId) {
+        return getBookmarkPath(nodes, folderId).map(node => node.title).join(' › ');
+    }
+
+    /**
+     * Checks whether a node is one of the browser's own top-level folders, which cannot be changed.
+     * @param {Object} node - The bookmark node.
+     * @returns {boolean} True for the root and its direct children.
+     */
+    function isFixedBookmarkFolder(node) {
+        return node.id === BOOKMARK_ROOT_ID || node.parentId === BOOKMARK_ROOT_ID || Boolean(node.unmodifiable);
+    }
+
+    /**
+     * Opens or closes the bookmark browser.
+     * @param {boolean} open - Whether the browser should be shown.
+     */
+    async function toggleBookmarksPanel(open) {
+        bookmarksPanel.hidden = !open;
+        bookmarksButton.setAttribute('aria-expanded', String(open));
+        if (open) {
+            clearSuggestions();
+            if (!settingsDrawer.hidden) toggleSettingsDrawer(false);
+            await renderBookmarkFolder(bookmarkFolderId);
+            bookmarkList.focus();
+        } else {
+            closeBookmarkMenu();
+        }
+    }
+
+    /**
+     * Shows one folder in the bookmark browser, with breadcrumbs to its parents.
+     * A folder that no longer exists falls back to the bookmarks bar.
+     * @param {string} folderId - The folder to show.
+     * @param {string} [selectedId] - The row to select, e.g. the folder the user just left.
+     */
+    async function renderBookmarkFolder(folderId, selectedId) {
+        let nodes;
+        try {
+            nodes = await getBookmarkNodes();
+        } catch (error) {
+            console.error("Error loading bookmarks:", error);
+            return;
+        }
+        let folder = nodes.get(folderId);
+        if (!folder || folder.url) folder = nodes.get(BOOKMARK_DEFAULT_FOLDER_ID) || nodes.get(BOOKMARK_ROOT_ID);
+        bookmarkFolderId = folder.id;
+
+        bookmarkBreadcrumbs.innerHTML = '';
+        const crumbs = [{ id: BOOKMARK_ROOT_ID, title: getMessage('bookmarksTitle') }, ...getBookmarkPath(nodes, folder.id)];
+        crumbs.forEach((crumb, index) => {
+            const isCurrent = index === crumbs.length - 1;
+            const crumbElement = document.createElement(isCurrent ? 'span' : 'button');
+            crumbElement.className = 'bookmark-crumb';
+            crumbElement.textContent = crumb.title || getMessage('bookmarkUntitledFolder');
+            if (isCurrent) {
+                crumbElement.setAttribute('aria-current', 'location');
+            } else {
+                crumbElement.type = 'button';
+                crumbElement.addEventListener('click', () => {
+                    renderBookmarkFolder(crumb.id, crumbs[index + 1].id);
+                    bookmarkList.focus();
+                });
+            }
+            bookmarkBreadcrumbs.appendChild(crumbElement);
+        });
+
+        bookmarkList.innerHTML = '';
+        const children = folder.children || [];
+        children.forEach(node => bookmarkList.appendChild(createBookmarkRow(node)));
+        if (children.length === 0) {
+            const empty = document.createElement('p');
+            empty.className = 'settings-hint';
+            empty.textContent = getMessage('bookmarkFolderEmpty');
+            bookmarkList.appendChild(empty);
+        }
+        bookmarkOpenAllButton.disabled = !children.some(node => node.url);
+
+        const rows = Array.from(bookmarkList.querySelectorAll('.bookmark-row'));
+        selectBookmarkRow(rows.find(row => row.bookmarkNode.id === selectedId) || null);
+    }
+
+    /**
+     * Creates a row for a bookmark or folder in the bookmark browser.
+     * @param {Object} node - The bookmark node.
+     * @returns {HTMLElement} The row element.
+     */
+    function createBookmarkRow(node) {
+        const row = document.createElement('div');
+        row.className = 'bookmark-row';
+        row.id = `bookmark-row-${node.id}`;
+        row.setAttribute('role', 'option');
+        row.bookmarkNode = node; // Attach the node to the element for easy access
+
+        if (node.url) {
+            const favicon = document.createElement('img');
+            favicon.className = 'favicon';
+            favicon.alt = '';
+            setFavicon(favicon, node.url, { allowRemote: allowsRemoteFavicons(settings) });
+            row.appendChild(favicon);
+        } else {
+            // Use innerHTML only for the safe, pre-defined icon SVG.
+            row.insertAdjacentHTML('beforeend', document.getElementById('template-folder-icon').outerHTML);
+        }
+
+        const title = document.createElement('span');
+        title.className = 'bookmark-title';
+        title.textContent = node.title || node.url || getMessage('bookmarkUntitledFolder');
+        row.appendChild(title);
+        if (node.url) row.title = node.url;
+
+        if (!node.url) {
+            const count = document.createElement('span');
+            count.className = 'bookmark-count';
+            count.textContent = String(node.children?.length || 0);
+            row.appendChild(count);
+        }
+
+        const menuButton = document.createElement('button');
+        menuButton.type = 'button';
+        menuButton.className = 'link-menu-button';
+        menuButton.tabIndex = -1; // The list itself handles the keyboard.
+        menuButton.setAttribute('aria-label', getMessage('moreActionsFor', title.textContent));
+        menuButton.addEventListener('click', (e) => {
+            e.stopPropagation();
+            selectBookmarkRow(row);
+            openBookmarkMenu(row, menuButton.getBoundingClientRect());
+        });
+        row.appendChild(menuButton);
+
+        row.addEventListener('click', (e) => {
+            selectBookmarkRow(row);
+            openBookmarkNode(node, e.ctrlKey || e.metaKey || e.shiftKey);
+        });
+        row.addEventListener('auxclick', (e) => {
+            if (e.button === 1) openBookmarkNode(node, true);
+        });
+        row.addEventListener('contextmenu', (e) => {
+            e.preventDefault();
+            selectBookmarkRow(row);
+            openBookmarkMenu(row, { left: e.clientX, bottom: e.clientY });
+        });
+
+        return row;
+    }
+
+    /**
+     * Marks a row as selected and scrolls it into view.
+     * @param {HTMLElement|null} row - The row to select, or null to clear the selection.
+     */
+    function selectBookmarkRow(row) {
+        bookmarkList.querySelectorAll('.bookmark-row.selected').forEach(other => other.classList.remove('selected'));
+        if (row) {
+            row.classList.add('selected');
+            bookmarkList.setAttribute('aria-activedescendant', row.id);
+            row.scrollIntoView({ block: 'nearest' });
+        } else {
+            bookmarkList.removeAttribute('aria-activedescendant');
+        }
+    }
+
+    /**
+     * Handles keyboard navigation in the bookmark browser, with the keys of the active bindings.
+     * Up and Down follow the same model as the suggestion list; Right and Left enter and leave folders.
+     * @param {KeyboardEvent} event - The keyboard event.
+     */
+    function handleBookmarkListKeyDown(event) {
+        const rows = Array.from(bookmarkList.querySelectorAll('.bookmark-row'));
+        const selectedRow = bookmarkList.querySelector('.bookmark-row.selected');
+        const node = selectedRow?.bookmarkNode;
+
+        for (const action of matchKeybinding(keybindings, 'bookmarks', event)) {
+            switch (action) {
+                case 'bookmarkNext':
+                case 'bookmarkPrevious': {
+                    event.preventDefault();
+                    const direction = action === 'bookmarkNext' ? 'ArrowDown' : 'ArrowUp';
+                    const nextIndex = getNextSelectionIndex(rows.indexOf(selectedRow), rows.length, direction);
+                    selectBookmarkRow(rows[nextIndex] || null);
+                    return;
+                }
+                case 'bookmarkEnterFolder':
+                    if (node && !node.url) {
+                        event.preventDefault();
+                        renderBookmarkFolder(node.id);
+                        return;
+                    }
+                    break;
+                case 'bookmarkParentFolder':
+                    if (bookmarkFolderId !== BOOKMARK_ROOT_ID) {
+                        event.preventDefault();
+                        getBookmarkNodes().then(nodes => {
+                            const folder = nodes.get(bookmarkFolderId);
+                            if (folder?.parentId) renderBookmarkFolder(folder.parentId, folder.id);
+                        });
+                        return;
+                    }
+                    break;
+                case 'bookmarkOpenAll':
+                    if (node && !node.url) {
+                        event.preventDefault();
+                        openAllBookmarks(node.id);
+                        return;
+                    }
+                    break;
+                case 'bookmarkOpen':
+                case 'bookmarkOpenInNewTab':
+                    if (node) {
+                        event.preventDefault();
+                        openBookmarkNode(node, action === 'bookmarkOpenInNewTab');
+                        return;
+                    }
+                    break;
+                case 'bookmarkDelete':
+                    if (node) {
+                        event.preventDefault();
+                        deleteBookmarkNode(node);
+                        return;
+                    }
+                    break;
+                case 'bookmarkRename':
+                    if (node && !isFixedBookmarkFolder(node)) {
+                        event.preventDefault();
+                        openBookmarkDialog(node, 'rename');
+                        return;
+                    }
+                    break;
+                case 'bookmarkMenu':
+                    if (selectedRow) {
+                        event.preventDefault();
+                        openBookmarkMenu(selectedRow, selectedRow.getBoundingClientRect());
+                        return;
+                    }
+                    break;
+            }
+        }
+    }
+
+    /**
+     * Opens a bookmark, or shows a folder's contents.
+     * @param {Object} node - The bookmark node.
+     * @param {boolean} [inNewTab=false] - Whether to open a bookmark in a new tab.
+     */
+    function openBookmarkNode(node, inNewTab = false) {
+        if (node.url) {
+            performSearch(node.url, inNewTab);
+        } else {
+            renderBookmarkFolder(node.id);
+        }
+    }
+
+    /**
+     * Opens every bookmark directly inside a folder in a tab group named after the folder.
+     * @param {string} folderId - The folder.
+     */
+    async function openAllBookmarks(folderId) {
+        const nodes = await getBookmarkNodes();
+        const folder = nodes.get(folderId);
+        const urls = (folder?.children || []).filter(node => node.url).map(node => node.url);
+        await openTabGroup(folder?.title || getMessage('bookmarksTitle'), urls);
+    }
+
+    /**
+     * Shows the context menu for a row of the bookmark browser.
+     * @param {HTMLElement} row - The row the menu is for.
+     * @param {{left: number, bottom: number}} anchorRect - Where to place the menu.
+     */
+    function openBookmarkMenu(row, anchorRect) {
+        const node = row.bookmarkNode;
+        bookmarkMenuRow = row;
+
+        const isFixed = isFixedBookmarkFolder(node);
+        bookmarkMenu.querySelector('[data-action="open-all"]').hidden = Boolean(node.url);
+        bookmarkMenu.querySelector('[data-action="rename"]').hidden = isFixed;
+        bookmarkMenu.querySelector('[data-action="move"]').hidden = isFixed;
+        bookmarkMenu.querySelector('[data-action="delete"]').hidden = isFixed;
+        if (!bookmarkMenu.querySelector('[role="menuitem"]:not([hidden])')) return;
+
+        bookmarkMenu.hidden = false;
+        const menuRect = bookmarkMenu.getBoundingClientRect();
+        const left = Math.min(anchorRect.left, window.innerWidth - menuRect.width - 8);
+        const top = Math.min(anchorRect.bottom, window.innerHeight - menuRect.height - 8);
+        bookmarkMenu.style.left = `${Math.max(8, left)}px`;
+        bookmarkMenu.style.top = `${Math.max(8, top)}px`;
+        bookmarkMenu.querySelector('[role="menuitem"]:not([hidden])')?.focus();
+    }
+
+    /**
+     * Hides the bookmark context menu.
+     * @param {boolean} [restoreFocus=false] - Whether to move focus back to the list.
+     */
+    function closeBookmarkMenu(restoreFocus = false) {
+        if (bookmarkMenu.hidden) return;
+        bookmarkMenu.hidden = true;
+        if (restoreFocus) bookmarkList.focus();
+    }
+
+    /**
+     * Runs a context menu action on the row the menu was opened for.
+     * @param {string} action - One of "open-all", "rename", "move" or "delete".
+     */
+    function runBookmarkMenuAction(action) {
+        const node = bookmarkMenuRow?.bookmarkNode;
+        closeBookmarkMenu(true);
+        if (!node) return;
+
+        if (action === 'open-all') {
+            openAllBookmarks(node.id);
+        } else if (action === 'rename' || action === 'move') {
+            openBookmarkDialog(node, action);
+        } else if (action === 'delete') {
+            deleteBookmarkNode(node);
+        }
+    }
+
+    /**
+     * Opens the dialog for renaming a node or moving it to another folder.
+     * @param {Object} node - The bookmark node.
+     * @param {'rename'|'move'} mode - Which fields to show.
+     */
+    async function openBookmarkDialog(node, mode) {
+        const isFolder = !node.url;
+        bookmarkDialog.editedNode = node;
+        bookmarkDialog.mode = mode;
+        bookmarkDialog.querySelector('h2').textContent = getMessage(`bookmarkDialog${mode === 'rename' ? 'Rename' : 'Move'}${isFolder ? 'Folder' : 'Bookmark'}`);
+        bookmarkDialog.querySelector('.bookmark-rename-fields').hidden = mode !== 'rename';
+        bookmarkDialog.querySelector('.bookmark-url-field').hidden = isFolder;
+        bookmarkDialog.querySelector('.bookmark-move-fields').hidden = mode !== 'move';
+        bookmarkDialogError.textContent = '';
+
+        if (mode === 'rename') {
+            bookmarkTitleInput.value = node.title;
+            bookmarkUrlInput.value = node.url || '';
+        } else {
+            // Every folder except the node itself and the folders inside it.
+            const nodes = await getBookmarkNodes();
+            bookmarkFolderSelect.innerHTML = '';
+            for (const folder of nodes.values()) {
+                if (folder.url || folder.id === BOOKMARK_ROOT_ID) continue;
+                const path = getBookmarkPath(nodes, folder.id);
+                if (path.some(parent => parent.id === node.id)) continue;
+                const indent = '\u00a0\u00a0\u00a0'.repeat(path.length - 1);
+                bookmarkFolderSelect.appendChild(new Option(`${indent}${folder.title || getMessage('bookmarkUntitledFolder')}`, folder.id));
+            }
+            bookmarkFolderSelect.value = node.parentId;
+        }
+
+        bookmarkDialog.showModal();
+        (mode === 'rename' ? bookmarkTitleInput : bookmarkFolderSelect).focus();
+    }
+
+    /**
+     * Validates the bookmark dialog and saves the change. The list refreshes through the bookmark events.
+     */
+    async function saveBookmarkDialog() {
+        const node = bookmarkDialog.editedNode;
+        try {
+            if (bookmarkDialog.mode === 'rename') {
+                const changes = { title: bookmarkTitleInput.value.trim() };
+                if (node.url) {
+                    try {
+                        changes.url = new URL(bookmarkUrlInput.value.trim()).href;
+                    } catch {
+                        bookmarkDialogError.textContent = getMessage('errorValidUrl');
+                        bookmarkUrlInput.focus();
+                        return;
+                    }
+                }
+                await chrome.bookmarks.update(node.id, changes);
+            } else if (bookmarkFolderSelect.value !== node.parentId) {
+                await chrome.bookmarks.move(node.id, { parentId: bookmarkFolderSelect.value });
+            }
+        } catch (error) {
+            console.error("Error saving bookmark:", error);
+            bookmarkDialogError.textContent = error.message;
+            return;
+        }
+        bookmarkDialog.close();
+        bookmarkList.focus();
+    }
+
+    /**
+     * Deletes a bookmark, or a folder with everything in it after asking, and selects the next row.
+     * @param {Object} node - The bookmark node.
+     */
+    async function deleteBookmarkNode(node) {
+        if (isFixedBookmarkFolder(node)) return;
+        const childCount = node.children?.length || 0;
+        if (childCount > 0 && !confirm(getPluralMessage('bookmarkDeleteFolderConfirm', childCount, node.title))) return;
+
+        // Keep the selection in place: the next row, or the previous one at the end of the list.
+        const rows = Array.from(bookmarkList.querySelectorAll('.bookmark-row'));
+        const index = rows.findIndex(row => row.bookmarkNode.id === node.id);
+        const nextRow = rows[index + 1] || rows[index - 1];
+        pendingBookmarkSelection = nextRow?.bookmarkNode.id;
+
+        try {
+            if (node.url) {
+                await chrome.bookmarks.remove(node.id);
+            } else {
+                await chrome.bookmarks.removeTree(node.id);
+            }
+        } catch (error) {
+            console.error("Error deleting bookmark:", error);
+            pendingBookmarkSelection = null;
+        }
+    }
+
+    /**
+     * Re-renders the open bookmark browser after the bookmarks changed, keeping the selection.
+     */
+    function refreshBookmarksPanel() {
+        if (bookmarksPanel.hidden) return;
+        const selectedId = pendingBookmarkSelection
+            ?? bookmarkList.querySelector('.bookmark-row.selected')?.bookmarkNode.id;
+        pendingBookmarkSelection = null;
+        renderBookmarkFolder(bookmarkFolderId, selectedId);
+    }
+
+    // --- Recently Closed ---
+
+    /**
+     * Loads recently closed tabs and windows and the tabs open on the user's other devices.
+     * Everything is returned in the suggestion format; windows and devices become groups.
+     * @returns {Promise<{closed: Array<Object>, devices: Array<Object>}>} The closed entries, newest first, and one group per device.
+     */
+    async function loadRecentlyClosed() {
+        if (typeof chrome.sessions === 'undefined') return { closed: [], devices: [] };
+
+        const [sessions, devices] = await Promise.all([
+            chrome.sessions.getRecentlyClosed(),
+            chrome.sessions.getDevices()
+        ]);
+
+        const closed = [];
+        for (const session of sessions) {
+            if (session.tab) {
+                const tab = createSessionTabSuggestion(session.tab);
+                if (tab) closed.push(tab);
+            } else if (session.window) {
+                const items = session.window.tabs.map(createSessionTabSuggestion).filter(Boolean);
+                if (items.length === 0) continue;
+                closed.push({
+                    text: getPluralMessage('recentlyClosedWindow', items.length),
+                    url: items[0].url,
+                    type: 'session',
+                    isGroup: true,
+                    groupKey: `window:${session.window.sessionId}`,
+                    sessionId: session.window.sessionId,
+                    items
+                });
+            }
+        }
+
+        const deviceGroups = devices.map(device => {
+            const items = device.sessions
+                .flatMap(session => session.window ? session.window.tabs : [session.tab])
+                .map(createSessionTabSuggestion)
+                .filter(Boolean);
+            return {
+                text: device.deviceName,
+                url: items[0]?.url,
+                type: 'session',
+                isGroup: true,
+                isDevice: true,
+                groupKey: `device:${device.deviceName}`,
+                items
+            };
+        }).filter(group => group.items.length > 0);
+
+        return { closed, devices: deviceGroups };
+    }
+
+    /**
+     * Converts a tab from chrome.sessions into a suggestion.
+     * @param {chrome.tabs.Tab} tab - A closed tab, a tab of a closed window or a tab on another device.
+     * @returns {Object|null} The suggestion, or null for new tab pages and tabs without a URL.
+     */
+    function createSessionTabSuggestion(tab) {
+        if (!tab?.url || isNewTabPageUrl(tab.url)) return null;
+        return {
+            text: tab.title || tab.url,
+            url: tab.url,
+            type: 'session',
+            sessionId: tab.sessionId
+        };
+    }
+
+    /**
+     * Checks whether a URL is a new tab page, this one or the browser's own.
+     * @param {string} url - The URL to check.
+     * @returns {boolean} True for new tab pages.
+     */
+    function isNewTabPageUrl(url) {
+        return url.startsWith(location.origin) || /^(chrome|edge):\/\/newtab\b/.test(url);
+    }
+
+    /**
+     * Restores a closed tab or window, or reopens a tab from another device, with chrome.sessions.
+     * Entries without a session ID, such as device groups, open their URL instead.
+     * @param {Object} suggestion - The session suggestion.
+     * @param {boolean} [inNewTab=false] - Whether to keep this page open after restoring a tab.
+     */
+    async function restoreSession(suggestion, inNewTab = false) {
+        if (!suggestion.sessionId) {
+            performSearch(suggestion.url || suggestion.text, inNewTab);
+            return;
+        }
+        try {
+            await chrome.sessions.restore(suggestion.sessionId);
+        } catch (error) {
+            console.error("Error restoring session:", error);
+            if (suggestion.url) performSearch(suggestion.url, inNewTab);
+            return;
+        }
+        // A restored tab takes this page's place, as if the user had navigated to it.
+        if (!inNewTab && !suggestion.isGroup) {
+            const currentTab = await chrome.tabs.getCurrent();
+            if (currentTab) chrome.tabs.remove(currentTab.id);
+        }
+    }
+
+    /**
+     * Renders the recently closed panel under the quick links, or hides it when turned off or empty.
+     */
+    async function renderRecentlyClosedPanel() {
+        const list = recentlyClosedPanel.querySelector('.recently-closed-list');
+        if (!settings.showRecentlyClosed) {
+            recentlyClosedPanel.hidden = true;
+            list.innerHTML = '';
+            return;
+        }
+
+        let entries;
+        try {
+            const { closed, devices } = await loadRecentlyClosed();
+            entries = [...closed.slice(0, RECENTLY_CLOSED_PANEL_ITEMS), ...devices];
+        } catch (error) {
+            console.error("Error loading recently closed tabs:", error);
+            entries = [];
+        }
+
+        // Keep groups the user opened expanded across refreshes.
+        const openGroups = new Set(Array.from(list.querySelectorAll('details[open]'), details => details.dataset.groupKey));
+        list.innerHTML = '';
+        entries.forEach(entry => {
+            const listItem = document.createElement('li');
+            if (entry.isGroup) {
+                listItem.appendChild(createRecentlyClosedGroup(entry, openGroups));
+            } else {
+                listItem.appendChild(createRecentlyClosedLink(entry));
+            }
+            list.appendChild(listItem);
+        });
+        recentlyClosedPanel.hidden = entries.length === 0;
+    }
+
+    /**
+     * Creates an expandable group for a closed window or another device.
+     * @param {Object} group - The group suggestion.
+     * @param {Set<string>} openGroups - Keys of the groups that were expanded before the refresh.
+     * @returns {HTMLDetailsElement} The group element.
+     */
+    function createRecentlyClosedGroup(group, openGroups) {
+        const details = document.createElement('details');
+        details.className = 'recently-closed-group';
+        details.dataset.groupKey = group.groupKey;
+        details.open = openGroups.has(details.dataset.groupKey);
+
+        const summary = document.createElement('summary');
+        summary.innerHTML = document.getElementById('template-restore-icon').outerHTML;
+        const title = document.createElement('span');
+        title.className = 'recently-closed-title';
+        title.textContent = group.isDevice ? `${group.text} (${group.items.length})` : group.text;
+        summary.appendChild(title);
+
+        if (!group.isDevice) {
+            const restoreButton = document.createElement('button');
+            restoreButton.type = 'button';
+            restoreButton.className = 'settings-text-button';
+            restoreButton.textContent = getMessage('restoreWindow');
+            restoreButton.addEventListener('click', (e) => {
+                e.preventDefault(); // Do not toggle the group.
+                restoreSession(group);
+            });
+            summary.appendChild(restoreButton);
+        }
+        details.appendChild(summary);
+
+        const sublist = document.createElement('ul');
+        group.items.forEach(item => {
+            const listItem = document.createElement('li');
+            listItem.appendChild(createRecentlyClosedLink(item));
+            sublist.appendChild(listItem);
+        });
+        details.appendChild(sublist);
+        return details;
+    }
+
+    /**
+     * Creates a link that restores a closed tab. Middle-clicks and modified clicks open the URL
+     * in a new tab instead, as with any other link.
+     * @param {Object} entry - The tab suggestion.
+     * @returns {HTMLAnchorElement} The link.
+     */
+    function createRecentlyClosedLink(entry) {
+        const link = document.createElement('a');
+        link.className = 'recently-closed-item';
+        link.href = entry.url;
+
+        const favicon = document.createElement('img');
+        favicon.className = 'favicon';
+        favicon.alt = '';
+        setFavicon(favicon, entry.url, { allowRemote: allowsRemoteFavicons(settings) });
+
+        const title = document.createElement('span');
+        title.className = 'recently-closed-title';
+        title.textContent = entry.text;
+
+        link.append(favicon, title);
+        link.addEventListener('click', (e) => {
+            if (e.ctrlKey || e.metaKey || e.shiftKey) return;
+            e.preventDefault();
+            restoreSession(entry);
+        });
+        return link;
+    }
+
+    /**
+     * Processes raw history items, groups them by site, and prepares them for display.
+     * Sites are registrable domains, so "mail.google.com" and "docs.google.com" share a group,
+     * and large groups are split again by subdomain or by first path segment.
+     * @param {chrome.history.HistoryItem[]} historyItems - An array of history items.
+     * @returns {Array<Object>} An array of processed suggestion objects.
+     */
+    function groupHistoryItems(historyItems) {
+        const uniqueHistoryItems = [];
+        const seenUrls = new Set();
+        for (const item of historyItems) {
+            // Pages whose deletion can still be undone are already gone from the user's point of view.
+            if (item.url && !seenUrls.has(item.url) && !pendingDeletion?.urls.has(item.url)) {
+                uniqueHistoryItems.push(item);
+                seenUrls.add(item.url);
+            }
+        }
+
+        // Pages without a host, such as file:// pages, are grouped by scheme, e.g. under "file:".
+        const itemsByDomain = new Map();
+        uniqueHistoryItems.forEach(item => {
+            try {
+                const url = new URL(item.url);
+                const domain = url.hostname ? getRegistrableDomain(url.hostname).replace(/^www\./, '') : url.protocol;
+                if (!itemsByDomain.has(domain)) {
+                    itemsByDomain.set(domain, []);
+                }
+                itemsByDomain.get(domain).push(item);
+            } catch (e) { /* Ignore invalid URLs */ }
+        });
+
+        const processedSuggestions = [];
+        for (const [domain, items] of itemsByDomain.entries()) {
+            items.sort((a, b) => b.lastVisitTime - a.lastVisitTime);
+
+            const mappedItems = items.map(item => ({
+                text: item.title || item.url,
+                url: item.url,
+                type: 'history',
+                id: item.id,
+                lastVisitTime: item.lastVisitTime,
+                visitCount: item.visitCount || 0,
+                typedCount: item.typedCount || 0
+            }));
+
+            if (items.length > 1) {
+                // A site visited on one host only is labelled with that host, e.g. "docs.python.org".
+                const hosts = new Set(mappedItems.map(item => getHistoryHost(item.url)));
+                const label = domain === 'file:' ? getMessage('historyGroupFiles') : hosts.size === 1 ? [...hosts][0] || domain : domain;
+                const groupItems = mappedItems.length > HISTORY_SUBGROUP_THRESHOLD
+                    ? createHistorySubgroups(domain, mappedItems, hosts.size > 1)
+                    : mappedItems;
+                processedSuggestions.push(createHistoryGroup(label, `history:${domain}`, groupItems));
+            } else {
+                processedSuggestions.push(mappedItems[0]);
+            }
+        }
+
+        return processedSuggestions.sort((a, b) => {
+            const timeA = a.latestVisitTime || a.lastVisitTime || 0;
+            const timeB = b.latestVisitTime || b.lastVisitTime || 0;
+            return timeB - timeA;
+        });
+    }
+
+    /**
+     * Splits the pages of a large site into sub-groups, by host (e.g. "mail.google.com") when the site
+     * spans several, or otherwise by first path segment (e.g. "github.com/torvalds"). Pages that would be
+     * alone in a sub-group stay as they are.
+     * @param {string} domain - The site's registrable domain.
+     * @param {Array<Object>} items - The site's history suggestions, most recent first.
+     * @param {boolean} byHost - Whether to split by host rather than by path.
+     * @returns {Array<Object>} Sub-groups and single pages, most recent first.
+     */
+    function createHistorySubgroups(domain, items, byHost) {
+        const itemsByKey = new Map();
+        for (const item of items) {
+            const url = new URL(item.url);
+            const segment = url.pathname.split('/')[1] || '';
+            const key = byHost ? getHistoryHost(item.url) : `${getHistoryHost(item.url)}/${segment}`;
+            if (!itemsByKey.has(key)) {
+                itemsByKey.set(key, []);
+            }
+            itemsByKey.get(key).push(item);
+        }
+        // One sub-group holding every page adds nothing.
+        if (itemsByKey.size < 2) return items;
+
+        return Array.from(itemsByKey.entries())
+            .map(([key, subItems]) => subItems.length > 1
+                ? createHistoryGroup(key.replace(/\/$/, ''), `history:${domain}:${key}`, subItems)
+                : subItems[0])
+            .sort((a, b) => (b.latestVisitTime || b.lastVisitTime || 0) - (a.latestVisitTime || a.lastVisitTime || 0));
+    }
+
+    /**
+     * Creates a group suggestion for history items, which may include nested groups.
+     * The group opens its shortest URL, usually the site's home page or a path's index.
+     * @param {string} text - The label, e.g. "google.com".
+     * @param {string} groupKey - A key that stays the same across refreshes, for the expanded state.
+     * @param {Array<Object>} items - The history suggestions and sub-groups in the group, most recent first.
+     * @returns {Object} The group suggestion.
+     */
+    function createHistoryGroup(text, groupKey, items) {
+        const pages = getGroupLeafItems({ items });
+        const groupUrl = pages.reduce((shortest, item) => item.url.length < shortest.length ? item.url : shortest, pages[0].url);
+        return {
+            text,
+            url: groupUrl,
+            type: 'history',
+            isGroup: true,
+            groupKey,
+            items,
+            latestVisitTime: Math.max(...pages.map(item => item.lastVisitTime || 0)),
+            // The group ranks by the combined activity of its pages.
+            visitCount: pages.reduce((sum, item) => sum + item.visitCount, 0),
+            typedCount: pages.reduce((sum, item) => sum + item.typedCount, 0)
+        };
+    }
+
+    /**
+     * Collects the pages in a group, including those in nested groups.
+     * @param {Object} group - The group suggestion.
+     * @returns {Array<Object>} The group's non-group suggestions.
+     */
+    function getGroupLeafItems(group) {
+        return group.items.flatMap(item => item.isGroup ? getGroupLeafItems(item) : [item]);
+    }
+
+    /**
+     * Gets a history item's host for display, without "www.".
+     * @param {string} url - The page URL.
+     * @returns {string} The host.
+     */
+    function getHistoryHost(url) {
+        return new URL(url).hostname.replace(/^www\./, '');
+    }
+
+    /**
+     * Shows recently closed tabs and windows, tabs from other devices and recent history items
+     * as initial suggestions when the search bar is empty.
+     */
+    async function showInitialSuggestions() {
+        if (typeof chrome.history === 'undefined') return;
+        abortController.abort();
+        abortController = new AbortController();
+        const signal = abortController.signal;
+
+        const fetchRecentlyClosed = async () => {
+            if (!settings.sourceRecentlyClosed) return [];
+            try {
+                const { closed, devices } = await loadRecentlyClosed();
+                return [...closed.slice(0, RECENTLY_CLOSED_SUGGESTIONS), ...devices];
+            } catch (error) {
+                console.error("Error loading recently closed tabs:", error);
+                return [];
+            }
+        };
+
+        const fetchRecentHistory = () => new Promise(resolve => {
+            if (!settings.sourceHistory || settings.maxInitialHistory === 0) return resolve([]);
+            chrome.history.search({ text: '', maxResults: settings.maxInitialHistory }, (historyItems) => {
+                const filtered = historyItems.filter(item => item.url && !isNewTabPageUrl(item.url));
+                resolve(groupHistoryItems(filtered));
+            });
+        });
+
+        const [closedSuggestions, historySuggestions] = await Promise.all([fetchRecentlyClosed(), fetchRecentHistory()]);
+        if (signal.aborted) return; // The user started typing meanwhile.
+
+        const suggestions = [...closedSuggestions, ...historySuggestions];
+        if (suggestions.length === 0) {
+            clearSuggestions();
+            return;
+        }
+        displaySuggestions(suggestions, true);
+    }
+
+    /**
+     * Navigates to a URL or performs a search with the matching engine.
+     * A leading engine keyword (e.g. `gh react hooks`) sends the rest of the query to that engine;
+     * otherwise classifyInput decides whether the input is a URL.
+     * @param {string} queryOrUrl - The search query or a full URL.
+     * @param {boolean} [inNewTab=false] - Whether to open the link in a new tab.
+     */
+    function performSearch(queryOrUrl, inNewTab = false) {
+        let targetUrl;
+        let isInternal = false;
+        const query = (queryOrUrl || '').trim();
+        if (!query) return;
+
+        const keywordMatch = matchSearchEngineKeyword(query);
+        const input = classifyInput(query);
+        if (keywordMatch) {
+            targetUrl = buildSearchUrl(keywordMatch.engine, keywordMatch.terms);
+        } else if (input.type === 'url') {
+            targetUrl = input.url;
+            isInternal = input.internal;
+        } else if (input.query) {
+            targetUrl = buildSearchUrl(getDefaultSearchEngine(), input.query);
+        } else {
+            return;
+        }
+
+        if (inNewTab) {
+            chrome.tabs.create({ url: targetUrl, active: false });
+        } else if (isInternal) {
+            // Extension pages cannot navigate to browser pages such as chrome://extensions themselves.
+            chrome.tabs.update({ url: targetUrl });
+        } else {
+            window.location.href = targetUrl;
+        }
+    }
+
+    /**
+     * Opens a suggestion: switches to an open tab, restores a closed one, copies an instant answer,
+     * runs a command, or navigates or searches.
+     * @param {Object} suggestion - The suggestion data.
+     * @param {boolean} [inNewTab=false] - Whether to open the link in a new tab.
+     */
+    function activateSuggestion(suggestion, inNewTab = false) {
+        if (suggestion.type === 'tab') {
+            switchToTab(suggestion);
+        } else if (suggestion.type === 'session') {
+            restoreSession(suggestion, inNewTab);
+        } else if (suggestion.type === 'answer') {
+            copyAnswer(suggestion);
+        } else if (suggestion.type === 'command') {
+            runCommand(suggestion);
+        } else {
+            performSearch(suggestion.url || suggestion.text, inNewTab);
+        }
+    }
+
+    /**
+     * Focuses an open tab and its window, then closes this new tab page as the omnibox does.
+     * Falls back to opening the URL if the tab was closed in the meantime.
+     * @param {Object} suggestion - The tab suggestion, with `tabId` and `windowId`.
+     */
+    async function switchToTab(suggestion) {
+        try {
+            await chrome.tabs.update(suggestion.tabId, { active: true });
+            await chrome.windows.update(suggestion.windowId, { focused: true });
+        } catch (error) {
+            console.error("Error switching to tab:", error);
+            performSearch(suggestion.url);
+            return;
+        }
+        const currentTab = await chrome.tabs.getCurrent();
+        if (currentTab) chrome.tabs.remove(currentTab.id);
+    }
+
+    /**
+     * Copies an instant answer's result to the clipboard and confirms it on the row.
+     * @param {Object} suggestion - The answer suggestion, with its `result`.
+     */
+    async function copyAnswer(suggestion) {
+        const item = Array.from(matchesList.querySelectorAll('.suggestion-item'))
+            .find(element => element.suggestionData === suggestion);
+        const hint = item?.querySelector('.suggestion-hint');
+        try {
+            await navigator.clipboard.writeText(suggestion.result);
+            if (hint) hint.textContent = getMessage('answerCopied');
+        } catch (error) {
+            console.error("Error copying answer:", error);
+            if (hint) hint.textContent = getMessage('answerCopyFailed');
+        }
+    }
+
+    // --- Tab Groups ---
+
+    /**
+     * Opens every page of a suggestion group, including nested groups, in a tab group named after it.
+     * @param {Object} group - The group suggestion, e.g. a site's history or a closed window.
+     */
+    function openGroupAsTabGroup(group) {
+        const urls = [...new Set(getGroupLeafItems(group).map(item => item.url).filter(Boolean))];
+        openTabGroup(group.text, urls);
+    }
+
+    /**
+     * Opens pages in background tabs and gathers them into a named, coloured tab group.
+     * Asks first when there are more of them than the `openAllConfirm` setting.
+     * Browsers without tab groups just get the tabs.
+     * @param {string} title - The group's name, e.g. "github.com".
+     * @param {Array<string>} urls - The pages to open, in order.
+     */
+    async function openTabGroup(title, urls) {
+        if (urls.length === 0) return;
+        if (urls.length > settings.openAllConfirm && !confirm(getPluralMessage('openTabsConfirm', urls.length))) return;
+
+        try {
+            // One at a time, so the tabs keep the order of the list.
+            const tabIds = [];
+            for (const url of urls) {
+                tabIds.push((await chrome.tabs.create({ url, active: false })).id);
+            }
+            if (!chrome.tabs.group || !chrome.tabGroups) return;
+            const groupId = await chrome.tabs.group({ tabIds });
+            await chrome.tabGroups.update(groupId, { title, color: getTabGroupColor(title), collapsed: false });
+        } catch (error) {
+            console.error("Error opening tab group:", error);
+        }
+    }
+
+    /**
+     * Picks a tab group colour from its name, so the same site or folder keeps its colour.
+     * @param {string} title - The group's name.
+     * @returns {string} One of the chrome.tabGroups colours.
+     */
+    function getTabGroupColor(title) {
+        let hash = 0;
+        for (const char of title) {
+            hash = (hash * 31 + char.codePointAt(0)) >>> 0;
+        }
+        return TAB_GROUP_COLORS[hash % TAB_GROUP_COLORS.length];
+    }
+
+    // --- Inline Autocomplete ---
+
+    /**
+     * Collects the hosts and typed URLs from recent history that can complete the input inline,
+     * ranked by how often they were typed and how recently they were visited.
+     */
+    async function loadInlineCompletions() {
+        if (typeof chrome.history === 'undefined' || !settings.inlineAutocomplete) return;
+        let items;
+        try {
+            items = await new Promise((resolve, reject) => {
+                chrome.history.search({ text: '', startTime: 0, maxResults: INLINE_COMPLETION_HISTORY }, (results) => {
+                    if (chrome.runtime.lastError) {
+                        return reject(chrome.runtime.lastError);
+                    }
+                    resolve(results);
+                });
+            });
+        } catch (error) {
+            console.error("Error loading inline completions:", error);
+            return;
+        }
+
+        const candidates = new Map();
+        const addCandidate = (text, item) => {
+            const candidate = candidates.get(text) || { text, typedCount: 0, lastVisitTime: 0 };
+            candidate.typedCount += item.typedCount || 0;
+            candidate.lastVisitTime = Math.max(candidate.lastVisitTime, item.lastVisitTime || 0);
+            candidates.set(text, candidate);
+        };
+        for (const item of items) {
+            let url;
+            try {
+                url = new URL(item.url);
+            } catch {
+                continue;
+            }
+            if (url.protocol !== 'http:' && url.protocol !== 'https:') continue;
+
+            const host = url.host.replace(/^www\./, '');
+            addCandidate(host, item);
+            // URLs the user typed themselves can also be completed in full.
+            const fullUrl = `${host}${url.pathname}${url.search}`.replace(/\/$/, '');
+            if (item.typedCount > 0 && fullUrl !== host) addCandidate(fullUrl, item);
+        }
+
+        const weights = rankingWeights;
+        const score = candidate => {
+            const ageDays = Math.max(0, Date.now() - candidate.lastVisitTime) / 86400000;
+            return weights.typedCount * Math.log2(candidate.typedCount + 1)
+                + weights.recency * Math.pow(0.5, ageDays / Math.max(weights.recencyHalfLifeDays, 0.1));
+        };
+        inlineCompletions = Array.from(candidates.values())
+            .map(candidate => ({ text: candidate.text, score: score(candidate) }))
+            .sort((a, b) => b.score - a.score);
+    }
+
+    /**
+     * Completes the typed text with the best matching host or typed URL, selecting the added part
+     * so that typing on replaces it. Only applies while the caret is at the end of the input.
+     */
+    function applyInlineCompletion() {
+        const typed = searchInput.value;
+        const needle = typed.toLowerCase().replace(/^(https?:\/\/)?(www\.)?/, '');
+        if (!settings.inlineAutocomplete || !needle || /\s/.test(typed)
+            || searchInput.selectionStart !== typed.length) return;
+
+        const match = inlineCompletions.find(candidate => candidate.text.length > needle.length
+            && candidate.text.toLowerCase().startsWith(needle));
+        if (!match) return;
+
+        const value = typed + match.text.slice(needle.length);
+        searchInput.value = value;
+        searchInput.setSelectionRange(typed.length, value.length);
+        inlineCompletion = { typed, value };
+    }
+
+    /**
+     * Removes the inline completion, leaving exactly what the user typed.
+     * @returns {boolean} True if a completion was shown and removed.
+     */
+    function removeInlineCompletion() {
+        const completion = inlineCompletion;
+        inlineCompletion = null;
+        // A click in the input or a caret move has already turned the completion into typed text.
+        if (!completion || searchInput.value !== completion.value
+            || searchInput.selectionStart !== completion.typed.length) return false;
+
+        searchInput.value = completion.typed;
+        searchInput.setSelectionRange(completion.typed.length, completion.typed.length);
+        return true;
+    }
+
+    /**
+     * Keeps the inline completion as if the user had typed it, and updates the suggestions for it.
+     * @returns {boolean} True if a completion was shown and accepted.
+     */
+    function acceptInlineCompletion() {
+        if (!inlineCompletion) return false;
+        inlineCompletion = null;
+        originalUserQuery = searchInput.value;
+        debouncedFetchSuggestions(originalUserQuery.trim());
+        return true;
+    }
+
+    // --- Search Operators ---
+
+    /**
+     * Turns finished operators in the search bar into chips: the word just completed with a space,
+     * or, for pasted text, every operator in it.
+     * @param {boolean} all - Whether to take every operator rather than just the word before the caret.
+     * @returns {boolean} True if a chip was added.
+     */
+    function extractSearchOperators(all) {
+        const value = searchInput.value;
+        if (all) {
+            const words = value.split(/\s+/).filter(Boolean);
+            const operators = words.map(word => parseSearchOperator(word));
+            if (!operators.some(Boolean)) return false;
+            operators.filter(Boolean).forEach(addSearchOperator);
+            searchInput.value = words.filter((word, index) => !operators[index]).join(' ');
+        } else {
+            const caret = searchInput.selectionStart;
+            const match = /(?:^|\s)(\S+)\s$/.exec(value.slice(0, caret));
+            const operator = match && parseSearchOperator(match[1]);
+            if (!operator) return false;
+            addSearchOperator(operator);
+            const start = caret - match[1].length - 1;
+            searchInput.value = value.slice(0, start) + value.slice(caret);
+            searchInput.setSelectionRange(start, start);
+        }
+        renderSearchOperators();
+        return true;
+    }
+
+    /**
+     * Adds an operator chip. A new `site:`, `before:` or `after:` replaces the old one;
+     * `in:` and exclusions add up, without duplicates.
+     * @param {{key: string, value: string, raw: string}} operator - The operator, from parseSearchOperator.
+     */
+    function addSearchOperator(operator) {
+        const isSingle = ['site', 'before', 'after'].includes(operator.key);
+        searchOperators = searchOperators.filter(existing => existing.raw !== operator.raw
+            && !(isSingle && existing.key === operator.key));
+        searchOperators.push(operator);
+    }
+
+    /**
+     * Renders the operator chips, each with a button that removes it and updates the suggestions.
+     */
+    function renderSearchOperators() {
+        searchChips.innerHTML = '';
+        searchOperators.forEach(operator => {
+            const chip = document.createElement('span');
+            chip.className = 'search-chip';
+            chip.textContent = operator.raw;
+
+            const removeButton = document.createElement('button');
+            removeButton.type = 'button';
+            removeButton.textContent = '×';
+            removeButton.setAttribute('aria-label', getMessage('operatorRemove', operator.raw));
+            // Keep the focus in the search bar.
+            removeButton.addEventListener('mousedown', (e) => e.preventDefault());
+            removeButton.addEventListener('click', () => {
+                searchOperators = searchOperators.filter(existing => existing !== operator);
+                renderSearchOperators();
+                const query = searchInput.value.trim();
+                query || searchOperators.length > 0 ? fetchSuggestions(query) : showInitialSuggestions();
+            });
+
+            chip.appendChild(removeButton);
+            searchChips.appendChild(chip);
+        });
+        updateRemoteIndicator(searchInput.value.trim());
+    }
+
+    /**
+     * Builds the query sent to the search engine: the chips and the text in the search bar,
+     * without the `in:` operators, which only mean something here.
+     * @returns {string} The query.
+     */
+    function getWebSearchQuery() {
+        const webOperators = searchOperators.filter(operator => operator.key !== 'in').map(operator => operator.raw);
+        if (webOperators.length === 0 && !/(^|\s)in:/i.test(searchInput.value)) {
+            return searchInput.value; // Keep the input exactly as typed, e.g. for URLs.
+        }
+        const words = searchInput.value.trim().split(/\s+/).filter(word => word && parseSearchOperator(word)?.key !== 'in');
+        return [...webOperators, ...words].join(' ');
+    }
+
+    // --- Command Palette ---
+
+    /**
+     * Shows the commands matching the text after `>` in the dropdown, using the suggestion list
+     * and its keyboard navigation.
+     * @param {string} query - The text in the search bar, starting with `>`.
+     */
+    function showCommandPalette(query) {
+        abortController.abort(); // Suggestions still loading for an earlier query must not replace the palette.
+        updateRemoteIndicator(query);
+        displaySuggestions(findCommands(query).map(command => ({
+            text: `${COMMAND_PREFIX}${command.title}`,
+            label: command.title,
+            detail: command.description,
+            hint: command.hint,
+            command,
+            type: 'command'
+        })));
+    }
+
+    /**
+     * Runs a command from the palette, after asking if the command has a `confirm` question.
+     * A command that reports a status keeps the palette open and shows the status on its row;
+     * otherwise the search bar is cleared.
+     * @param {Object} suggestion - The command suggestion, with its `command`.
+     */
+    async function runCommand(suggestion) {
+        if (suggestion.command.confirm && !confirm(suggestion.command.confirm)) return;
+        const item = Array.from(matchesList.querySelectorAll('.suggestion-item'))
+            .find(element => element.suggestionData === suggestion);
+        const hint = item?.querySelector('.suggestion-hint');
+        try {
+            const status = await suggestion.command.run();
+            if (status) {
+                if (hint) hint.textContent = status;
+                return;
+            }
+            searchInput.value = '';
+            originalUserQuery = '';
+            clearSuggestions();
+            updateRemoteIndicator('');
+        } catch (error) {
+            console.error(`Error running command "${suggestion.command.id}":`, error);
+            if (hint) hint.textContent = getMessage('commandFailed');
+        }
+    }
+
+    /**
+     * Registers the commands of the new tab page. Other scripts can add their own with registerCommand.
+     */
+    function registerPageCommands() {
+        registerCommand({
+            id: 'open-extensions',
+            title: getMessage('commandOpenExtensions'),
+            description: getMessage('commandOpenExtensionsDescription'),
+            keywords: getMessage('commandOpenExtensionsKeywords').split(', '),
+            run: () => performSearch('chrome://extensions')
+        });
+        registerCommand({
+            id: 'open-downloads',
+            title: getMessage('commandOpenDownloads'),
+            description: getMessage('commandOpenDownloadsDescription'),
+            hint: 'Ctrl+J',
+            run: () => performSearch('chrome://downloads')
+        });
+        registerCommand({
+            id: 'open-history',
+            title: getMessage('commandOpenHistory'),
+            description: getMessage('commandOpenHistoryDescription'),
+            run: () => {
+                window.location.href = 'history.html';
+            }
+        });
+        registerCommand({
+            id: 'open-recently-closed',
+            title: getMessage('commandOpenRecentlyClosed'),
+            description: getMessage('commandOpenRecentlyClosedDescription'),
+            hint: 'Ctrl+Shift+T',
+            keywords: getMessage('commandOpenRecentlyClosedKeywords').split(', '),
+            isAvailable: () => typeof chrome.sessions !== 'undefined',
+            run: async () => {
+                await chrome.sessions.restore();
+            }
+        });
+        registerCommand({
+            id: 'open-bookmarks',
+            title: getMessage('commandOpenBookmarks'),
+            description: getMessage('commandOpenBookmarksDescription'),
+            run: () => toggleBookmarksPanel(true)
+        });
+        registerCommand({
+            id: 'open-settings',
+            title: getMessage('commandOpenSettings'),
+            description: getMessage('commandOpenSettingsDescription'),
+            keywords: getMessage('commandOpenSettingsKeywords').split(', '),
+            run: () => toggleSettingsDrawer(true)
+        });
+        registerCommand({
+            id: 'reload-top-sites',
+            title: getMessage('commandReloadTopSites'),
+            description: getMessage('commandReloadTopSitesDescription'),
+            keywords: getMessage('commandReloadTopSitesKeywords').split(', '),
+            run: () => displayTopSites()
+        });
+        registerCommand({
+            id: 'show-shortcuts',
+            title: getMessage('commandShowShortcuts'),
+            description: getMessage('commandShowShortcutsDescription'),
+            keywords: getMessage('commandShowShortcutsKeywords').split(', '),
+            run: () => showKeyboardHelp()
+        });
+        registerCommand({
+            id: 'toggle-theme',
+            title: getMessage('commandToggleTheme'),
+            description: getMessage('commandToggleThemeDescription'),
+            keywords: getMessage('commandToggleThemeKeywords').split(', '),
+            run: () => saveSetting('themeMode', resolveThemeMode(settings.themeMode) === 'dark' ? 'light' : 'dark')
+        });
+        // Matches are ranked by score, so registration order only breaks ties; what keeps this command
+        // from running by accident is its `confirm` question, asked in runCommand.
+        registerCommand({
+            id: 'clear-history-hour',
+            title: getMessage('commandClearHistoryHour'),
+            description: getMessage('commandClearHistoryHourDescription'),
+            keywords: getMessage('commandClearHistoryHourKeywords').split(', '),
+            confirm: getMessage('commandClearHistoryHourConfirm'),
+            isAvailable: () => typeof chrome.history !== 'undefined',
+            run: () => new Promise((resolve, reject) => {
+                const endTime = Date.now();
+                chrome.history.deleteRange({ startTime: endTime - 60 * 60 * 1000, endTime }, () => {
+                    if (chrome.runtime.lastError) {
+                        return reject(chrome.runtime.lastError);
+                    }
+                    resolve(getMessage('commandCleared'));
+                });
+            })
+        });
+    }
+
+    // --- Private Mode ---
+
+    /**
+     * Explains why a query must not be sent to the suggestion service, whatever the user chose for it.
+     * @param {string} query - The text in the search bar.
+     * @returns {string|null} The reason, or null if the query may be sent.
+     */
+    function getForcedLocalReason(query) {
+        if (isIncognitoContext()) return getMessage('localReasonIncognito');
+        if (settings.privateMode) return getMessage('localReasonPrivateMode');
+        if (isCommandQuery(query)) return getMessage('localReasonCommand');
+        if (looksSensitive(query)) return getMessage('localReasonSensitive');
+        if (searchOperators.length > 0 || parseSearchOperators(query).operators.length > 0) {
+            return getMessage('localReasonOperators');
+        }
+        return null;
+    }
+
+    /**
+     * Checks whether a query may be sent to the suggestion service.
+     * @param {string} query - The text in the search bar.
+     * @returns {boolean} True unless private mode, the query itself or the user's opt-out keeps it local.
+     */
+    function allowsRemoteSuggestions(query) {
+        return !isQueryKeptLocal && !getForcedLocalReason(query);
+    }
+
+    /**
+     * Shows in the search bar whether the query is sent to the suggestion service. The indicator
+     * is hidden when remote suggestions are off and private mode does not apply.
+     * @param {string} query - The text in the search bar.
+     */
+    function updateRemoteIndicator(query) {
+        const provider = SUGGESTION_PROVIDERS[suggestionProviderId];
+        const canFetch = Boolean(provider) && settings.sourceRemote;
+        const forcedReason = getForcedLocalReason(query);
+        const isRemote = canFetch && !forcedReason && !isQueryKeptLocal;
+
+        let label = forcedReason || getMessage('remoteIndicatorLocal');
+        if (isRemote) {
+            label = getMessage('remoteIndicatorRemote', provider.name);
+        } else if (canFetch && !forcedReason) {
+            label = getMessage('remoteIndicatorKeptLocal');
+        }
+
+        remoteIndicator.hidden = !canFetch && !isPrivateModeActive(settings);
+        remoteIndicator.classList.toggle('is-remote', isRemote);
+        // Only the user's own opt-out can be undone here.
+        remoteIndicator.setAttribute('aria-disabled', String(!canFetch || Boolean(forcedReason)));
+        remoteIndicator.title = label;
+        remoteIndicator.setAttribute('aria-label', label);
+    }
+
+    // --- Search Engines ---
+
+    /**
+     * Returns the engine used for queries without a keyword.
+     * @returns {Object} The default search engine.
+     */
+    function getDefaultSearchEngine() {
+        return searchEngines.find(engine => engine.id === defaultEngineId) || searchEngines[0] || DEFAULT_SEARCH_ENGINES[0];
+    }
+
+    /**
+     * Checks whether a query starts with an engine keyword followed by search terms.
+     * @param {string} query - The raw query, e.g. "gh react hooks".
+     * @returns {{engine: Object, terms: string}|null} The matched engine and remaining terms, or null.
+     */
+    function matchSearchEngineKeyword(query) {
+        const match = query.trim().match(/^(\S+)\s+(.+)$/);
+        if (!match) return null;
+
+        const keyword = match[1].toLowerCase();
+        const engine = searchEngines.find(e => e.keyword.toLowerCase() === keyword);
+        return engine ? { engine, terms: match[2].trim() } : null;
+    }
+
+    /**
+     * Builds the search URL for an engine by filling its `%s` placeholder. Google searches get the
+     * browser's language as `hl` unless the engine's URL already sets one.
+     * @param {Object} engine - The search engine.
+     * @param {string} terms - The search terms.
+     * @returns {string} The URL to navigate to.
+     */
+    function buildSearchUrl(engine, terms) {
+        const url = engine.url.replace(/%s/g, encodeURIComponent(terms));
+        try {
+            const parsed = new URL(url);
+            if (parsed.hostname === 'www.google.com' && !parsed.searchParams.has('hl')) {
+                parsed.searchParams.set('hl', getUILanguage());
+                return parsed.href;
+            }
+        } catch {
+            // Not a valid URL; navigate to it as the user entered it.
+        }
+        return url;
+    }
+
+    /**
+     * Validates a search engine against the rest of the list.
+     * @param {Object} engine - The engine to validate.
+     * @param {Array<Object>} engines - The other engines, used to check for duplicate keywords.
+     * @returns {string|null} An error message, or null if the engine is valid.
+     */
+    function validateSearchEngine(engine, engines) {
+        if (!engine.name.trim()) return getMessage('errorNameRequired');
+        if (!/^\S+$/.test(engine.keyword)) return getMessage('errorKeywordSingleWord');
+        const keyword = engine.keyword.toLowerCase();
+        if (engines.some(e => e.id !== engine.id && e.keyword.toLowerCase() === keyword)) {
+            return getMessage('errorKeywordInUse', engine.keyword);
+        }
+        if (!/^https?:\/\//.test(engine.url) || !engine.url.includes('%s')) {
+            return getMessage('errorSearchUrl');
+        }
+        return null;
+    }
+
+    /**
+     * Loads the saved search engines from chrome.storage, falling back to the built-in list.
+     */
+    async function loadSearchEngines() {
+        try {
+            const result = await storageGet('sync', SEARCH_ENGINES_KEY);
+            applySearchEngines(result[SEARCH_ENGINES_KEY]);
+        } catch (error) {
+            console.error("Error loading search engines:", error);
+            applySearchEngines();
+        }
+    }
+
+    /**
+     * Applies a stored engine configuration and refreshes the settings list.
+     * @param {{engines: Array<Object>, defaultId: string}} [stored] - The stored configuration.
+     */
+    function applySearchEngines(stored) {
+        searchEngines = Array.isArray(stored?.engines) && stored.engines.length > 0
+            ? stored.engines
+            : DEFAULT_SEARCH_ENGINES;
+        defaultEngineId = stored?.defaultId || DEFAULT_ENGINE_ID;
+        renderSearchEngineList();
+    }
+
+    /**
+     * Saves the engine list to chrome.storage.sync.
+     * @param {Array<Object>} engines - The engines to save.
+     * @param {string} defaultId - The ID of the default engine.
+     */
+    async function saveSearchEngines(engines, defaultId) {
+        searchEngines = engines;
+        defaultEngineId = defaultId;
+        try {
+            await storageSet('sync', { [SEARCH_ENGINES_KEY]: { engines, defaultId } });
+        } catch (error) {
+            console.error("Error saving search engines:", error);
+        }
+    }
+
+    /**
+     * Renders the editable engine list in the settings drawer.
+     */
+    function renderSearchEngineList() {
+        searchEnginesList.innerHTML = '';
+        searchEngines.forEach(engine => {
+            searchEnginesList.appendChild(createSearchEngineRow(engine, false));
+        });
+    }
+
+    /**
+     * Creates an editable row for a search engine.
+     * Changes are saved as soon as the row is valid.
+     * @param {Object} engine - The engine to edit.
+     * @param {boolean} isNew - Whether the engine has not been saved yet.
+     * @returns {HTMLElement} The row element.
+     */
+    function createSearchEngineRow(engine, isNew) {
+        const row = document.createElement('div');
+        row.className = 'engine-row';
+
+        const fields = {};
+        [
+            { key: 'name', label: getMessage('fieldName'), placeholder: 'GitHub' },
+            { key: 'keyword', label: getMessage('searchEngineKeyword'), placeholder: 'gh' },
+            { key: 'url', label: getMessage('searchEngineUrl'), placeholder: 'https://github.com/search?q=%s' }
+        ].forEach(({ key, label, placeholder }) => {
+            const input = document.createElement('input');
+            input.type = 'text';
+            input.className = `engine-${key}`;
+            input.value = engine[key];
+            input.placeholder = placeholder;
+            input.setAttribute('aria-label', label);
+            input.spellcheck = false;
+            fields[key] = input;
+            row.appendChild(input);
+        });
+
+        const defaultLabel = document.createElement('label');
+        defaultLabel.className = 'engine-default';
+        const defaultRadio = document.createElement('input');
+        defaultRadio.type = 'radio';
+        defaultRadio.name = 'default-engine';
+        defaultRadio.checked = !isNew && engine.id === getDefaultSearchEngine().id;
+        defaultLabel.append(defaultRadio, getMessage('searchEngineDefault'));
+        row.appendChild(defaultLabel);
+
+        const deleteButton = document.createElement('button');
+        deleteButton.type = 'button';
+        deleteButton.className = 'engine-delete-button';
+        deleteButton.title = getMessage('searchEngineRemove');
+        deleteButton.setAttribute('aria-label', getMessage('searchEngineRemove'));
+        row.appendChild(deleteButton);
+
+        const error = document.createElement('div');
+        error.className = 'engine-error';
+        error.setAttribute('role', 'alert');
+        row.appendChild(error);
+
+        const saveRow = () => {
+            const updated = {
+                id: engine.id,
+                name: fields.name.value.trim(),
+                keyword: fields.keyword.value.trim(),
+                url: fields.url.value.trim()
+            };
+            const message = validateSearchEngine(updated, searchEngines);
+            error.textContent = message || '';
+            row.classList.toggle('invalid', Boolean(message));
+            if (message) return;
+
+            const exists = searchEngines.some(e => e.id === engine.id);
+            const engines = exists
+                ? searchEngines.map(e => (e.id === engine.id ? updated : e))
+                : [...searchEngines, updated];
+            const defaultId = defaultRadio.checked ? updated.id : getDefaultSearchEngine().id;
+            saveSearchEngines(engines, defaultId);
+        };
+
+        Object.values(fields).forEach(input => input.addEventListener('change', saveRow));
+        defaultRadio.addEventListener('change', saveRow);
+
+        deleteButton.addEventListener('click', () => {
+            const engines = searchEngines.filter(e => e.id !== engine.id);
+            if (engines.length === 0) {
+                error.textContent = getMessage('errorSearchEngineRequired');
+                return;
+            }
+            row.remove();
+            if (engines.length === searchEngines.length) return; // Unsaved row.
+            const defaultId = engine.id === getDefaultSearchEngine().id ? engines[0].id : defaultEngineId;
+            saveSearchEngines(engines, defaultId);
+            renderSearchEngineList();
+        });
+
+        return row;
+    }
+
+    /**
+     * Opens or closes the settings drawer.
+     * @param {boolean} open - Whether the drawer should be open.
+     */
+    function toggleSettingsDrawer(open) {
+        settingsDrawer.hidden = !open;
+        settingsButton.setAttribute('aria-expanded', String(open));
+        if (open) {
+            clearSuggestions();
+            if (!bookmarksPanel.hidden) toggleBookmarksPanel(false);
+            settingsDrawer.querySelector('input, button')?.focus();
+        }
+    }
+
+    // --- Launchers ---
+
+    /**
+     * Loads the launchers from chrome.storage.local. The first time, the defaults are saved,
+     * keeping the URL of the former Gemini button if it was changed.
+     */
+    async function loadLaunchers() {
+        try {
+            const result = await storageGet('local', LAUNCHERS_KEY);
+            if (Array.isArray(result[LAUNCHERS_KEY])) {
+                applyLaunchers(result[LAUNCHERS_KEY]);
+                return;
+            }
+            const stored = await storageGet('sync', SETTINGS_STORAGE_KEY);
+            const geminiUrl = stored[SETTINGS_STORAGE_KEY]?.geminiUrl;
+            const migrated = DEFAULT_LAUNCHERS.map(launcher => (
+                launcher.id === 'gemini' && geminiUrl ? { ...launcher, url: geminiUrl } : launcher
+            ));
+            applyLaunchers(migrated);
+            await saveLaunchers(migrated);
+        } catch (error) {
+            console.error("Error loading launchers:", error);
+            applyLaunchers();
+        }
+    }
+
+    /**
+     * Applies a stored launcher list and refreshes the dock and the settings list.
+     * @param {Array<Object>} [stored] - The stored launchers. An empty list leaves the dock empty.
+     */
+    function applyLaunchers(stored) {
+        launchers = Array.isArray(stored) ? stored : DEFAULT_LAUNCHERS;
+        renderLauncherDock();
+        renderLauncherList();
+    }
+
+    /**
+     * Saves the launchers to chrome.storage.local, where uploaded icons fit, and refreshes the dock.
+     * @param {Array<Object>} list - The launchers to save.
+     */
+    async function saveLaunchers(list) {
+        launchers = list;
+        renderLauncherDock();
+        try {
+            await storageSet('local', { [LAUNCHERS_KEY]: list });
+        } catch (error) {
+            console.error("Error saving launchers:", error);
+        }
+    }
+
+    /**
+     * Opens a launcher, with the query filled into its query URL when there is both.
+     * @param {Object} launcher - The launcher.
+     * @param {string} [query] - The text to send along, e.g. what is typed in the search bar.
+     * @param {boolean} [inNewTab=false] - Whether to open it in a new tab.
+     */
+    function openLauncher(launcher, query = '', inNewTab = false) {
+        const url = query && launcher.queryUrl
+            ? launcher.queryUrl.replace(/%s/g, encodeURIComponent(query))
+            : launcher.url;
+        performSearch(url, inNewTab);
+    }
+
+    /**
+     * Renders the launcher buttons next to the search bar. Only one of them is in the tab order;
+     * the arrow keys move between them.
+     */
+    function renderLauncherDock() {
+        launcherDock.innerHTML = '';
+        launchers.forEach((launcher, index) => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'launcher-button';
+            button.launcher = launcher; // Attach data to the element for easy access
+            button.tabIndex = index === 0 ? 0 : -1;
+            button.setAttribute('aria-label', getMessage('launcherOpen', launcher.name));
+            if (!launcher.queryUrl) {
+                button.title = launcher.name;
+            } else if (index < 9) {
+                button.title = getMessage('launcherTitleNumbered', [launcher.name, index + 1]);
+            } else {
+                button.title = getMessage('launcherTitle', launcher.name);
+            }
+            button.appendChild(createLauncherIcon(launcher));
+            launcherDock.appendChild(button);
+        });
+    }
+
+    /**
+     * Creates a launcher's icon: a built-in icon, the uploaded image or the site's favicon.
+     * @param {Object} launcher - The launcher.
+     * @returns {Element} The icon element.
+     */
+    function createLauncherIcon(launcher) {
+        const isUploaded = launcher.icon?.startsWith('data:');
+        const template = launcher.icon && !isUploaded && document.getElementById(`template-launcher-${launcher.icon}`);
+        if (template) {
+            const icon = template.cloneNode(true);
+            icon.removeAttribute('id');
+            return icon;
+        }
+
+        const img = document.createElement('img');
+        img.className = 'launcher-icon';
+        img.alt = '';
+        if (isUploaded) {
+            img.src = launcher.icon;
+        } else if (launcher.url) {
+            setFavicon(img, launcher.url, { allowRemote: allowsRemoteFavicons(settings) });
+        }
+        return img;
+    }
+
+    /**
+     * Moves between the launchers with the arrow keys, Home and End, and opens the focused one
+     * with Enter or Space. Alt sends the typed query along; Ctrl, Cmd or Shift opens a new tab.
+     * @param {KeyboardEvent} event - The keyboard event.
+     */
+    function handleLauncherDockKeyDown(event) {
+        const buttons = Array.from(launcherDock.querySelectorAll('.launcher-button'));
+        const index = buttons.indexOf(event.target);
+        if (index === -1) return;
+
+        let nextIndex;
+        switch (event.key) {
+            case 'ArrowLeft':
+            case 'ArrowUp':
+                nextIndex = (index - 1 + buttons.length) % buttons.length;
+                break;
+            case 'ArrowRight':
+            case 'ArrowDown':
+                nextIndex = (index + 1) % buttons.length;
+                break;
+            case 'Home':
+                nextIndex = 0;
+                break;
+            case 'End':
+                nextIndex = buttons.length - 1;
+                break;
+            case 'Enter':
+            case ' ':
+                event.preventDefault();
+                openLauncher(buttons[index].launcher, event.altKey ? searchInput.value.trim() : '',
+                    event.ctrlKey || event.metaKey || event.shiftKey);
+                return;
+            default:
+                return;
+        }
+        event.preventDefault();
+        buttons.forEach((button, i) => {
+            button.tabIndex = i === nextIndex ? 0 : -1;
+        });
+        buttons[nextIndex].focus();
+    }
+
+    /**
+     * Validates a launcher.
+     * @param {Object} launcher - The launcher to validate.
+     * @returns {string|null} An error message, or null if the launcher is valid.
+     */
+    function validateLauncher(launcher) {
+        if (!launcher.name.trim()) return getMessage('errorNameRequired');
+        if (!/^https?:\/\/\S+$/.test(launcher.url)) return getMessage('errorLauncherUrl');
+        if (launcher.queryUrl && (!/^https?:\/\/\S+$/.test(launcher.queryUrl) || !launcher.queryUrl.includes('%s'))) {
+            return getMessage('errorLauncherQueryUrl');
+        }
+        return null;
+    }
+
+    /**
+     * Renders the editable launcher list in the settings drawer.
+     */
+    function renderLauncherList() {
+        launcherList.innerHTML = '';
+        launchers.forEach(launcher => {
+            launcherList.appendChild(createLauncherRow(launcher));
+        });
+    }
+
+    /**
+     * Creates an editable row for a launcher, with its icon, name, URL and query URL.
+     * Changes are saved as soon as the row is valid.
+     * @param {Object} launcher - The launcher to edit.
+     * @returns {HTMLElement} The row element.
+     */
+    function createLauncherRow(launcher) {
+        const row = document.createElement('div');
+        row.className = 'launcher-row';
+        let icon = launcher.icon;
+
+        const iconPreview = document.createElement('span');
+        iconPreview.className = 'launcher-icon-preview';
+        iconPreview.appendChild(createLauncherIcon(launcher));
+        row.appendChild(iconPreview);
+
+        const fields = {};
+        [
+            { key: 'name', label: getMessage('fieldName'), placeholder: 'ChatGPT' },
+            { key: 'url', label: getMessage('fieldUrl'), placeholder: 'https://chatgpt.com/' },
+            { key: 'queryUrl', label: getMessage('launcherQueryUrl'), placeholder: 'https://chatgpt.com/?q=%s' }
+        ].forEach(({ key, label, placeholder }) => {
+            const input = document.createElement('input');
+            input.type = 'text';
+            input.className = `launcher-${key}`;
+            input.value = launcher[key] || '';
+            input.placeholder = placeholder;
+            input.setAttribute('aria-label', label);
+            input.spellcheck = false;
+            fields[key] = input;
+            row.appendChild(input);
+        });
+
+        const deleteButton = document.createElement('button');
+        deleteButton.type = 'button';
+        deleteButton.className = 'launcher-delete-button';
+        deleteButton.title = getMessage('launcherRemove');
+        deleteButton.setAttribute('aria-label', getMessage('launcherRemove'));
+        row.appendChild(deleteButton);
+
+        const iconActions = document.createElement('div');
+        iconActions.className = 'launcher-icon-actions';
+        const uploadLabel = document.createElement('label');
+        uploadLabel.className = 'settings-text-button';
+        const uploadInput = document.createElement('input');
+        uploadInput.type = 'file';
+        uploadInput.accept = 'image/svg+xml,image/png';
+        uploadLabel.append(getMessage('launcherUploadIcon'), uploadInput);
+        const siteIconButton = document.createElement('button');
+        siteIconButton.type = 'button';
+        siteIconButton.className = 'settings-text-button';
+        siteIconButton.textContent = getMessage('launcherSiteIcon');
+        iconActions.append(uploadLabel, siteIconButton);
+        row.appendChild(iconActions);
+
+        const error = document.createElement('div');
+        error.className = 'launcher-error';
+        error.setAttribute('role', 'alert');
+        row.appendChild(error);
+
+        const saveRow = () => {
+            const updated = {
+                id: launcher.id,
+                name: fields.name.value.trim(),
+                url: fields.url.value.trim(),
+                queryUrl: fields.queryUrl.value.trim(),
+                icon
+            };
+            const message = validateLauncher(updated);
+            error.textContent = message || '';
+            row.classList.toggle('invalid', Boolean(message));
+            iconPreview.replaceChildren(createLauncherIcon(updated));
+            if (message) return;
+
+            const exists = launchers.some(l => l.id === launcher.id);
+            saveLaunchers(exists
+                ? launchers.map(l => (l.id === launcher.id ? updated : l))
+                : [...launchers, updated]);
+        };
+
+        Object.values(fields).forEach(input => input.addEventListener('change', saveRow));
+
+        uploadInput.addEventListener('change', async () => {
+            const file = uploadInput.files[0];
+            uploadInput.value = '';
+            if (!file) return;
+            if (file.type !== 'image/svg+xml' && file.type !== 'image/png') {
+                error.textContent = getMessage('errorIconType');
+                return;
+            }
+            if (file.size > LAUNCHER_ICON_MAX_SIZE) {
+                error.textContent = getMessage('errorIconSize', LAUNCHER_ICON_MAX_SIZE / 1024);
+                return;
+            }
+            try {
+                icon = await blobToDataUrl(file);
+                saveRow();
+            } catch (readError) {
+                console.error("Error reading launcher icon:", readError);
+                error.textContent = getMessage('errorIconRead');
+            }
+        });
+
+        siteIconButton.addEventListener('click', () => {
+            icon = null;
+            saveRow();
+        });
+
+        deleteButton.addEventListener('click', () => {
+            row.remove();
+            const remaining = launchers.filter(l => l.id !== launcher.id);
+            if (remaining.length === launchers.length) return; // Unsaved row.
+            saveLaunchers(remaining);
+        });
+
+        return row;
+    }
+
+    // --- Keyboard Shortcuts ---
+
+    /**
+     * Loads the keys the user changed from chrome.storage.sync and applies them.
+     */
+    async function loadKeybindings() {
+        try {
+            const result = await storageGet('sync', KEYBINDINGS_KEY);
+            applyKeybindings(result[KEYBINDINGS_KEY]);
+        } catch (error) {
+            console.error("Error loading keyboard shortcuts:", error);
+            applyKeybindings();
+        }
+    }
+
+    /**
+     * Applies the user's keys over the selected preset and refreshes the settings list.
+     * @param {Object} [overrides] - Keys chosen by the user, by action id.
+     */
+    function applyKeybindings(overrides) {
+        keybindingOverrides = overrides && typeof overrides === 'object' ? overrides : {};
+        keybindings = resolveKeybindings(settings.keybindingPreset, keybindingOverrides);
+        renderKeybindingList();
+    }
+
+    /**
+     * Saves the keys the user changed to chrome.storage.sync and applies them to this tab.
+     * @param {Object} overrides - Keys chosen by the user, by action id.
+     */
+    async function saveKeybindingOverrides(overrides) {
+        keybindingOverrides = overrides;
+        keybindings = resolveKeybindings(settings.keybindingPreset, overrides);
+        try {
+            await storageSet('sync', { [KEYBINDINGS_KEY]: overrides });
+        } catch (error) {
+            console.error("Error saving keyboard shortcuts:", error);
+        }
+    }
+
+    /**
+     * Renders an input with the keys of every action that can be rebound, by context.
+     */
+    function renderKeybindingList() {
+        keybindingList.innerHTML = '';
+        for (const [context, title] of Object.entries(KEYBINDING_CONTEXTS)) {
+            const actions = KEYBINDING_ACTIONS.filter(action => action.context === context && !action.fixed);
+            if (actions.length === 0) continue;
+
+            const heading = document.createElement('h3');
+            heading.className = 'keybinding-context';
+            heading.textContent = title;
+            keybindingList.appendChild(heading);
+            actions.forEach(action => keybindingList.appendChild(createKeybindingRow(action)));
+        }
+    }
+
+    /**
+     * Creates the settings row for the keys of one action. A change is saved when every key is valid;
+     * keys matching the preset are not stored, so the action follows later preset changes.
+     * @param {Object} action - An entry of KEYBINDING_ACTIONS.
+     * @returns {HTMLElement} The row.
+     */
+    function createKeybindingRow(action) {
+        const row = document.createElement('label');
+        row.className = 'settings-field';
+
+        const text = document.createElement('span');
+        text.textContent = action.description;
+
+        const input = document.createElement('input');
+        input.type = 'text';
+        input.className = 'keybinding-input';
+        input.spellcheck = false;
+        input.value = keybindings.get(action.id).join(', ');
+
+        const error = document.createElement('span');
+        error.className = 'settings-error';
+        error.setAttribute('role', 'alert');
+
+        input.addEventListener('change', () => {
+            const names = input.value.split(',').map(name => name.trim()).filter(Boolean);
+            const keys = names.map(normalizeKeybinding);
+            const invalidIndex = keys.indexOf(null);
+            error.textContent = invalidIndex === -1
+                ? ''
+                : getMessage('errorKeybinding', names[invalidIndex]);
+            row.classList.toggle('invalid', invalidIndex !== -1);
+            if (invalidIndex !== -1) return;
+
+            input.value = keys.join(', ');
+            const overrides = { ...keybindingOverrides };
+            const presetKeys = getPresetKeys(action, settings.keybindingPreset);
+            if (keys.join(',') === presetKeys.join(',')) {
+                delete overrides[action.id];
+            } else {
+                overrides[action.id] = keys;
+            }
+            saveKeybindingOverrides(overrides);
+        });
+
+        row.append(text, input, error);
+        return row;
+    }
+
+    /**
+     * Shows the list of every active shortcut, generated from the bindings.
+     */
+    function showKeyboardHelp() {
+        renderKeyboardHelp();
+        if (!keyboardHelpDialog.open) keyboardHelpDialog.showModal();
+    }
+
+    /**
+     * Renders one table per context with the active keys of its actions. Actions without keys are left out.
+     */
+    function renderKeyboardHelp() {
+        keyboardHelpList.innerHTML = '';
+        for (const [context, title] of Object.entries(KEYBINDING_CONTEXTS)) {
+            const actions = KEYBINDING_ACTIONS.filter(action => action.context === context
+                && keybindings.get(action.id).length > 0
+                && (action.id !== 'typeToSearch' || settings.typeToSearch));
+            if (actions.length === 0) continue;
+
+            const heading = document.createElement('h3');
+            heading.className = 'keybinding-context';
+            heading.textContent = title;
+
+            const table = document.createElement('table');
+            table.className = 'keyboard-help-table';
+            for (const action of actions) {
+                const tableRow = table.insertRow();
+                const keysCell = tableRow.insertCell();
+                keybindings.get(action.id).forEach((key, index) => {
+                    if (index > 0) keysCell.append(' / ');
+                    keysCell.appendChild(createKeyLabel(key, !action.fixed));
+                });
+                tableRow.insertCell().textContent = action.description;
+            }
+            keyboardHelpList.append(heading, table);
+        }
+    }
+
+    /**
+     * Creates the label for a key, with one <kbd> per key of a combination or sequence.
+     * @param {string} key - The key, e.g. "Shift+Enter" or "d d".
+     * @param {boolean} [isBinding=true] - False for the description of a fixed action's keys, such as
+     *     "Any character", whose spaces do not separate a sequence.
+     * @returns {HTMLElement} The label.
+     */
+    function createKeyLabel(key, isBinding = true) {
+        const label = document.createElement('span');
+        label.className = 'key-label';
+        (isBinding ? key.split(' ') : [key]).forEach((step, stepIndex) => {
+            if (stepIndex > 0) label.append(` ${getMessage('keySequenceThen')} `);
+            // Split at every "+" that joins two keys, keeping the plus key in "Ctrl++".
+            step.split(/(?<=.)\+(?=.)/).forEach((part, partIndex) => {
+                if (partIndex > 0) label.append(' + ');
+                const kbd = document.createElement('kbd');
+                kbd.textContent = part;
+                label.appendChild(kbd);
+            });
+        });
+        return label;
+    }
+
+    // --- Suggestion Providers ---
+
+    /**
+     * Fetches completions for a query from a remote suggestion backend.
+     * Requests are skipped when the backend's host permission has not been granted,
+     * and cut off after the backend's timeout.
+     * @param {string} providerId - The key of the backend in SUGGESTION_PROVIDERS.
+     * @param {string} query - The user's search query.
+     * @param {AbortSignal} signal - Signal that cancels the request when a newer query starts.
+     * @returns {Promise<Array<Object>|null>} The parsed suggestions, or null if there was no usable
+     *     response (cancelled, timed out, no permission or an HTTP error).
+     * @throws {TypeError} If the backend could not be reached at all, e.g. when offline.
+     */
+    async function fetchProviderSuggestions(providerId, query, signal) {
+        const provider = SUGGESTION_PROVIDERS[providerId];
+        if (!provider) return null;
+
+        const timeoutController = new AbortController();
+        const timeoutId = setTimeout(() => timeoutController.abort(), provider.timeout);
+        const abortOnCancel = () => timeoutController.abort();
+        signal.addEventListener('abort', abortOnCancel);
+
+        let res;
+        try {
+            if (!(await hasHostPermission(provider.origin))) return null;
+            const endpoint = provider.endpoint
+                .replace(/%s/g, encodeURIComponent(query))
+                .replace(/%l/g, encodeURIComponent(getUILanguage()));
+            res = await fetch(endpoint, { signal: timeoutController.signal });
+            if (!res.ok) return null;
+            return provider.parse(await res.json());
+        } catch (error) {
+            if (error.name === 'AbortError') return null; // Ignore aborted or timed-out fetches
+            if (!res) throw error; // The network failed; the caller falls back to the cache.
+            console.error(`Error fetching ${provider.name} suggestions:`, error);
+            return null;
+        } finally {
+            clearTimeout(timeoutId);
+            signal.removeEventListener('abort', abortOnCancel);
+        }
+    }
+
+    /**
+     * Parses an OpenSearch suggestions response: `[query, [completion, ...], ...]`.
+     * Google's `client=chrome` variant nests each completion in an array, which is also handled.
+     * @param {Array} data - The decoded JSON response.
+     * @returns {Array<Object>} Search suggestions.
+     */
+    function parseOpenSearchSuggestions(data) {
+        const list = Array.isArray(data?.[1]) ? data[1] : [];
+        return list
+            .map(s => (typeof s === 'string' ? s : s?.[0]))
+            .filter(Boolean)
+            .map(text => ({ text, type: 'search' }));
+    }
+
+    /**
+     * Parses Wikipedia's OpenSearch response, which also carries the article URLs
+     * in the fourth array so suggestions can open the article directly.
+     * @param {Array} data - The decoded JSON response.
+     * @returns {Array<Object>} Search suggestions linking to articles.
+     */
+    function parseWikipediaSuggestions(data) {
+        const urls = Array.isArray(data?.[3]) ? data[3] : [];
+        return parseOpenSearchSuggestions(data).map((suggestion, index) => (
+            urls[index] ? { ...suggestion, url: urls[index] } : suggestion
+        ));
+    }
+
+    /**
+     * Checks whether the extension may make requests to an origin.
+     * @param {string} origin - The origin pattern, e.g. "https://duckduckgo.com/*".
+     * @returns {Promise<boolean>} True if the host permission is granted.
+     */
+    function hasHostPermission(origin) {
+        if (!chrome.permissions) return Promise.resolve(true);
+        return new Promise(resolve => chrome.permissions.contains({ origins: [origin] }, resolve));
+    }
+
+    /**
+     * Loads the active suggestion backend from chrome.storage.
+     */
+    async function loadSuggestionProvider() {
+        try {
+            const result = await storageGet('sync', SUGGESTION_PROVIDER_KEY);
+            applySuggestionProvider(result[SUGGESTION_PROVIDER_KEY]);
+        } catch (error) {
+            console.error("Error loading suggestion provider:", error);
+            applySuggestionProvider();
+        }
+    }
+
+    /**
+     * Applies a stored backend choice and reflects it in the settings drawer.
+     * @param {string} [providerId] - The stored backend key.
+     */
+    function applySuggestionProvider(providerId) {
+        const isKnown = providerId === NO_SUGGESTION_PROVIDER || SUGGESTION_PROVIDERS[providerId];
+        suggestionProviderId = isKnown ? providerId : DEFAULT_SUGGESTION_PROVIDER;
+        suggestionProviderSelect.value = suggestionProviderId;
+        updateRemoteIndicator(searchInput.value.trim());
+    }
+
+    /**
+     * Switches to a new suggestion backend once its host permission is granted.
+     * Must be called from a user gesture so the permission prompt can be shown.
+     * @param {string} providerId - The backend key, or NO_SUGGESTION_PROVIDER to turn remote suggestions off.
+     */
+    function selectSuggestionProvider(providerId) {
+        const provider = SUGGESTION_PROVIDERS[providerId];
+        const save = () => {
+            applySuggestionProvider(providerId);
+            storageSet('sync', { [SUGGESTION_PROVIDER_KEY]: providerId })
+                .catch(error => console.error("Error saving suggestion provider:", error));
+        };
+
+        if (!provider || !chrome.permissions) {
+            save();
+            return;
+        }
+
+        chrome.permissions.request({ origins: [provider.origin] }, (granted) => {
+            if (granted) {
+                save();
+            } else {
+                // Keep the previous backend if the user declined the permission.
+                suggestionProviderSelect.value = suggestionProviderId;
+            }
+        });
+    }
+
+    // --- Ranking ---
+
+    /**
+     * Scores and sorts suggestions from every source together.
+     * Each suggestion gets a `ranking` property with its score and the parts it is made of.
+     * @param {string} query - The user's search query.
+     * @param {Array<Object>} suggestions - Candidates from all sources.
+     * @returns {Array<Object>} The candidates, highest score first.
+     */
+    function rankSuggestions(query, suggestions) {
+        return suggestions
+            .map(suggestion => ({ ...suggestion, ranking: scoreSuggestion(query, suggestion) }))
+            .sort((a, b) => b.ranking.score - a.ranking.score);
+    }
+
+    /**
+     * Computes the ranking score of one suggestion from its frecency, match quality and source.
+     * @param {string} query - The user's search query.
+     * @param {Object} suggestion - The suggestion to score.
+     * @returns {{score: number, parts: Array<{label: string, value: number}>}} The score and its breakdown.
+     */
+    function scoreSuggestion(query, suggestion) {
+        const weights = rankingWeights;
+        const parts = [];
+        const add = (label, value) => {
+            if (value) parts.push({ label, value });
+        };
+
+        // Frecency, from the fields on chrome.history.HistoryItem.
+        add('visits', weights.visitCount * Math.log2((suggestion.visitCount || 0) + 1));
+        add('typed', weights.typedCount * Math.log2((suggestion.typedCount || 0) + 1));
+        const lastVisit = suggestion.latestVisitTime || suggestion.lastVisitTime;
+        if (lastVisit) {
+            const ageDays = Math.max(0, Date.now() - lastVisit) / 86400000;
+            add('recency', weights.recency * Math.pow(0.5, ageDays / Math.max(weights.recencyHalfLifeDays, 0.1)));
+        }
+
+        // Match quality, taking only the best kind of match.
+        const match = getMatchQuality(query, suggestion);
+        if (match) add(`${match} match`, weights[`match${match[0].toUpperCase()}${match.slice(1)}`]);
+
+        // Source.
+        if (suggestion.type === 'keyword') {
+            add('keyword', weights.sourceKeyword);
+        } else if (suggestion.type === 'bookmark') {
+            add('bookmark', weights.sourceBookmark);
+        } else if (suggestion.type === 'history') {
+            add('history', weights.sourceHistory);
+        } else if (suggestion.type === 'tab') {
+            add('open tab', weights.sourceTab);
+        } else if (suggestion.type === 'search') {
+            add('suggestion', weights.sourceSearch / (1 + (suggestion.sourceRank || 0)));
+        }
+
+        const score = parts.reduce((sum, part) => sum + part.value, 0);
+        return { score, parts };
+    }
+
+    /**
+     * Determines how well a suggestion matches the query.
+     * @param {string} query - The user's search query.
+     * @param {Object} suggestion - The suggestion to check.
+     * @returns {'host'|'prefix'|'wordBoundary'|'substring'|null} The best kind of match, or null.
+     */
+    function getMatchQuality(query, suggestion) {
+        const needle = query.trim().toLowerCase();
+        if (!needle) return null;
+
+        const title = (suggestion.text || '').toLowerCase();
+        let host = '';
+        let bareUrl = '';
+        if (suggestion.url) {
             try {
-                const domain = new URL(item.url).hostname.replace(/^www\./, '');
-                if (!itemsByDomain.has(domain)) {
-                    itemsByDomain.set(domain, []);
-                }
-                itemsByDomain.get(domain).push(item);
-            } catch (e) { /* Ignore invalid URLs */ }
-        });
+                const url = new URL(suggestion.url);
+                host = url.hostname.replace(/^www\./, '');
+                bareUrl = `${host}${url.pathname}${url.search}`.toLowerCase();
+            } catch { /* Ignore invalid URLs */ }
+        }
 
-        const processedSuggestions = [];
-        for (const [domain, items] of itemsByDomain.entries()) {
-            items.sort((a, b) => b.lastVisitTime - a.lastVisitTime);
+        if (host && host.startsWith(needle)) return 'host';
+        if (title.startsWith(needle) || bareUrl.startsWith(needle)) return 'prefix';
 
-            const mappedItems = items.map(item => ({
-                text: item.title || item.url,
-                url: item.url,
-                type: 'history',
-                id: item.id,
-                lastVisitTime: item.lastVisitTime
-            }));
+        const escaped = needle.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        const wordBoundary = new RegExp(`(^|[^\\p{L}\\p{N}])${escaped}`, 'u');
+        if (wordBoundary.test(title) || wordBoundary.test(bareUrl)) return 'wordBoundary';
+        if (title.includes(needle) || bareUrl.includes(needle)) return 'substring';
+        return null;
+    }
 
-            if (items.length > 1) {
-                const simpleUrlItem = items.find(item => {
-                    try {
-                        const url = new URL(item.url);
-                        return url.pathname === '/' && url.search === '' && url.hash === '';
-                    } catch {
-                        return false;
-                    }
-                });
+    /**
+     * Formats a ranking breakdown for the debug tooltip.
+     * @param {{score: number, parts: Array<{label: string, value: number}>}} ranking - The ranking to describe.
+     * @returns {string} One line for the total, then one line per part.
+     */
+    function formatRankingExplanation(ranking) {
+        const lines = ranking.parts.map(part => `${part.label}: ${part.value.toFixed(2)}`);
+        return [`Score ${ranking.score.toFixed(2)}`, ...lines].join('\n');
+    }
 
-                const groupUrl = simpleUrlItem ? simpleUrlItem.url : items[0].url;
+    /**
+     * Loads the ranking weights and debug flag from chrome.storage.
+     */
+    async function loadRankingSettings() {
+        try {
+            applyRankingSettings(await storageGet('sync', [RANKING_WEIGHTS_KEY, RANKING_DEBUG_KEY]));
+        } catch (error) {
+            console.error("Error loading ranking settings:", error);
+            applyRankingSettings({});
+        }
+    }
 
-                processedSuggestions.push({
-                    text: domain,
-                    url: groupUrl,
-                    type: 'history',
-                    isGroup: true,
-                    items: mappedItems,
-                    latestVisitTime: items[0].lastVisitTime
-                });
-            } else {
-                processedSuggestions.push(mappedItems[0]);
+    /**
+     * Applies stored ranking settings, ignoring unknown or non-numeric weights.
+     * @param {Object} stored - The stored values, keyed by storage key.
+     */
+    function applyRankingSettings(stored) {
+        const weights = { ...DEFAULT_RANKING_WEIGHTS };
+        for (const [key, value] of Object.entries(stored[RANKING_WEIGHTS_KEY] || {})) {
+            if (key in DEFAULT_RANKING_WEIGHTS && Number.isFinite(value)) {
+                weights[key] = value;
             }
         }
-
-        return processedSuggestions.sort((a, b) => {
-            const timeA = a.latestVisitTime || a.lastVisitTime || 0;
-            const timeB = b.latestVisitTime || b.lastVisitTime || 0;
-            return timeB - timeA;
-        });
+        // Only re-render when the weights differ, so the input being edited keeps its focus.
+        const weightsChanged = JSON.stringify(weights) !== JSON.stringify(rankingWeights);
+        rankingWeights = weights;
+        isRankingDebugEnabled = Boolean(stored[RANKING_DEBUG_KEY]);
+        rankingDebugToggle.checked = isRankingDebugEnabled;
+        if (weightsChanged || !rankingWeightsContainer.hasChildNodes()) {
+            renderRankingWeights();
+        }
     }
 
     /**
-     * Fetches recent history items to show as initial suggestions when the search bar is empty.
+     * Renders a number input for each ranking weight in the settings drawer.
      */
-    function showInitialSuggestions() {
-        if (typeof chrome.history === 'undefined') return;
-        abortController.abort();
-        abortController = new AbortController();
+    function renderRankingWeights() {
+        rankingWeightsContainer.innerHTML = '';
+        for (const [key, label] of Object.entries(RANKING_WEIGHT_LABELS)) {
+            const field = document.createElement('label');
+            field.className = 'settings-field';
+            const text = document.createElement('span');
+            text.textContent = label;
+            const input = document.createElement('input');
+            input.type = 'number';
+            input.step = '0.5';
+            input.min = '0';
+            input.value = rankingWeights[key];
+            input.addEventListener('change', () => {
+                const value = Number(input.value);
+                if (input.value === '' || !Number.isFinite(value) || value < 0) {
+                    input.value = rankingWeights[key];
+                    return;
+                }
+                rankingWeights = { ...rankingWeights, [key]: value };
+                storageSet('sync', { [RANKING_WEIGHTS_KEY]: rankingWeights })
+                    .catch(error => console.error("Error saving ranking weights:", error));
+            });
+            field.append(text, input);
+            rankingWeightsContainer.appendChild(field);
+        }
+    }
 
-        chrome.history.search({ text: '', maxResults: MAX_INITIAL_HISTORY }, (historyItems) => {
-            const filtered = historyItems.filter(item => item.url && item.title !== 'New Tab');
-            const suggestions = groupHistoryItems(filtered);
-            displaySuggestions(suggestions, true);
+    /**
+     * Reads values from a chrome.storage area.
+     * @param {'sync'|'local'} area - The storage area.
+     * @param {string|string[]|null} keys - The keys to read.
+     * @returns {Promise<Object>} The stored values.
+     */
+    function storageGet(area, keys) {
+        return new Promise((resolve, reject) => {
+            if (!chrome.storage) return resolve({});
+            chrome.storage[area].get(keys, (result) => {
+                if (chrome.runtime.lastError) {
+                    return reject(chrome.runtime.lastError);
+                }
+                resolve(result);
+            });
         });
     }
 
     /**
-     * Navigates to a URL or performs a Google search.
-     * @param {string} queryOrUrl - The search query or a full URL.
-     * @param {boolean} [inNewTab=false] - Whether to open the link in a new tab.
+     * Writes values to a chrome.storage area.
+     * @param {'sync'|'local'} area - The storage area.
+     * @param {Object} items - The values to store.
+     * @returns {Promise<void>}
      */
-    function performSearch(queryOrUrl, inNewTab = false) {
-        let targetUrl;
-        const query = (queryOrUrl || '').trim();
-        if (!query) return;
-
-        // Simple check to see if the query is likely a URL.
-        const isUrl = query.startsWith('http') || (query.includes('.') && !query.includes(' '));
-        targetUrl = isUrl
-            ? (query.startsWith('http') ? query : `https://${query}`)
-            : `https://www.google.com/search?q=${encodeURIComponent(query)}`;
-
-        if (inNewTab) {
-            chrome.tabs.create({ url: targetUrl, active: false });
-        } else {
-            window.location.href = targetUrl;
-        }
+    function storageSet(area, items) {
+        return new Promise((resolve, reject) => {
+            if (!chrome.storage) return resolve();
+            chrome.storage[area].set(items, () => {
+                if (chrome.runtime.lastError) {
+                    return reject(chrome.runtime.lastError);
+                }
+                resolve();
+            });
+        });
     }
 
     /**
-     * Fetches search suggestions from both Google and the user's browser history.
+     * Fetches search suggestions from the remote backend, open tabs, bookmarks and the user's browser history,
+     * with an instant answer pinned above them. Search operators, from the chips or typed, narrow the local
+     * sources; a query with operators is never sent to the remote backend.
      * @param {string} query - The user's search query.
      */
     async function fetchSuggestions(query) {
@@ -411,30 +3840,69 @@ document.addEventListener('DOMContentLoaded', () => {
         abortController = new AbortController();
         const signal = abortController.signal;
 
-        // Fetches suggestions from Google's public endpoint.
-        const fetchGoogleSuggestions = async () => {
-            try {
-                const endpoint = `https://suggestqueries.google.com/complete/search?client=chrome&q=${encodeURIComponent(query)}`;
-                const res = await fetch(endpoint, { signal });
-                if (!res.ok) return [];
-                const data = await res.json();
-                const list = Array.isArray(data?.[1]) ? data[1] : [];
-                return list
-                    .map(s => (typeof s === 'string' ? s : s?.[0]))
-                    .filter(Boolean)
-                    .map(text => ({ text, type: 'search' }));
-            } catch (error) {
-                if (error.name === 'AbortError') return []; // Ignore aborted fetches
-                return [];
+        if (isCommandQuery(query)) {
+            showCommandPalette(query);
+            return;
+        }
+
+        const parsed = parseSearchOperators([...searchOperators.map(operator => operator.raw), query].join(' '));
+        const hasOperators = parsed.operators.length > 0;
+        const text = parsed.text;
+        const usesSource = (source) => !parsed.sources || parsed.sources.has(source);
+
+        // Calculations and conversions are answered locally, without asking the remote backend.
+        const answer = settings.sourceAnswers && !hasOperators ? getInstantAnswer(query) : null;
+
+        // Fetches suggestions from the active remote backend, unless a fresh response is cached.
+        // When the backend cannot be reached, an expired response is better than nothing.
+        const wantsRemote = settings.sourceRemote && !answer && !hasOperators && allowsRemoteSuggestions(query);
+        const isSensitive = looksSensitive(query);
+        const turnedSensitive = isSensitive && !wasQuerySensitive;
+        wasQuerySensitive = isSensitive;
+        if (turnedSensitive) {
+            // The start of the secret may have been cached before it could be recognized. Forgetting
+            // it once, when the query turns sensitive, is enough: nothing is cached after that.
+            await forgetSuggestionPrefixes(suggestionProviderId, query);
+            if (signal.aborted) return;
+        }
+        let isOffline = false;
+        const fetchRemoteSuggestions = async () => {
+            if (!wantsRemote) return [];
+            const cached = await getCachedSuggestions(suggestionProviderId, query);
+            if (cached) return cached;
+
+            if (navigator.onLine) {
+                try {
+                    const suggestions = await fetchProviderSuggestions(suggestionProviderId, query, signal);
+                    if (suggestions) {
+                        cacheSuggestions(suggestionProviderId, query, suggestions);
+                        return suggestions;
+                    }
+                    if (signal.aborted) return [];
+                } catch (error) {
+                    console.error("Error reaching the suggestion service:", error);
+                    isOffline = true;
+                }
+            } else {
+                isOffline = true;
             }
+            return (await getCachedSuggestions(suggestionProviderId, query, { allowStale: true })) || [];
         };
 
         // Fetches matching items from the browser's history.
         const fetchHistorySuggestions = async () => {
-            if (typeof chrome.history === 'undefined') return [];
+            if (typeof chrome.history === 'undefined' || !settings.sourceHistory || !usesSource('history')) return [];
+            const historyQuery = { text: text || parsed.site || '', maxResults: settings.maxQueryHistory };
+            if (parsed.startTime !== null || parsed.endTime !== null) {
+                // Without a start time the API only searches the last 24 hours.
+                historyQuery.startTime = parsed.startTime ?? 0;
+            }
+            if (parsed.endTime !== null) {
+                historyQuery.endTime = parsed.endTime;
+            }
             try {
                 const items = await new Promise((resolve, reject) => {
-                    chrome.history.search({ text: query, maxResults: MAX_QUERY_HISTORY }, (results) => {
+                    chrome.history.search(historyQuery, (results) => {
                         // Check for a runtime error, which is how older Chrome APIs report issues.
                         if (chrome.runtime.lastError) {
                             return reject(chrome.runtime.lastError);
@@ -442,7 +3910,7 @@ document.addEventListener('DOMContentLoaded', () => {
                         resolve(results);
                     });
                 });
-                return groupHistoryItems(items);
+                return groupHistoryItems(items.filter(item => matchesSearchOperators({ text: item.title, url: item.url }, parsed)));
             } catch (error) {
                 console.error("Error fetching history suggestions:", error);
                 return []; // Return an empty array to prevent crashes.
@@ -451,23 +3919,34 @@ document.addEventListener('DOMContentLoaded', () => {
 
         // Fetches matching items from the browser's bookmarks.
         const fetchBookmarkSuggestions = async () => {
-            if (typeof chrome.bookmarks === 'undefined') return [];
+            if (typeof chrome.bookmarks === 'undefined' || !settings.sourceBookmarks || !usesSource('bookmark')) return [];
             try {
-                const items = await new Promise((resolve, reject) => {
-                    chrome.bookmarks.search(query, (results) => {
-                        if (chrome.runtime.lastError) {
-                            return reject(chrome.runtime.lastError);
+                const [items, nodes] = await Promise.all([
+                    new Promise((resolve, reject) => {
+                        const callback = (results) => {
+                            if (chrome.runtime.lastError) {
+                                return reject(chrome.runtime.lastError);
+                            }
+                            resolve(results);
+                        };
+                        // With nothing to search for, e.g. just "in:bookmarks", list the newest bookmarks.
+                        if (text || parsed.site) {
+                            chrome.bookmarks.search(text || parsed.site, callback);
+                        } else {
+                            chrome.bookmarks.getRecent(settings.maxQueryHistory, callback);
                         }
-                        resolve(results);
-                    });
-                });
-                // Filter out folders and map to the standard suggestion format.
+                    }),
+                    getBookmarkNodes()
+                ]);
+                // Filter out folders and map to the standard suggestion format, with the folder it is in.
                 const suggestions = items
                     .filter(item => item.url) // Ensure it's a bookmark, not a folder
+                    .filter(item => matchesSearchOperators({ text: item.title, url: item.url }, parsed))
                     .map(item => ({
                         text: item.title || item.url,
                         url: item.url,
-                        type: 'bookmark'
+                        type: 'bookmark',
+                        detail: formatBookmarkFolderPath(nodes, item.parentId)
                     }));
                 return suggestions;
             } catch (error) {
@@ -476,45 +3955,116 @@ document.addEventListener('DOMContentLoaded', () => {
             }
         };
 
-        // Run both fetches in parallel.
-        const [historySuggestions, googleSuggestions, bookmarkSuggestions] = await Promise.all([
-            fetchHistorySuggestions(),
-            fetchGoogleSuggestions(),
-            fetchBookmarkSuggestions()
-        ]);
+        // Fetches open tabs, in every window, whose title or URL contains every word of the query.
+        const fetchTabSuggestions = async () => {
+            if (typeof chrome.tabs === 'undefined' || !settings.sourceTabs || !usesSource('tab')) return [];
+            try {
+                const [tabs, currentTab] = await Promise.all([chrome.tabs.query({}), chrome.tabs.getCurrent()]);
+                const words = text.toLowerCase().split(/\s+/).filter(Boolean);
+                return tabs
+                    .filter(tab => tab.id !== currentTab?.id && tab.url)
+                    .filter(tab => matchesSearchOperators({ text: tab.title, url: tab.url }, parsed))
+                    .filter(tab => {
+                        const haystack = `${tab.title || ''} ${tab.url}`.toLowerCase();
+                        return words.every(word => haystack.includes(word));
+                    })
+                    .map(tab => ({
+                        text: tab.title || tab.url,
+                        url: tab.url,
+                        type: 'tab',
+                        tabId: tab.id,
+                        windowId: tab.windowId,
+                        lastVisitTime: tab.lastAccessed
+                    }));
+            } catch (error) {
+                console.error("Error fetching tab suggestions:", error);
+                return [];
+            }
+        };
 
-        if (signal.aborted) return; // Don't update UI if a new request has started.
+        // Ranks and shows the results of every source, with the instant answer pinned first.
+        const renderSuggestions = ([historySuggestions, bookmarkSuggestions, tabSuggestions], remoteSuggestions) => {
+            // An open tab takes the visit counts of its history entry, so it ranks at least as high
+            // and wins the de-duplication below.
+            const historyByUrl = new Map(historySuggestions.filter(item => !item.isGroup).map(item => [item.url, item]));
+            for (const tab of tabSuggestions) {
+                const history = historyByUrl.get(tab.url);
+                if (history) {
+                    tab.visitCount = history.visitCount;
+                    tab.typedCount = history.typedCount;
+                }
+            }
+
+            // A matching engine keyword becomes its own candidate, e.g. "Search GitHub for react hooks".
+            const keywordSuggestions = [];
+            const keywordMatch = hasOperators ? null : matchSearchEngineKeyword(query);
+            if (keywordMatch) {
+                keywordSuggestions.push({
+                    text: query,
+                    label: getMessage('suggestionSearchEngine', [keywordMatch.engine.name, keywordMatch.terms]),
+                    url: buildSearchUrl(keywordMatch.engine, keywordMatch.terms),
+                    type: 'keyword'
+                });
+            }
 
-        // Combine and de-duplicate results in a balanced way.
-        const combined = [];
-        const seen = new Set();
+            // Score every candidate on the same scale, then keep the best of each duplicate.
+            const ranked = rankSuggestions(text, [
+                ...keywordSuggestions,
+                ...tabSuggestions,
+                ...bookmarkSuggestions,
+                ...historySuggestions,
+                ...remoteSuggestions.map((suggestion, index) => ({ ...suggestion, sourceRank: index }))
+            ]);
 
-        const addSuggestion = (suggestion) => {
-            // Use URL for history/bookmarks, text for search to de-duplicate.
-            const key = suggestion.url || (suggestion.text || '').toLowerCase();
-            if (key && !seen.has(key) && combined.length < MAX_SUGGESTIONS) {
-                combined.push(suggestion);
-                seen.add(key);
+            // The instant answer is pinned first, outside the ranking.
+            const combined = answer ? [{ text: query, label: answer.label, result: answer.result, type: 'answer' }] : [];
+            const seen = new Set();
+            for (const suggestion of ranked) {
+                // Use URL for history/bookmarks, text for search to de-duplicate.
+                const key = suggestion.url || (suggestion.text || '').toLowerCase();
+                if (key && !seen.has(key)) {
+                    combined.push(suggestion);
+                    seen.add(key);
+                }
+                if (combined.length >= settings.maxSuggestions) break;
             }
+
+            displaySuggestions(combined, false, isOffline);
         };
 
-        // Add suggestions in order of priority, filling up to the max.
-        bookmarkSuggestions.forEach(addSuggestion);
-        historySuggestions.forEach(addSuggestion);
-        googleSuggestions.forEach(addSuggestion);
+        // Run all fetches in parallel. The local sources answer quickly; the remote backend may not.
+        const localPromise = Promise.all([fetchHistorySuggestions(), fetchBookmarkSuggestions(), fetchTabSuggestions()]);
+        const remotePromise = fetchRemoteSuggestions();
+        let isRemoteDone = false;
+        remotePromise.then(() => {
+            isRemoteDone = true;
+        });
+
+        // Meanwhile, show what a shorter query returned, if that is cached.
+        const prefixSuggestions = wantsRemote ? peekCachedPrefixSuggestions(suggestionProviderId, query) : null;
+        if (prefixSuggestions) {
+            const localSuggestions = await localPromise;
+            if (signal.aborted) return;
+            if (!isRemoteDone) renderSuggestions(localSuggestions, prefixSuggestions);
+        }
 
-        displaySuggestions(combined);
+        const [localSuggestions, remoteSuggestions] = await Promise.all([localPromise, remotePromise]);
+        if (signal.aborted) return; // Don't update UI if a new request has started.
+        renderSuggestions(localSuggestions, remoteSuggestions);
     }
 
     /**
      * Renders the suggestion items in the dropdown list.
      * @param {Array<Object>} suggestions - The array of suggestion objects to display.
      * @param {boolean} [isInitial=false] - Flag for initial history display.
+     * @param {boolean} [isOffline=false] - Notes below the list that the suggestion service could not
+     *     be reached, even if the list is empty.
      */
-    function displaySuggestions(suggestions, isInitial = false) {
+    function displaySuggestions(suggestions, isInitial = false, isOffline = false) {
         isDisplayingInitialSuggestions = isInitial; // Set state for navigation logic.
+        suggestionsRenderCount++;
         matchesList.innerHTML = '';
-        if (suggestions.length > 0) {
+        if (suggestions.length > 0 || isOffline) {
             searchContainer.classList.add('has-suggestions');
             searchForm.classList.add('suggestions-active');
 
@@ -522,59 +4072,7 @@ document.addEventListener('DOMContentLoaded', () => {
             const presentGroups = new Set();
 
             suggestions.forEach(suggestion => {
-                const item = createSuggestionItem(suggestion);
-
-                // If the suggestion is a group, create and append its sublist.
-                if (suggestion.isGroup) {
-                    const groupKey = suggestion.url || suggestion.text;
-                    presentGroups.add(groupKey);
-                    item.dataset.groupKey = groupKey;
-
-                    // Restore expansion if previously expanded.
-                    if (expandedGroups.has(groupKey)) {
-                        item.classList.add('expanded');
-                    }
-
-                    const sublist = document.createElement('div');
-                    sublist.className = 'suggestion-sublist';
-                    suggestion.items.forEach(subItemData => {
-                        const subItem = createSuggestionItem(subItemData);
-                        // Mark subitems with the parent group key so they keep context on refresh/delete.
-                        subItem.dataset.groupKey = groupKey;
-                        sublist.appendChild(subItem);
-                    });
-                    item.appendChild(sublist);
-
-                    // Add click listener to the expansion arrow.
-                    const arrow = item.querySelector('.suggestion-arrow');
-                    if (arrow) {
-                        arrow.addEventListener('mousedown', (e) => {
-                            e.preventDefault();
-                            e.stopPropagation();
-                            const isCurrentlyExpanded = item.classList.contains('expanded');
-
-                            // Collapse other expanded groups.
-                            document.querySelectorAll('.suggestion-item.expanded').forEach(otherItem => {
-                                if (otherItem !== item) {
-                                    const otherKey = otherItem.dataset.groupKey;
-                                    otherItem.classList.remove('expanded');
-                                    if (otherKey) expandedGroups.delete(otherKey);
-                                }
-                            });
-
-                            // Toggle the current group and update expandedGroups accordingly.
-                            if (!isCurrentlyExpanded) {
-                                item.classList.add('expanded');
-                                expandedGroups.add(groupKey);
-                            } else {
-                                item.classList.remove('expanded');
-                                expandedGroups.delete(groupKey);
-                            }
-                        });
-                    }
-                }
-
-                matchesList.appendChild(item);
+                matchesList.appendChild(createSuggestionElement(suggestion, presentGroups));
             });
 
             // Remove any expanded keys that are no longer present (e.g., group emptied/deleted).
@@ -583,11 +4081,81 @@ document.addEventListener('DOMContentLoaded', () => {
                     expandedGroups.delete(key);
                 }
             }
+
+            if (isOffline) {
+                const status = document.createElement('div');
+                status.className = 'suggestions-status';
+                status.setAttribute('role', 'status');
+                status.textContent = getMessage('suggestionsOffline');
+                matchesList.appendChild(status);
+            }
         } else {
             clearSuggestions();
         }
     }
 
+    /**
+     * Creates the DOM element for a suggestion and, for a group, the sublist with its items,
+     * including nested groups. Groups in `expandedGroups` are rendered expanded.
+     * @param {Object} suggestion - The suggestion data.
+     * @param {Set<string>} [presentGroups] - Collects the keys of the rendered groups.
+     * @param {string} [parentGroupKey] - The key of the group the suggestion is in.
+     * @returns {HTMLElement} The created suggestion item element.
+     */
+    function createSuggestionElement(suggestion, presentGroups = new Set(), parentGroupKey = null) {
+        const item = createSuggestionItem(suggestion);
+        if (!suggestion.isGroup) {
+            // Mark subitems with the parent group key so they keep context on refresh/delete.
+            if (parentGroupKey) item.dataset.groupKey = parentGroupKey;
+            return item;
+        }
+
+        const groupKey = suggestion.groupKey || suggestion.url || suggestion.text;
+        presentGroups.add(groupKey);
+        item.dataset.groupKey = groupKey;
+
+        // Restore expansion if previously expanded.
+        if (expandedGroups.has(groupKey)) {
+            item.classList.add('expanded');
+        }
+
+        const sublist = document.createElement('div');
+        sublist.className = 'suggestion-sublist';
+        suggestion.items.forEach(subItemData => {
+            sublist.appendChild(createSuggestionElement(subItemData, presentGroups, groupKey));
+        });
+        item.appendChild(sublist);
+
+        // Add click listener to the expansion arrow.
+        const arrow = item.querySelector('.suggestion-arrow');
+        if (arrow) {
+            arrow.addEventListener('mousedown', (e) => {
+                e.preventDefault();
+                e.stopPropagation();
+                const isCurrentlyExpanded = item.classList.contains('expanded');
+
+                // Collapse the other expanded groups at the same level, and the groups inside them.
+                item.parentElement.querySelectorAll(':scope > .suggestion-item.expanded').forEach(otherItem => {
+                    if (otherItem === item) return;
+                    [otherItem, ...otherItem.querySelectorAll('.suggestion-item.expanded')].forEach(element => {
+                        element.classList.remove('expanded');
+                        expandedGroups.delete(element.dataset.groupKey);
+                    });
+                });
+
+                // Toggle the current group and update expandedGroups accordingly.
+                if (!isCurrentlyExpanded) {
+                    item.classList.add('expanded');
+                    expandedGroups.add(groupKey);
+                } else {
+                    item.classList.remove('expanded');
+                    expandedGroups.delete(groupKey);
+                }
+            });
+        }
+        return item;
+    }
+
     /**
      * Creates a single DOM element for a suggestion.
      * @param {Object} suggestion - The suggestion data.
@@ -601,47 +4169,113 @@ document.addEventListener('DOMContentLoaded', () => {
             item.classList.add('suggestion-group');
         }
         item.setAttribute('role', 'option');
+        if (isRankingDebugEnabled && suggestion.ranking) {
+            item.title = formatRankingExplanation(suggestion.ranking);
+        }
 
         const searchIconTemplate = document.getElementById('template-search-icon');
         const bookmarkIconTemplate = document.getElementById('template-bookmark-icon');
+        const tabIconTemplate = document.getElementById('template-tab-icon');
+        const restoreIconTemplate = document.getElementById('template-restore-icon');
+        const answerIconTemplate = document.getElementById('template-answer-icon');
+        const commandIconTemplate = document.getElementById('template-command-icon');
 
-        let iconHtml;
-        if (suggestion.type === 'history' && suggestion.url) {
-                        iconHtml = `<img class="favicon" src="https://t2.gstatic.com/faviconV2?client=SOCIAL&type=FAVICON&fallback_opts=TYPE,SIZE,URL&url=${encodeURIComponent(suggestion.url)}&size=32" alt="">`;
-        } else if (suggestion.type === 'bookmark') {
+        const hasFavicon = (suggestion.type === 'history' || (suggestion.type === 'session' && !suggestion.isGroup)) && suggestion.url;
+        let iconHtml = '';
+        if (suggestion.type === 'bookmark') {
             iconHtml = bookmarkIconTemplate.outerHTML;
-        } else {
+        } else if (suggestion.type === 'tab') {
+            iconHtml = tabIconTemplate.outerHTML;
+        } else if (suggestion.type === 'answer') {
+            iconHtml = answerIconTemplate.outerHTML;
+        } else if (suggestion.type === 'command') {
+            iconHtml = commandIconTemplate.outerHTML;
+        } else if (suggestion.type === 'session' && suggestion.isGroup) {
+            iconHtml = restoreIconTemplate.outerHTML;
+        } else if (!hasFavicon) {
             iconHtml = searchIconTemplate.outerHTML; // Default to search icon
         }
 
-        let displayText = suggestion.text.length > 70 ? suggestion.text.substring(0, 70) + '...' : suggestion.text;
+        const label = suggestion.label || suggestion.text;
+        let displayText = label.length > 70 ? label.substring(0, 70) + '...' : label;
 
         const content = document.createElement('div');
         content.className = 'suggestion-content';
         // Use innerHTML only for the safe, pre-defined icon SVG.
         content.innerHTML = iconHtml;
+        if (hasFavicon) {
+            // History items show the site's icon, resolved from the local favicon cache.
+            const favicon = document.createElement('img');
+            favicon.className = 'favicon';
+            favicon.alt = '';
+            setFavicon(favicon, suggestion.url, { allowRemote: allowsRemoteFavicons(settings) });
+            content.appendChild(favicon);
+        }
         item.appendChild(content);
         const textSpan = document.createElement('span');
         textSpan.className = 'suggestion-text';
         // Use textContent to prevent XSS from malicious suggestion text.
         textSpan.textContent = displayText;
         content.appendChild(textSpan);
+        if (suggestion.detail) {
+            // Secondary text, e.g. the folder a bookmark is in.
+            const detailSpan = document.createElement('span');
+            detailSpan.className = 'suggestion-detail';
+            detailSpan.textContent = suggestion.detail;
+            content.appendChild(detailSpan);
+        }
 
         const rightContainer = document.createElement('div');
         rightContainer.className = 'suggestion-right-container';
         item.appendChild(rightContainer);
 
         if (suggestion.isGroup) {
+            const openAllButton = document.createElement('button');
+            openAllButton.type = 'button';
+            openAllButton.className = 'suggestion-open-all-button';
+            openAllButton.title = getMessage('suggestionOpenAll');
+            openAllButton.setAttribute('aria-label', getMessage('suggestionOpenAllNamed', suggestion.text));
+            openAllButton.innerHTML = `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 24" aria-hidden="true"><path d="M19 19H5V5h7V3H5c-1.11 0-2 .9-2 2v14c0 1.1.89 2 2 2h14c1.1 0 2-.9 2-2v-7h-2v7zM14 3v2h3.59l-9.83 9.83 1.41 1.41L19 6.41V10h2V3h-7z"/></svg>`;
+            openAllButton.addEventListener('mousedown', (e) => {
+                e.preventDefault();
+                e.stopPropagation(); // Prevent the item click from firing.
+                openGroupAsTabGroup(suggestion);
+            });
+            rightContainer.appendChild(openAllButton);
+
             const arrow = document.createElement('div');
             arrow.className = 'suggestion-arrow';
             arrow.innerHTML = `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 24"><path d="M7 10l5 5 5-5z"/></svg>`;
             rightContainer.appendChild(arrow);
         }
 
-        if (suggestion.type === 'history' && !suggestion.isGroup) {
+        if (suggestion.type === 'tab') {
+            const hint = document.createElement('span');
+            hint.className = 'suggestion-hint';
+            hint.textContent = getMessage('suggestionSwitchToTab');
+            rightContainer.appendChild(hint);
+        }
+
+        if (suggestion.type === 'answer') {
+            item.classList.add('suggestion-answer');
+            const hint = document.createElement('span');
+            hint.className = 'suggestion-hint';
+            hint.textContent = getMessage('suggestionEnterToCopy');
+            rightContainer.appendChild(hint);
+        }
+
+        if (suggestion.type === 'command') {
+            // The command's shortcut; it is empty without one, until the command reports a status.
+            const hint = document.createElement('span');
+            hint.className = 'suggestion-hint';
+            hint.textContent = suggestion.hint || '';
+            rightContainer.appendChild(hint);
+        }
+
+        if ((suggestion.type === 'history' || suggestion.type === 'tab') && !suggestion.isGroup) {
             const deleteButton = document.createElement('button');
             deleteButton.className = 'suggestion-delete-button';
-            deleteButton.title = `Remove this history item`;
+            deleteButton.title = getMessage(suggestion.type === 'tab' ? 'suggestionCloseTab' : 'suggestionRemoveHistory');
             deleteButton.addEventListener('mousedown', (e) => {
                 e.preventDefault();
                 e.stopPropagation(); // Prevent the item click from firing.
@@ -653,102 +4287,133 @@ document.addEventListener('DOMContentLoaded', () => {
         // Handle clicks on the suggestion item for navigation.
         item.addEventListener('mousedown', (e) => {
             // Ignore clicks on delete/arrow buttons.
-            if (e.target.closest('.suggestion-delete-button, .suggestion-arrow')) {
+            if (e.target.closest('.suggestion-delete-button, .suggestion-arrow, .suggestion-open-all-button')) {
                 return;
             }
             e.preventDefault();
             e.stopPropagation();
-            performSearch(suggestion.url || suggestion.text, e.button === 1 || e.ctrlKey || e.metaKey);
+            activateSuggestion(suggestion, e.button === 1 || e.ctrlKey || e.metaKey);
         });
 
         return item;
     }
 
     /**
-     * Deletes a URL from the browser's history and refreshes the suggestions.
-     * This function now intelligently removes the item from the DOM without a full refresh,
-     * keeping the parent group expanded.
-     * @param {Object} suggestion - The history suggestion to delete.
+     * Removes a history item from the suggestions, with a few seconds to undo before the URL is deleted
+     * from the browser's history, or closes an open tab.
+     * The item is removed from the DOM without a full refresh, keeping the parent group expanded.
+     * @param {Object} suggestion - The history or tab suggestion to delete.
      * @param {HTMLElement} element - The DOM element of the suggestion to remove.
      */
     async function handleDeleteSuggestion(suggestion, element) {
-        if (suggestion.type === 'history' && suggestion.url && chrome.history) {
-            // Asynchronously delete the URL from the browser's history.
-            await new Promise(resolve => chrome.history.deleteUrl({ url: suggestion.url }, resolve));
+        if (suggestion.type === 'tab' && chrome.tabs) {
+            try {
+                await chrome.tabs.remove(suggestion.tabId);
+            } catch (error) {
+                console.error("Error closing tab:", error); // Most likely already closed.
+            }
         }
 
-        // Get all visible items to determine the index of the one being deleted.
-        const visibleItems = Array.from(matchesList.querySelectorAll('.suggestion-item:not(.suggestion-sublist .suggestion-item), .suggestion-item.expanded .suggestion-sublist .suggestion-item'));
-        const deletedIndex = visibleItems.findIndex(item => item === element);
-
-        // Find the parent group element, if the deleted item was in a group.
-        const parentGroupElement = element.closest('.suggestion-group');
-        const sublist = element.parentElement; // The sublist element
-
-        // Remove the item's element from the DOM.
-        element.remove();
-
-        selectNextItemAfterDeletion(deletedIndex);
+        const state = captureSuggestionsState();
+        const journal = removeSuggestionElement(element);
 
-        // If the item was inside a group, check if the group needs to be updated.
-        if (parentGroupElement && sublist && sublist.classList.contains('suggestion-sublist')) {
-            // If the sublist now has one or zero items left, it's no longer a group.
-            if (sublist.childElementCount <= 1) {
-                // Instead of a full refresh, transform the group element in place.
-                const remainingItemElement = sublist.querySelector('.suggestion-item');
-                if (remainingItemElement && remainingItemElement.suggestionData) {
-                    // Create a new single item from the remaining suggestion's data.
-                    const newItem = createSuggestionItem(remainingItemElement.suggestionData);
-                    // Replace the old group element with the new single item element.
-                    parentGroupElement.replaceWith(newItem);
-                    // Since we replaced the element, we need to re-select the new one.
-                    newItem.classList.add('selected');
-                    return; // Exit early as we've handled the selection.
-                } else {
-                    // If the group is now empty, just remove it.
-                    parentGroupElement.remove();
-                    if (matchesList.childElementCount === 0) {
-                        clearSuggestions();
-                    }
-                }
-            }
-        } else {
-            // If the deleted item was a top-level item (not in a group),
-            // or if it was the last item in the list, we can just remove it.
-            // If the list is now empty, clear everything.
-            if (matchesList.childElementCount === 0) {
-                clearSuggestions();
-            }
+        if (suggestion.type === 'history' && suggestion.url) {
+            scheduleHistoryDeletion([suggestion.url], getPluralMessage('removedPages', 1, getHistoryHost(suggestion.url)), state, journal);
         }
     }
 
     /**
-     * Deletes all history items within a group suggestion.
+     * Removes all history items within a group suggestion, including those in nested groups,
+     * with a few seconds to undo before they are deleted from the browser's history.
      * @param {Object} groupSuggestion - The suggestion data for the group.
      * @param {HTMLElement} groupElement - The DOM element of the group to remove.
      */
-    async function handleDeleteGroupSuggestion(groupSuggestion, groupElement) {
+    function handleDeleteGroupSuggestion(groupSuggestion, groupElement) {
         if (!groupSuggestion.isGroup || !groupSuggestion.items) return;
 
-        // Create an array of promises for all deletion operations.
-        const deletePromises = groupSuggestion.items.map(item => {
-            if (item.url && chrome.history) {
-                return new Promise(resolve => chrome.history.deleteUrl({ url: item.url }, resolve));
-            }
-            return Promise.resolve(); // Return a resolved promise for items without a URL
-        });
+        const urls = getGroupLeafItems(groupSuggestion).map(item => item.url).filter(Boolean);
+        const state = captureSuggestionsState();
+        const journal = removeSuggestionElement(groupElement);
 
-        // Wait for all history items to be deleted.
-        await Promise.all(deletePromises);
+        scheduleHistoryDeletion(urls, getPluralMessage('removedPages', urls.length, groupSuggestion.text), state, journal);
+    }
 
+    /**
+     * Removes a suggestion element, selects the item that takes its place, and updates the groups it was in.
+     * @param {HTMLElement} element - The suggestion or group element to remove.
+     * @returns {Array<Function>} Steps that put the DOM back, to run in reverse order.
+     */
+    function removeSuggestionElement(element) {
         // Get all visible items to determine the index of the one being deleted.
-        const visibleItems = Array.from(matchesList.querySelectorAll('.suggestion-item:not(.suggestion-sublist .suggestion-item), .suggestion-item.expanded .suggestion-sublist .suggestion-item'));
-        const deletedIndex = visibleItems.findIndex(item => item === groupElement);
+        const visibleItems = getVisibleSuggestionItems();
+        const deletedIndex = visibleItems.findIndex(item => item === element);
 
-        // Remove the group element from the DOM.
-        groupElement.remove();
+        const journal = [];
+        const sublist = element.parentElement;
+        detachSuggestionElement(element, journal);
 
         selectNextItemAfterDeletion(deletedIndex);
+        updateGroupsAfterRemoval(sublist, journal);
+        return journal;
+    }
+
+    /**
+     * Removes an element from the DOM and records how to put it back in the same place.
+     * @param {HTMLElement} element - The element to remove.
+     * @param {Array<Function>} journal - Receives the step that reinserts the element.
+     */
+    function detachSuggestionElement(element, journal) {
+        const parent = element.parentElement;
+        const nextSibling = element.nextSibling;
+        element.remove();
+        journal.push(() => parent.insertBefore(element, nextSibling));
+    }
+
+    /**
+     * Updates the groups an item was removed from without a full refresh: a group left with one item
+     * is replaced by that item, and an empty group is removed, working up through nested groups.
+     * @param {HTMLElement} container - The sublist, or the list itself, the item was removed from.
+     * @param {Array<Function>} [journal=[]] - Receives the steps that undo these changes.
+     */
+    function updateGroupsAfterRemoval(container, journal = []) {
+        let sublist = container;
+        while (sublist?.classList.contains('suggestion-sublist') && sublist.childElementCount <= 1) {
+            const groupElement = sublist.parentElement;
+            const remainingItemElement = sublist.querySelector(':scope > .suggestion-item');
+            if (remainingItemElement?.suggestionData) {
+                // Replace the group with a new element for the remaining suggestion, keeping the selection.
+                const parentGroup = groupElement.parentElement.closest('.suggestion-group');
+                const newItem = createSuggestionElement(remainingItemElement.suggestionData, new Set(), parentGroup?.dataset.groupKey);
+                if (groupElement.classList.contains('selected') || remainingItemElement.classList.contains('selected')) {
+                    newItem.classList.add('selected');
+                }
+                groupElement.replaceWith(newItem);
+                journal.push(() => newItem.replaceWith(groupElement));
+                break; // The parent keeps the same number of items.
+            }
+            // The group is now empty, so remove it and check the group it was in.
+            sublist = groupElement.parentElement;
+            detachSuggestionElement(groupElement, journal);
+        }
+
+        // If the list is now empty, clear everything.
+        if (!matchesList.querySelector('.suggestion-item')) {
+            clearSuggestions();
+        }
+    }
+
+    /**
+     * Gets the suggestion items the user can see: top-level items, and items whose groups,
+     * at every nesting level, are expanded.
+     * @returns {HTMLElement[]} The visible items, in display order.
+     */
+    function getVisibleSuggestionItems() {
+        return Array.from(matchesList.querySelectorAll('.suggestion-item')).filter(item => {
+            for (let group = item.parentElement.closest('.suggestion-group'); group; group = group.parentElement.closest('.suggestion-group')) {
+                if (!group.classList.contains('expanded')) return false;
+            }
+            return true;
+        });
     }
 
     /**
@@ -757,6 +4422,7 @@ document.addEventListener('DOMContentLoaded', () => {
      */
     function clearSuggestions() {
         isDisplayingInitialSuggestions = false; // Reset the initial suggestions flag.
+        suggestionsRenderCount++;
         searchContainer.classList.remove('has-suggestions');
         searchForm.classList.remove('suggestions-active');
         matchesList.innerHTML = '';
@@ -771,14 +4437,16 @@ document.addEventListener('DOMContentLoaded', () => {
      * @param {string} key - The key that was pressed ('ArrowDown' or 'ArrowUp').
      */
     function navigateSuggestions(key) {
-        // Get all *visible* suggestion items. This query correctly excludes items in collapsed groups.
-        const items = Array.from(matchesList.querySelectorAll('.suggestion-item:not(.suggestion-sublist .suggestion-item), .suggestion-item.expanded .suggestion-sublist .suggestion-item'));
+        // Get all *visible* suggestion items, excluding items in collapsed groups.
+        const items = getVisibleSuggestionItems();
         if (items.length === 0) return;
 
         let currentIndex = items.findIndex(item => item.classList.contains('selected'));
 
-        // If this is the first navigation, store the current input as the original query.
+        // If this is the first navigation, store the current input as the original query,
+        // without the inline completion.
         if (currentIndex === -1) {
+            removeInlineCompletion();
             originalUserQuery = searchInput.value;
         }
 
@@ -787,26 +4455,11 @@ document.addEventListener('DOMContentLoaded', () => {
             items[currentIndex].classList.remove('selected');
         }
 
-        // Calculate the next index.
-        let nextIndex;
-        if (key === 'ArrowDown') {
-            nextIndex = currentIndex + 1;
-            // If we go past the last item, restore the original query and exit.
-            if (nextIndex >= items.length) {
-                // Deselect the last item before exiting.
-                if (currentIndex !== -1) items[currentIndex].classList.remove('selected');
-                searchInput.value = originalUserQuery;
-                return;
-            }
-        } else if (key === 'ArrowUp') {
-            // If at the top item, restore the original query and exit.
-            if (currentIndex === 0) {
-                items[currentIndex].classList.remove('selected');
-                searchInput.value = originalUserQuery;
-                return;
-            }
-            // If coming from the input, go to the last item. Otherwise, go to the previous.
-            nextIndex = currentIndex === -1 ? items.length - 1 : currentIndex - 1;
+        // Calculate the next index. Moving past either end returns to the user's own query.
+        const nextIndex = getNextSelectionIndex(currentIndex, items.length, key);
+        if (nextIndex === -1) {
+            searchInput.value = originalUserQuery;
+            return;
         }
 
         // Add selection to the new item, update the search input, and scroll into view.
@@ -826,12 +4479,29 @@ document.addEventListener('DOMContentLoaded', () => {
         }
     }
 
+    /**
+     * Computes the next selected index for the arrow-key model shared by the suggestion list
+     * and the bookmark browser. ArrowDown from "nothing selected" goes to the first item and
+     * ArrowUp to the last; moving past either end selects nothing again.
+     * @param {number} currentIndex - The selected index, or -1 if nothing is selected.
+     * @param {number} count - The number of items.
+     * @param {string} key - The key that was pressed ('ArrowDown' or 'ArrowUp').
+     * @returns {number} The index to select, or -1 for none.
+     */
+    function getNextSelectionIndex(currentIndex, count, key) {
+        if (key === 'ArrowDown') {
+            return currentIndex + 1 >= count ? -1 : currentIndex + 1;
+        }
+        if (currentIndex === 0) return -1;
+        return currentIndex === -1 ? count - 1 : currentIndex - 1;
+    }
+
     /**
      * Selects the appropriate item in the suggestions list after one has been deleted.
      * @param {number} deletedIndex The index of the item that was just removed.
      */
     function selectNextItemAfterDeletion(deletedIndex) {
-        const newVisibleItems = Array.from(matchesList.querySelectorAll('.suggestion-item:not(.suggestion-sublist .suggestion-item), .suggestion-item.expanded .suggestion-sublist .suggestion-item'));
+        const newVisibleItems = getVisibleSuggestionItems();
 
         if (newVisibleItems.length === 0) {
             clearSuggestions();
@@ -850,4 +4520,96 @@ document.addEventListener('DOMContentLoaded', () => {
             }
         }
     }
+
+    // --- Undo History Deletion ---
+
+    /**
+     * Records what a deletion is about to change outside the removed elements themselves.
+     * @returns {Object} The selected item, input text, expanded groups and whether the list is open.
+     */
+    function captureSuggestionsState() {
+        return {
+            selectedItem: matchesList.querySelector('.suggestion-item.selected'),
+            inputValue: searchInput.value,
+            expandedGroups: new Set(expandedGroups),
+            isInitial: isDisplayingInitialSuggestions,
+            isOpen: searchContainer.classList.contains('has-suggestions')
+        };
+    }
+
+    /**
+     * Holds history URLs for deletion until the undo period ends, showing the snackbar meanwhile.
+     * A deletion that is still pending is committed first, so only the latest one can be undone.
+     * @param {Array<string>} urls - The URLs to delete.
+     * @param {string} message - The snackbar text, e.g. "Removed 14 pages from github.com".
+     * @param {Object} state - The list state from before the deletion, from captureSuggestionsState.
+     * @param {Array<Function>} journal - The steps that put the removed elements back.
+     */
+    function scheduleHistoryDeletion(urls, message, state, journal) {
+        commitPendingDeletion();
+        pendingDeletion = {
+            urls: new Set(urls),
+            state,
+            journal,
+            renderCount: suggestionsRenderCount,
+            timer: setTimeout(commitPendingDeletion, UNDO_DELETION_DELAY)
+        };
+        snackbarMessage.textContent = message;
+        snackbar.hidden = false;
+    }
+
+    /**
+     * Deletes the pending URLs from the browser's history and hides the snackbar.
+     */
+    function commitPendingDeletion() {
+        if (!pendingDeletion) return;
+        const { urls, timer } = pendingDeletion;
+        clearTimeout(timer);
+        pendingDeletion = null;
+        snackbar.hidden = true;
+
+        if (typeof chrome.history === 'undefined') return;
+        for (const url of urls) {
+            chrome.history.deleteUrl({ url }, () => {
+                if (chrome.runtime.lastError) {
+                    console.error("Error deleting history item:", chrome.runtime.lastError);
+                }
+            });
+        }
+    }
+
+    /**
+     * Cancels the pending deletion. If the list has not been rebuilt since, the removed items,
+     * the groups they were in and the selection are put back exactly; otherwise the list is refreshed.
+     */
+    function undoPendingDeletion() {
+        if (!pendingDeletion) return;
+        const { state, journal, renderCount, timer } = pendingDeletion;
+        clearTimeout(timer);
+        pendingDeletion = null;
+        snackbar.hidden = true;
+
+        if (renderCount !== suggestionsRenderCount) {
+            // The list changed in the meantime, so fetch it again with the pages included.
+            if (searchContainer.classList.contains('has-suggestions')) {
+                const query = searchInput.value.trim();
+                query || searchOperators.length > 0 ? fetchSuggestions(query) : showInitialSuggestions();
+            }
+            return;
+        }
+
+        journal.reverse().forEach(step => step());
+        matchesList.querySelectorAll('.suggestion-item.selected').forEach(item => item.classList.remove('selected'));
+        state.selectedItem?.classList.add('selected');
+        searchInput.value = state.inputValue;
+        expandedGroups.clear();
+        state.expandedGroups.forEach(key => expandedGroups.add(key));
+        isDisplayingInitialSuggestions = state.isInitial;
+        if (state.isOpen) {
+            // Deleting the last item closed the list.
+            searchContainer.classList.add('has-suggestions');
+            searchForm.classList.add('suggestions-active');
+            searchInput.setAttribute('aria-expanded', 'true');
+        }
+    }
 });
\ No newline at end of file
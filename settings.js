@@ -0,0 +1,433 @@
+/**
+ * settings.js
+ *
+ * Shared settings for the new tab page and the options page.
+ * This includes:
+ * - The settings schema, with defaults and validation rules.
+ * - Loading and saving the values in chrome.storage.sync.
+ * - Rendering an editable form from the schema.
+ */
+
+// Key under which all values are stored in chrome.storage.sync.
+const SETTINGS_STORAGE_KEY = 'settings';
+
+// The last settings write queued by this page; each save waits for it. See saveSetting.
+let settingsWriteQueue = Promise.resolve();
+
+// Every user-editable setting. `section` groups fields in the forms; labels come from _locales.
+const SETTINGS_SCHEMA = [
+    {
+        key: 'debounceDelay',
+        section: 'suggestions',
+        label: getMessage('settingDebounceDelay'),
+        type: 'number',
+        default: 200,
+        min: 0,
+        max: 2000
+    },
+    {
+        key: 'maxSuggestions',
+        section: 'suggestions',
+        label: getMessage('settingMaxSuggestions'),
+        type: 'number',
+        default: 10,
+        min: 1,
+        max: 30
+    },
+    {
+        key: 'maxQueryHistory',
+        section: 'suggestions',
+        label: getMessage('settingMaxQueryHistory'),
+        type: 'number',
+        default: 50,
+        min: 1,
+        max: 500
+    },
+    {
+        key: 'maxInitialHistory',
+        section: 'suggestions',
+        label: getMessage('settingMaxInitialHistory'),
+        type: 'number',
+        default: 100,
+        min: 0,
+        max: 500
+    },
+    {
+        key: 'openAllConfirm',
+        section: 'suggestions',
+        label: getMessage('settingOpenAllConfirm'),
+        type: 'number',
+        default: 15,
+        min: 1,
+        max: 200
+    },
+    {
+        key: 'inlineAutocomplete',
+        section: 'suggestions',
+        label: getMessage('settingInlineAutocomplete'),
+        type: 'boolean',
+        default: true
+    },
+    {
+        key: 'sourceBookmarks',
+        section: 'suggestions',
+        label: getMessage('settingSourceBookmarks'),
+        type: 'boolean',
+        default: true
+    },
+    {
+        key: 'sourceHistory',
+        section: 'suggestions',
+        label: getMessage('settingSourceHistory'),
+        type: 'boolean',
+        default: true
+    },
+    {
+        key: 'sourceTabs',
+        section: 'suggestions',
+        label: getMessage('settingSourceTabs'),
+        type: 'boolean',
+        default: true
+    },
+    {
+        key: 'sourceRecentlyClosed',
+        section: 'suggestions',
+        label: getMessage('settingSourceRecentlyClosed'),
+        type: 'boolean',
+        default: true
+    },
+    {
+        key: 'sourceAnswers',
+        section: 'suggestions',
+        label: getMessage('settingSourceAnswers'),
+        type: 'boolean',
+        default: true
+    },
+    {
+        key: 'sourceRemote',
+        section: 'suggestions',
+        label: getMessage('settingSourceRemote'),
+        type: 'boolean',
+        default: true
+    },
+    {
+        key: 'privateMode',
+        section: 'suggestions',
+        label: getMessage('settingPrivateMode'),
+        type: 'boolean',
+        default: false
+    },
+    {
+        key: 'maxQuickLinks',
+        section: 'quickLinks',
+        label: getMessage('settingMaxQuickLinks'),
+        type: 'number',
+        default: 8,
+        min: 0,
+        max: 20
+    },
+    {
+        key: 'showRecentlyClosed',
+        section: 'quickLinks',
+        label: getMessage('settingShowRecentlyClosed'),
+        type: 'boolean',
+        default: true
+    },
+    {
+        key: 'remoteFavicons',
+        section: 'quickLinks',
+        label: getMessage('settingRemoteFavicons'),
+        type: 'boolean',
+        default: false
+    },
+    {
+        key: 'themePreset',
+        section: 'theme',
+        label: getMessage('settingThemePreset'),
+        type: 'select',
+        options: {
+            citron: getMessage('themeCitron'),
+            ocean: getMessage('themeOcean'),
+            forest: getMessage('themeForest'),
+            rose: getMessage('themeRose'),
+            graphite: getMessage('themeGraphite'),
+            custom: getMessage('themeCustom'),
+            auto: getMessage('themeAuto')
+        },
+        default: 'citron'
+    },
+    {
+        key: 'themeMode',
+        section: 'theme',
+        label: getMessage('settingThemeMode'),
+        type: 'select',
+        options: {
+            system: getMessage('themeModeSystem'),
+            dark: getMessage('themeModeDark'),
+            light: getMessage('themeModeLight')
+        },
+        default: 'dark'
+    },
+    {
+        key: 'themeAccent',
+        section: 'theme',
+        label: getMessage('settingThemeAccent'),
+        type: 'color',
+        default: '#dec663'
+    },
+    {
+        key: 'themeSurface',
+        section: 'theme',
+        label: getMessage('settingThemeSurface'),
+        type: 'color',
+        default: '#2c250c'
+    },
+    {
+        key: 'backgroundRotation',
+        section: 'background',
+        label: getMessage('settingBackgroundRotation'),
+        type: 'select',
+        options: {
+            tab: getMessage('backgroundRotationTab'),
+            hourly: getMessage('backgroundRotationHourly'),
+            daily: getMessage('backgroundRotationDaily')
+        },
+        default: 'tab'
+    },
+    {
+        key: 'keybindingPreset',
+        section: 'keyboard',
+        label: getMessage('settingKeybindingPreset'),
+        type: 'select',
+        options: {
+            default: getMessage('keybindingPresetDefault'),
+            vim: getMessage('keybindingPresetVim')
+        },
+        default: 'default'
+    },
+    {
+        key: 'typeToSearch',
+        section: 'keyboard',
+        label: getMessage('settingTypeToSearch'),
+        type: 'boolean',
+        default: true
+    }
+];
+
+// Headings for the schema sections, in display order.
+const SETTINGS_SECTIONS = {
+    suggestions: getMessage('settingsSectionSuggestions'),
+    quickLinks: getMessage('settingsSectionQuickLinks'),
+    theme: getMessage('settingsSectionTheme'),
+    background: getMessage('settingsSectionBackground'),
+    keyboard: getMessage('settingsSectionKeyboard')
+};
+
+/**
+ * Returns the default value of every setting.
+ * @returns {Object} The defaults, keyed by setting key.
+ */
+function getDefaultSettings() {
+    return Object.fromEntries(SETTINGS_SCHEMA.map(field => [field.key, field.default]));
+}
+
+/**
+ * Checks a value against its schema field and converts it to the field's type.
+ * @param {Object} field - The schema field.
+ * @param {*} value - The raw value, e.g. from an input or from storage.
+ * @returns {{value: *, error: string|null}} The converted value, or an error message.
+ */
+function validateSetting(field, value) {
+    switch (field.type) {
+        case 'number': {
+            const number = typeof value === 'number' ? value : Number(String(value).trim());
+            if (String(value).trim() === '' || !Number.isInteger(number)) {
+                return { value: field.default, error: getMessage('errorWholeNumber') };
+            }
+            if (number < field.min || number > field.max) {
+                return { value: field.default, error: getMessage('errorNumberRange', [field.min, field.max]) };
+            }
+            return { value: number, error: null };
+        }
+        case 'boolean':
+            if (typeof value !== 'boolean') {
+                return { value: field.default, error: getMessage('errorOnOff') };
+            }
+            return { value, error: null };
+        case 'select':
+            if (!Object.prototype.hasOwnProperty.call(field.options, value)) {
+                return { value: field.default, error: getMessage('errorOption') };
+            }
+            return { value, error: null };
+        case 'color':
+            if (typeof value !== 'string' || !/^#[0-9a-f]{6}$/i.test(value)) {
+                return { value: field.default, error: getMessage('errorColor') };
+            }
+            return { value: value.toLowerCase(), error: null };
+        case 'url':
+            try {
+                const url = new URL(String(value).trim());
+                if (url.protocol !== 'https:' && url.protocol !== 'http:') throw new Error('Unsupported protocol');
+                return { value: url.href, error: null };
+            } catch {
+                return { value: field.default, error: getMessage('errorHttpUrl') };
+            }
+        default:
+            return { value: field.default, error: `Unknown setting type "${field.type}".` };
+    }
+}
+
+/**
+ * Merges stored values over the defaults, dropping unknown keys and invalid values.
+ * @param {Object} [stored] - The values read from storage.
+ * @returns {Object} A complete, valid settings object.
+ */
+function normalizeSettings(stored) {
+    const settings = getDefaultSettings();
+    for (const field of SETTINGS_SCHEMA) {
+        if (stored && field.key in stored) {
+            const { value, error } = validateSetting(field, stored[field.key]);
+            if (!error) settings[field.key] = value;
+        }
+    }
+    return settings;
+}
+
+/**
+ * Loads the settings from chrome.storage.sync.
+ * @returns {Promise<Object>} A complete, valid settings object.
+ */
+function loadSettings() {
+    return new Promise((resolve, reject) => {
+        if (!chrome.storage) return resolve(getDefaultSettings());
+        chrome.storage.sync.get(SETTINGS_STORAGE_KEY, (result) => {
+            if (chrome.runtime.lastError) {
+                return reject(chrome.runtime.lastError);
+            }
+            resolve(normalizeSettings(result[SETTINGS_STORAGE_KEY]));
+        });
+    });
+}
+
+/**
+ * Saves one setting, keeping the other stored values.
+ * Every open page is notified through chrome.storage.onChanged.
+ * Saves made by this page are queued, so each one reads the settings written by the one before
+ * it. The queue does not reach other pages: all settings share one stored object, so two pages
+ * that change settings at the same moment can still overwrite each other's change.
+ * @param {string} key - The setting key.
+ * @param {*} value - The already validated value.
+ * @returns {Promise<void>}
+ */
+function saveSetting(key, value) {
+    const write = settingsWriteQueue.then(() => writeSetting(key, value));
+    settingsWriteQueue = write.catch(() => {}); // A failed save must not block the next ones.
+    return write;
+}
+
+/**
+ * Reads the stored settings, changes one of them and writes them back.
+ * @param {string} key - The setting key.
+ * @param {*} value - The already validated value.
+ * @returns {Promise<void>}
+ */
+async function writeSetting(key, value) {
+    if (!chrome.storage) return;
+    const settings = await loadSettings();
+    settings[key] = value;
+    return new Promise((resolve, reject) => {
+        chrome.storage.sync.set({ [SETTINGS_STORAGE_KEY]: settings }, () => {
+            if (chrome.runtime.lastError) {
+                return reject(chrome.runtime.lastError);
+            }
+            resolve();
+        });
+    });
+}
+
+/**
+ * Registers a listener for settings changes made by any page.
+ * @param {Function} callback - Called with the new, normalized settings.
+ */
+function onSettingsChanged(callback) {
+    chrome.storage?.onChanged.addListener((changes, areaName) => {
+        if (areaName === 'sync' && changes[SETTINGS_STORAGE_KEY]) {
+            callback(normalizeSettings(changes[SETTINGS_STORAGE_KEY].newValue));
+        }
+    });
+}
+
+/**
+ * Renders an input for every setting of a section, saving valid changes as they are made.
+ * @param {HTMLElement} container - The element to render into. Its content is replaced.
+ * @param {string} section - The schema section to render.
+ * @param {Object} values - The current settings.
+ */
+function renderSettingsForm(container, section, values) {
+    container.innerHTML = '';
+    SETTINGS_SCHEMA.filter(field => field.section === section).forEach(field => {
+        const row = document.createElement('label');
+        row.className = 'settings-field';
+
+        const text = document.createElement('span');
+        text.textContent = field.label;
+
+        const input = document.createElement(field.type === 'select' ? 'select' : 'input');
+        input.name = field.key;
+        if (field.type === 'select') {
+            for (const [value, label] of Object.entries(field.options)) {
+                input.appendChild(new Option(label, value));
+            }
+            input.value = values[field.key];
+        } else if (field.type === 'boolean') {
+            input.type = 'checkbox';
+            input.checked = values[field.key];
+        } else if (field.type === 'color') {
+            input.type = 'color';
+            input.value = values[field.key];
+        } else if (field.type === 'number') {
+            input.type = 'number';
+            input.min = field.min;
+            input.max = field.max;
+            input.value = values[field.key];
+        } else {
+            input.type = 'text';
+            input.spellcheck = false;
+            input.value = values[field.key];
+        }
+
+        const error = document.createElement('span');
+        error.className = 'settings-error';
+        error.setAttribute('role', 'alert');
+
+        input.addEventListener('change', () => {
+            const raw = field.type === 'boolean' ? input.checked : input.value;
+            const result = validateSetting(field, raw);
+            error.textContent = result.error || '';
+            row.classList.toggle('invalid', Boolean(result.error));
+            if (result.error) return;
+            saveSetting(field.key, result.value)
+                .catch(saveError => console.error(`Error saving setting "${field.key}":`, saveError));
+        });
+
+        row.append(text, input, error);
+        container.appendChild(row);
+    });
+}
+
+/**
+ * Updates the inputs of a rendered form to new values, leaving the focused input alone
+ * so a change arriving from another page does not interrupt typing.
+ * @param {HTMLElement} container - The element the form was rendered into.
+ * @param {Object} values - The new settings.
+ */
+function fillSettingsForm(container, values) {
+    container.querySelectorAll('input[name], select[name]').forEach(input => {
+        if (input === document.activeElement || !(input.name in values)) return;
+        if (input.type === 'checkbox') {
+            input.checked = values[input.name];
+        } else {
+            input.value = values[input.name];
+        }
+    });
+}
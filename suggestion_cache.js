@@ -0,0 +1,180 @@
+/**
+ * suggestion_cache.js
+ *
+ * Caches responses from the remote suggestion service, so repeated and continued queries
+ * do not wait for the network, and earlier results are still there when offline.
+ * This includes:
+ * - An in-memory LRU cache for this tab, warmed from IndexedDB when the page loads.
+ * - An IndexedDB LRU cache shared by all tabs, pruned to a maximum number of queries.
+ * - An expiry, after which a response is only used when the service cannot be reached.
+ * - Reusing the response for a shorter query (a prefix) while the real one is loading.
+ * - Forgetting the responses for the start of a query that turns out to be a secret.
+ */
+
+const SUGGESTION_CACHE_STORE = 'suggestions';
+const SUGGESTION_CACHE_TTL = 6 * 60 * 60 * 1000; // Responses older than this are refreshed.
+const SUGGESTION_CACHE_MEMORY_SIZE = 200; // Queries kept in memory per tab.
+const SUGGESTION_CACHE_DATABASE_SIZE = 1000; // Queries kept in IndexedDB.
+
+// Records keyed by provider and normalized query, least recently used first.
+const suggestionMemoryCache = new Map();
+let suggestionCacheWrites = 0;
+
+/**
+ * Builds the cache key for a query.
+ * @param {string} providerId - The suggestion service, e.g. "google".
+ * @param {string} query - The query as typed.
+ * @returns {string} The key, e.g. "google:react hooks".
+ */
+function getSuggestionCacheKey(providerId, query) {
+    return `${providerId}:${normalizeSuggestionQuery(query)}`;
+}
+
+/**
+ * Normalizes a query so that "React  Hooks " and "react hooks" share a cache entry.
+ * @param {string} query - The query as typed.
+ * @returns {string} The trimmed, lowercased query with single spaces.
+ */
+function normalizeSuggestionQuery(query) {
+    return query.trim().toLowerCase().replace(/\s+/g, ' ');
+}
+
+/**
+ * Loads the most recently used responses from IndexedDB into memory, so that cached prefixes
+ * can be shown from the first keystroke.
+ */
+async function loadSuggestionCache() {
+    try {
+        const records = await databaseGetAll(SUGGESTION_CACHE_STORE);
+        records
+            .sort((a, b) => a.usedAt - b.usedAt)
+            .slice(-SUGGESTION_CACHE_MEMORY_SIZE)
+            .forEach(record => {
+                if (!suggestionMemoryCache.has(record.key)) rememberSuggestions(record);
+            });
+    } catch (error) {
+        console.error("Error loading the suggestion cache:", error);
+    }
+}
+
+/**
+ * Reads the cached response for a query, from memory or else from IndexedDB.
+ * @param {string} providerId - The suggestion service.
+ * @param {string} query - The query.
+ * @param {{allowStale?: boolean}} [options] - `allowStale` also returns expired responses,
+ *     for when the service cannot be reached.
+ * @returns {Promise<Array<Object>|null>} The suggestions, or null if nothing usable is cached.
+ */
+async function getCachedSuggestions(providerId, query, options = {}) {
+    const key = getSuggestionCacheKey(providerId, query);
+    let record = suggestionMemoryCache.get(key);
+    if (!record) {
+        try {
+            record = await databaseGet(SUGGESTION_CACHE_STORE, key);
+        } catch (error) {
+            console.error("Error reading the suggestion cache:", error);
+        }
+    }
+    if (!record) return null;
+    if (!options.allowStale && Date.now() - record.fetchedAt > SUGGESTION_CACHE_TTL) return null;
+
+    record.usedAt = Date.now();
+    rememberSuggestions(record);
+    databasePut(SUGGESTION_CACHE_STORE, record).catch(error => {
+        console.error("Error updating the suggestion cache:", error);
+    });
+    return record.suggestions;
+}
+
+/**
+ * Finds cached suggestions to show at once for a query that is not cached itself: those of the
+ * longest cached prefix of the query that still start with the query. Only memory is searched.
+ * @param {string} providerId - The suggestion service.
+ * @param {string} query - The query.
+ * @returns {Array<Object>|null} The matching suggestions, or null if no prefix has any.
+ */
+function peekCachedPrefixSuggestions(providerId, query) {
+    const normalized = normalizeSuggestionQuery(query);
+    for (let length = normalized.length - 1; length > 0; length--) {
+        const record = suggestionMemoryCache.get(`${providerId}:${normalized.slice(0, length).trim()}`);
+        if (!record) continue;
+        const matching = record.suggestions.filter(suggestion => (
+            normalizeSuggestionQuery(suggestion.text || '').startsWith(normalized)
+        ));
+        if (matching.length > 0) return matching;
+    }
+    return null;
+}
+
+/**
+ * Stores a response in memory and in IndexedDB, dropping the least recently used queries
+ * when either is full.
+ * @param {string} providerId - The suggestion service.
+ * @param {string} query - The query.
+ * @param {Array<Object>} suggestions - The parsed suggestions.
+ */
+async function cacheSuggestions(providerId, query, suggestions) {
+    const now = Date.now();
+    const record = { key: getSuggestionCacheKey(providerId, query), suggestions, fetchedAt: now, usedAt: now };
+    rememberSuggestions(record);
+    try {
+        await databasePut(SUGGESTION_CACHE_STORE, record);
+        // Counting on every write would slow down typing; checking now and then is enough.
+        if (++suggestionCacheWrites % 20 === 1) await pruneSuggestionCache();
+    } catch (error) {
+        console.error("Error writing the suggestion cache:", error);
+    }
+}
+
+/**
+ * Deletes the cached responses for a query and for every shorter query it starts with, from memory
+ * and from IndexedDB. Used when a query turns out to be a secret, so the parts of it typed before
+ * it was recognized are not kept. The keys are computed from the query, so the store is not read.
+ * @param {string} providerId - The suggestion service, e.g. "google".
+ * @param {string} query - The query.
+ */
+async function forgetSuggestionPrefixes(providerId, query) {
+    const normalized = normalizeSuggestionQuery(query);
+    const keys = [];
+    for (let length = normalized.length; length > 0; length--) {
+        keys.push(`${providerId}:${normalized.slice(0, length).trim()}`);
+    }
+    keys.forEach(key => suggestionMemoryCache.delete(key));
+    try {
+        await runDatabaseRequest(SUGGESTION_CACHE_STORE, 'readwrite', store => {
+            keys.forEach(key => store.delete(key));
+            return store.count();
+        });
+    } catch (error) {
+        console.error("Error removing queries from the suggestion cache:", error);
+    }
+}
+
+/**
+ * Adds or refreshes a record in the in-memory LRU cache.
+ * @param {Object} record - The cache record.
+ */
+function rememberSuggestions(record) {
+    suggestionMemoryCache.delete(record.key); // Re-inserting moves it to the most recent end.
+    suggestionMemoryCache.set(record.key, record);
+    if (suggestionMemoryCache.size > SUGGESTION_CACHE_MEMORY_SIZE) {
+        suggestionMemoryCache.delete(suggestionMemoryCache.keys().next().value);
+    }
+}
+
+/**
+ * Deletes the least recently used records from IndexedDB beyond the maximum size.
+ */
+async function pruneSuggestionCache() {
+    const count = await runDatabaseRequest(SUGGESTION_CACHE_STORE, 'readonly', store => store.count());
+    if (count <= SUGGESTION_CACHE_DATABASE_SIZE) return;
+
+    const records = await databaseGetAll(SUGGESTION_CACHE_STORE);
+    const oldest = records
+        .sort((a, b) => a.usedAt - b.usedAt)
+        .slice(0, records.length - SUGGESTION_CACHE_DATABASE_SIZE);
+    await runDatabaseRequest(SUGGESTION_CACHE_STORE, 'readwrite', store => {
+        oldest.forEach(record => store.delete(record.key));
+        return store.count();
+    });
+}
@@ -0,0 +1,367 @@
+/**
+ * theme.js
+ *
+ * Colour themes for the extension's pages.
+ * This includes:
+ * - Built-in presets with dark and light variants.
+ * - Palettes generated from an accent and a surface colour (custom colours and "auto" mode).
+ * - Extracting accent and surface colours from a background image by colour quantization.
+ * - A WCAG contrast check that adjusts generated colours against the text colour.
+ */
+
+// Storage key for the colours last extracted from a background, used by "auto" mode.
+const AUTO_THEME_COLORS_KEY = 'autoThemeColors';
+
+// WCAG 2 minimum contrast ratios.
+const TEXT_CONTRAST = 4.5; // Body text.
+const UI_CONTRAST = 3; // Borders and other non-text UI.
+
+// Seed colours for each preset. `dark` overrides the generated dark palette when set,
+// so Citron keeps its original hand-picked colours.
+const THEME_PRESETS = {
+    citron: {
+        accent: '#dec663',
+        surface: '#2c250c',
+        dark: {
+            '--bg-color': '#202124',
+            '--text-color': '#dddcd8',
+            '--text-color-light': '#e9e2d4',
+            '--primary-accent': '#dec663',
+            '--secondary-accent': '#6d6448',
+            '--surface-color': '#2c250c',
+            '--hover-color': '#423b20',
+            '--sub-hover-color': '#4a4125',
+            '--icon-secondary-color': '#a09c93',
+            '--surface-secondary-color': '#3c4043'
+        }
+    },
+    ocean: { accent: '#6cc3e6', surface: '#0c222c' },
+    forest: { accent: '#8fd18b', surface: '#0f2612' },
+    rose: { accent: '#f0a0b8', surface: '#2c0f18' },
+    graphite: { accent: '#c8ccd2', surface: '#1e2024' }
+};
+
+// Text colours that generated palettes are checked against.
+const THEME_TEXT_COLORS = {
+    dark: { text: '#dddcd8', textLight: '#e9e2d4', icon: '#a09c93' },
+    light: { text: '#1f1d17', textLight: '#3a362b', icon: '#5f5b50' }
+};
+
+let themeAutoColors = null; // Colours extracted from the current background.
+let themeSettings = null; // The settings the theme was last applied with.
+
+/**
+ * Applies the theme chosen in the settings to the page.
+ * @param {Object} settings - The settings, with themePreset, themeMode, themeAccent and themeSurface.
+ */
+function applyTheme(settings) {
+    themeSettings = settings;
+    const mode = resolveThemeMode(settings.themeMode);
+    const palette = buildThemePalette(settings, mode);
+
+    const root = document.documentElement;
+    for (const [name, value] of Object.entries(palette)) {
+        root.style.setProperty(name, value);
+    }
+    root.dataset.themeMode = mode;
+    root.style.colorScheme = mode;
+}
+
+/**
+ * Uses new auto-mode colours and re-applies the theme if "auto" is active.
+ * @param {{accent: string, surface: string}|null} colors - The extracted colours.
+ */
+function setThemeAutoColors(colors) {
+    themeAutoColors = colors;
+    if (themeSettings?.themePreset === 'auto') {
+        applyTheme(themeSettings);
+    }
+}
+
+/**
+ * Re-applies the theme when the system switches between light and dark.
+ */
+function watchSystemColorScheme() {
+    window.matchMedia('(prefers-color-scheme: dark)').addEventListener('change', () => {
+        if (themeSettings?.themeMode === 'system') {
+            applyTheme(themeSettings);
+        }
+    });
+}
+
+/**
+ * Resolves the "system" mode to light or dark.
+ * @param {'system'|'dark'|'light'} themeMode - The chosen mode.
+ * @returns {'dark'|'light'} The mode to render.
+ */
+function resolveThemeMode(themeMode) {
+    if (themeMode === 'dark' || themeMode === 'light') return themeMode;
+    return window.matchMedia('(prefers-color-scheme: light)').matches ? 'light' : 'dark';
+}
+
+/**
+ * Builds the full set of CSS variables for the chosen preset and mode.
+ * @param {Object} settings - The theme settings.
+ * @param {'dark'|'light'} mode - The mode to build.
+ * @returns {Object} CSS variable values, keyed by variable name.
+ */
+function buildThemePalette(settings, mode) {
+    let seeds;
+    if (settings.themePreset === 'custom') {
+        seeds = { accent: settings.themeAccent, surface: settings.themeSurface };
+    } else if (settings.themePreset === 'auto') {
+        seeds = themeAutoColors || THEME_PRESETS.citron;
+    } else {
+        const preset = THEME_PRESETS[settings.themePreset] || THEME_PRESETS.citron;
+        if (preset[mode]) return preset[mode];
+        seeds = preset;
+    }
+    return generatePalette(seeds, mode);
+}
+
+/**
+ * Generates a palette from two seed colours.
+ * The surface and hover colours are adjusted until text on them passes WCAG AA,
+ * and the accent until it stands out from the surface.
+ * @param {{accent: string, surface: string}} seeds - The accent and surface colours.
+ * @param {'dark'|'light'} mode - The mode to generate.
+ * @returns {Object} CSS variable values, keyed by variable name.
+ */
+function generatePalette(seeds, mode) {
+    const isDark = mode === 'dark';
+    const textColors = THEME_TEXT_COLORS[mode];
+    const accent = rgbToHsl(hexToRgb(seeds.accent));
+    const surfaceSeed = rgbToHsl(hexToRgb(seeds.surface));
+
+    // Lightness moves away from the text colour to gain contrast: darker in dark mode, lighter in light mode.
+    const direction = isDark ? -1 : 1;
+    const surface = ensureContrast({
+        h: surfaceSeed.h,
+        s: Math.min(surfaceSeed.s, isDark ? 0.6 : 0.5),
+        l: isDark ? clamp(surfaceSeed.l, 0.06, 0.2) : 0.94
+    }, textColors.text, TEXT_CONTRAST, direction);
+    const hover = ensureContrast({ ...surface, l: surface.l - direction * 0.08 }, textColors.text, TEXT_CONTRAST, direction);
+    const subHover = ensureContrast({ ...surface, l: surface.l - direction * 0.11 }, textColors.text, TEXT_CONTRAST, direction);
+
+    // The accent moves towards the text colour to stand out from the surface.
+    const primary = ensureContrast({
+        h: accent.h,
+        s: accent.s,
+        l: isDark ? clamp(accent.l, 0.45, 0.85) : clamp(accent.l, 0.25, 0.5)
+    }, hslToHex(surface), UI_CONTRAST, -direction);
+    const secondary = mixHsl(primary, surface, 0.55);
+
+    return {
+        '--bg-color': hslToHex({ h: surfaceSeed.h, s: 0.06, l: isDark ? 0.13 : 0.96 }),
+        '--text-color': textColors.text,
+        '--text-color-light': textColors.textLight,
+        '--primary-accent': hslToHex(primary),
+        '--secondary-accent': hslToHex(secondary),
+        '--surface-color': hslToHex(surface),
+        '--hover-color': hslToHex(hover),
+        '--sub-hover-color': hslToHex(subHover),
+        '--icon-secondary-color': textColors.icon,
+        '--surface-secondary-color': hslToHex({ h: surface.h, s: 0.06, l: isDark ? 0.25 : 0.86 })
+    };
+}
+
+/**
+ * Steps a colour's lightness until it reaches a contrast ratio against another colour.
+ * @param {{h: number, s: number, l: number}} color - The colour to adjust.
+ * @param {string} against - The hex colour to contrast with.
+ * @param {number} ratio - The minimum contrast ratio.
+ * @param {number} direction - 1 to lighten, -1 to darken.
+ * @returns {{h: number, s: number, l: number}} The adjusted colour.
+ */
+function ensureContrast(color, against, ratio, direction) {
+    const adjusted = { ...color, l: clamp(color.l, 0, 1) };
+    while (contrastRatio(hslToHex(adjusted), against) < ratio && adjusted.l > 0 && adjusted.l < 1) {
+        adjusted.l = clamp(adjusted.l + direction * 0.01, 0, 1);
+    }
+    return adjusted;
+}
+
+/**
+ * Computes the WCAG contrast ratio of two colours.
+ * @param {string} hexA - The first colour.
+ * @param {string} hexB - The second colour.
+ * @returns {number} The ratio, from 1 to 21.
+ */
+function contrastRatio(hexA, hexB) {
+    const a = relativeLuminance(hexToRgb(hexA));
+    const b = relativeLuminance(hexToRgb(hexB));
+    return (Math.max(a, b) + 0.05) / (Math.min(a, b) + 0.05);
+}
+
+/**
+ * Computes the WCAG relative luminance of a colour.
+ * @param {{r: number, g: number, b: number}} rgb - Channels from 0 to 255.
+ * @returns {number} The luminance, from 0 to 1.
+ */
+function relativeLuminance({ r, g, b }) {
+    const [lr, lg, lb] = [r, g, b].map(channel => {
+        const c = channel / 255;
+        return c <= 0.03928 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4);
+    });
+    return 0.2126 * lr + 0.7152 * lg + 0.0722 * lb;
+}
+
+/**
+ * Finds an accent and a surface colour in an image by quantizing its pixels into buckets.
+ * The surface seed is the most common colour; the accent is the most common colourful one.
+ * @param {Blob} blob - The image, ideally a small thumbnail.
+ * @returns {Promise<{accent: string, surface: string}>} The extracted colours.
+ */
+async function extractThemeColors(blob) {
+    const bitmap = await createImageBitmap(blob);
+    const scale = Math.min(1, 64 / Math.max(bitmap.width, bitmap.height));
+    const width = Math.max(1, Math.round(bitmap.width * scale));
+    const height = Math.max(1, Math.round(bitmap.height * scale));
+    const canvas = new OffscreenCanvas(width, height);
+    const context = canvas.getContext('2d');
+    context.drawImage(bitmap, 0, 0, width, height);
+    bitmap.close();
+    const { data } = context.getImageData(0, 0, width, height);
+
+    // 4 bits per channel: 4096 buckets, each keeping a pixel count and channel sums.
+    const buckets = new Map();
+    for (let i = 0; i < data.length; i += 4) {
+        if (data[i + 3] < 128) continue; // Skip transparent pixels.
+        const key = ((data[i] >> 4) << 8) | ((data[i + 1] >> 4) << 4) | (data[i + 2] >> 4);
+        const bucket = buckets.get(key) || { count: 0, r: 0, g: 0, b: 0 };
+        bucket.count++;
+        bucket.r += data[i];
+        bucket.g += data[i + 1];
+        bucket.b += data[i + 2];
+        buckets.set(key, bucket);
+    }
+
+    let surface = null;
+    let accent = null;
+    let bestSurface = -1;
+    let bestAccent = -1;
+    for (const bucket of buckets.values()) {
+        const rgb = {
+            r: Math.round(bucket.r / bucket.count),
+            g: Math.round(bucket.g / bucket.count),
+            b: Math.round(bucket.b / bucket.count)
+        };
+        const hsl = rgbToHsl(rgb);
+        if (bucket.count > bestSurface) {
+            bestSurface = bucket.count;
+            surface = rgb;
+        }
+        // Prefer saturated, mid-light colours that work as an accent.
+        const accentScore = bucket.count * hsl.s * (hsl.l > 0.25 && hsl.l < 0.85 ? 1 : 0.1);
+        if (accentScore > bestAccent) {
+            bestAccent = accentScore;
+            accent = rgb;
+        }
+    }
+
+    if (!surface) return { accent: THEME_PRESETS.citron.accent, surface: THEME_PRESETS.citron.surface };
+    return { accent: rgbToHex(accent || surface), surface: rgbToHex(surface) };
+}
+
+/**
+ * Reads the last extracted auto-mode colours from chrome.storage.local.
+ * @returns {Promise<{accent: string, surface: string}|null>} The colours, or null.
+ */
+function loadAutoThemeColors() {
+    return new Promise(resolve => {
+        if (!chrome.storage) return resolve(null);
+        chrome.storage.local.get(AUTO_THEME_COLORS_KEY, (result) => {
+            resolve(chrome.runtime.lastError ? null : result[AUTO_THEME_COLORS_KEY] || null);
+        });
+    });
+}
+
+/**
+ * Saves extracted auto-mode colours so other pages can use them.
+ * @param {{accent: string, surface: string}} colors - The colours.
+ */
+function saveAutoThemeColors(colors) {
+    chrome.storage?.local.set({ [AUTO_THEME_COLORS_KEY]: colors });
+}
+
+// --- Colour Helpers ---
+
+/**
+ * Limits a number to a range.
+ * @param {number} value - The number.
+ * @param {number} min - The lower bound.
+ * @param {number} max - The upper bound.
+ * @returns {number} The clamped number.
+ */
+function clamp(value, min, max) {
+    return Math.min(max, Math.max(min, value));
+}
+
+/**
+ * Converts a `#rrggbb` colour to RGB channels from 0 to 255.
+ * @param {string} hex - The colour.
+ * @returns {{r: number, g: number, b: number}} The channels.
+ */
+function hexToRgb(hex) {
+    const value = parseInt(hex.slice(1), 16);
+    return { r: (value >> 16) & 255, g: (value >> 8) & 255, b: value & 255 };
+}
+
+/**
+ * Converts RGB channels to a `#rrggbb` colour.
+ * @param {{r: number, g: number, b: number}} rgb - Channels from 0 to 255.
+ * @returns {string} The colour.
+ */
+function rgbToHex({ r, g, b }) {
+    return `#${[r, g, b].map(c => Math.round(c).toString(16).padStart(2, '0')).join('')}`;
+}
+
+/**
+ * Converts RGB channels to hue (0–360), saturation and lightness (0–1).
+ * @param {{r: number, g: number, b: number}} rgb - Channels from 0 to 255.
+ * @returns {{h: number, s: number, l: number}} The colour in HSL.
+ */
+function rgbToHsl({ r, g, b }) {
+    const [rn, gn, bn] = [r / 255, g / 255, b / 255];
+    const max = Math.max(rn, gn, bn);
+    const min = Math.min(rn, gn, bn);
+    const l = (max + min) / 2;
+    if (max === min) return { h: 0, s: 0, l };
+
+    const d = max - min;
+    const s = l > 0.5 ? d / (2 - max - min) : d / (max + min);
+    let h;
+    if (max === rn) h = (gn - bn) / d + (gn < bn ? 6 : 0);
+    else if (max === gn) h = (bn - rn) / d + 2;
+    else h = (rn - gn) / d + 4;
+    return { h: h * 60, s, l };
+}
+
+/**
+ * Converts an HSL colour to `#rrggbb`.
+ * @param {{h: number, s: number, l: number}} hsl - The colour in HSL.
+ * @returns {string} The colour.
+ */
+function hslToHex({ h, s, l }) {
+    const k = n => (n + h / 30) % 12;
+    const a = s * Math.min(l, 1 - l);
+    const f = n => l - a * Math.max(-1, Math.min(k(n) - 3, Math.min(9 - k(n), 1)));
+    return rgbToHex({ r: f(0) * 255, g: f(8) * 255, b: f(4) * 255 });
+}
+
+/**
+ * Mixes two HSL colours in RGB space.
+ * @param {{h: number, s: number, l: number}} a - The first colour.
+ * @param {{h: number, s: number, l: number}} b - The second colour.
+ * @param {number} amount - How much of `b` to mix in, from 0 to 1.
+ * @returns {{h: number, s: number, l: number}} The mixed colour.
+ */
+function mixHsl(a, b, amount) {
+    const rgbA = hexToRgb(hslToHex(a));
+    const rgbB = hexToRgb(hslToHex(b));
+    return rgbToHsl({
+        r: rgbA.r + (rgbB.r - rgbA.r) * amount,
+        g: rgbA.g + (rgbB.g - rgbA.g) * amount,
+        b: rgbA.b + (rgbB.b - rgbA.b) * amount
+    });
+}
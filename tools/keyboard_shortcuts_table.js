@@ -0,0 +1,116 @@
+/**
+ * keyboard_shortcuts_table.js
+ *
+ * Renders the README's keyboard shortcut tables from KEYBINDING_ACTIONS in keybindings.js, the
+ * same map the "?" overlay and the key handlers read, so the README cannot drift from the page.
+ * Run `node tools/keyboard_shortcuts_table.js` after changing a shortcut to update README.md;
+ * with `--check` it only reports whether README.md is up to date. keybindings.test.js runs the check.
+ */
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+
+const ROOT = path.join(__dirname, '..');
+const README_PATH = path.join(ROOT, 'README.md');
+const START_MARKER = '<!-- keyboard-shortcuts:start -->';
+const END_MARKER = '<!-- keyboard-shortcuts:end -->';
+
+/**
+ * Loads keybindings.js with the English catalog, the language the README is written in.
+ * @returns {{KEYBINDING_CONTEXTS: Object, KEYBINDING_ACTIONS: Array<Object>, getMessage: Function}}
+ *     The globals of the loaded scripts.
+ */
+function loadKeybindings() {
+    const catalog = JSON.parse(fs.readFileSync(path.join(ROOT, '_locales/en/messages.json'), 'utf8'));
+    const chrome = {
+        i18n: {
+            getMessage: (key) => catalog[key]?.message || '',
+            getUILanguage: () => 'en'
+        }
+    };
+    const sandbox = vm.createContext({ chrome, Intl });
+    for (const file of ['i18n.js', 'keybindings.js']) {
+        vm.runInContext(fs.readFileSync(path.join(ROOT, file), 'utf8'), sandbox, { filename: file });
+    }
+    // Top-level constants are not properties of the sandbox, so read them through an expression.
+    return vm.runInContext('({ KEYBINDING_CONTEXTS, KEYBINDING_ACTIONS, getMessage })', sandbox);
+}
+
+/**
+ * Formats a binding for Markdown, e.g. "Ctrl+J" as "`Ctrl` + `J`" and the sequence "d d" as "`d` then `d`".
+ * @param {string} binding - A binding as written in KEYBINDING_ACTIONS.
+ * @param {string} anyCharacter - The label used for type-to-search, written as plain text.
+ * @param {string} then - The word joining the keys of a sequence.
+ * @returns {string} The Markdown.
+ */
+function formatBinding(binding, anyCharacter, then) {
+    if (binding === anyCharacter) return anyCharacter;
+    return binding.split(' ')
+        .map(key => key.split(/\+(?!$)/).map(part => `\`${part}\``).join(' + '))
+        .join(` ${then} `);
+}
+
+/**
+ * Builds a Markdown table.
+ * @param {Array<string>} header - The column titles.
+ * @param {Array<Array<string>>} rows - The cells.
+ * @returns {string} The table.
+ */
+function formatTable(header, rows) {
+    return [header, header.map(() => '---'), ...rows].map(cells => `| ${cells.join(' | ')} |`).join('\n');
+}
+
+/**
+ * Renders the vim preset table and one table per context, with the default keys.
+ * @returns {string} The Markdown between the README's markers.
+ */
+function renderKeyboardShortcutTables() {
+    const { KEYBINDING_CONTEXTS, KEYBINDING_ACTIONS, getMessage } = loadKeybindings();
+    const anyCharacter = getMessage('keyAnyCharacter');
+    const then = getMessage('keySequenceThen');
+    const formatKeys = keys => keys.map(key => formatBinding(key, anyCharacter, then)).join(' / ');
+
+    const vimRows = KEYBINDING_ACTIONS
+        .filter(action => action.vim)
+        .map(action => [action, action.vim.filter(key => !action.keys.includes(key))])
+        .filter(([, keys]) => keys.length > 0)
+        .map(([action, keys]) => [formatKeys(keys), KEYBINDING_CONTEXTS[action.context], action.description]);
+    const sections = [
+        'The **Vim** preset adds these keys to the defaults:',
+        formatTable(['Key(s)', 'Where', 'Action'], vimRows)
+    ];
+    for (const [context, title] of Object.entries(KEYBINDING_CONTEXTS)) {
+        const rows = KEYBINDING_ACTIONS
+            .filter(action => action.context === context)
+            .map(action => [formatKeys(action.keys), action.description]);
+        sections.push(`### ${title}`, formatTable(['Key(s)', 'Action'], rows));
+    }
+    return sections.join('\n\n');
+}
+
+/**
+ * Replaces the part of the README between the markers with freshly rendered tables.
+ * @param {string} readme - The README's content.
+ * @returns {string} The updated content.
+ */
+function updateReadme(readme) {
+    const start = readme.indexOf(START_MARKER);
+    const end = readme.indexOf(END_MARKER);
+    if (start === -1 || end < start) throw new Error(`README.md needs the ${START_MARKER} and ${END_MARKER} markers.`);
+    return `${readme.slice(0, start + START_MARKER.length)}\n\n${renderKeyboardShortcutTables()}\n\n${readme.slice(end)}`;
+}
+
+if (require.main === module) {
+    const readme = fs.readFileSync(README_PATH, 'utf8');
+    const updated = updateReadme(readme);
+    if (process.argv.includes('--check')) {
+        if (updated !== readme) {
+            console.error('README.md is out of date. Run `node tools/keyboard_shortcuts_table.js` to update it.');
+            process.exitCode = 1;
+        }
+    } else if (updated !== readme) {
+        fs.writeFileSync(README_PATH, updated);
+    }
+}
+
+module.exports = { README_PATH, renderKeyboardShortcutTables, updateReadme };